@@ -0,0 +1,97 @@
+/**
+ * Filtro del acompañamiento en la señal del micrófono
+ * Con altavoces, el micrófono recoge el bordón y la guía. La guía toca justo la nota
+ * objetivo, así que el detector "oiría" acertar al jugador aunque estuviera callado.
+ * Como se sabe qué frecuencias suenan en cada instante, antes de detectar se resta de
+ * cada frame la senoide de cada una de ellas y de sus primeros armónicos, con la amplitud
+ * y la fase que mejor encajan en el frame (mínimos cuadrados): el altavoz y la sala
+ * cambian el volumen y la fase, pero no la frecuencia.
+ *
+ * Limitación: lo que el jugador canta a pocos Hz de la guía también se atenúa. Los
+ * detectores siguen la voz por el resto de sus armónicos, que se separan más de los de
+ * la guía cuanto más agudos son. Con auriculares no hace falta filtrar.
+ */
+
+export const BLEED_HANDLING_MODES = {
+    headphones: {
+        label: 'Auriculares',
+        description: 'El micrófono no oye el acompañamiento: la señal llega al detector sin tocar.'
+    },
+    mask: {
+        label: 'Altavoces (filtrar el acompañamiento)',
+        description: 'Se restan de la señal del micrófono las frecuencias que toca el acompañamiento. Cantar exactamente en la nota de la guía se detecta algo peor.'
+    }
+};
+
+export const DEFAULT_BLEED_HANDLING = 'mask';
+
+const MAX_HARMONICS = 6; // Armónicos de cada frecuencia que se restan (la guía no es una senoide pura)
+const MAX_FREQUENCY_RATIO = 0.45; // Fracción de la frecuencia de muestreo hasta la que se resta
+
+/**
+ * Resta de la señal la senoide de una frecuencia que mejor encaja en ella
+ * @param {Float32Array} samples - Señal (se modifica)
+ * @param {number} omega - Frecuencia angular en radianes por muestra
+ */
+function removeSinusoid(samples, omega) {
+    const n = samples.length;
+    const stepCos = Math.cos(omega);
+    const stepSin = Math.sin(omega);
+
+    // Sumas de las ecuaciones normales de x ≈ a·cos + b·sin (cos/sin por rotación)
+    let cos = 1;
+    let sin = 0;
+    let cc = 0;
+    let ss = 0;
+    let cs = 0;
+    let xc = 0;
+    let xs = 0;
+    for (let i = 0; i < n; i++) {
+        cc += cos * cos;
+        ss += sin * sin;
+        cs += cos * sin;
+        xc += samples[i] * cos;
+        xs += samples[i] * sin;
+        const nextCos = cos * stepCos - sin * stepSin;
+        sin = sin * stepCos + cos * stepSin;
+        cos = nextCos;
+    }
+
+    const determinant = cc * ss - cs * cs;
+    if (Math.abs(determinant) < 1e-9) {
+        return;
+    }
+    const a = (xc * ss - xs * cs) / determinant;
+    const b = (xs * cc - xc * cs) / determinant;
+
+    cos = 1;
+    sin = 0;
+    for (let i = 0; i < n; i++) {
+        samples[i] -= a * cos + b * sin;
+        const nextCos = cos * stepCos - sin * stepSin;
+        sin = sin * stepCos + cos * stepSin;
+        cos = nextCos;
+    }
+}
+
+/**
+ * Quita de un frame las frecuencias que está tocando el acompañamiento
+ * @param {Float32Array} samples - Frame de audio (no se modifica)
+ * @param {Array<number>} frequencies - Frecuencias que suenan (Hz)
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {Float32Array} El frame filtrado (el mismo si no hay nada que quitar)
+ */
+export function maskAccompaniment(samples, frequencies, sampleRate) {
+    if (!samples || frequencies.length === 0) {
+        return samples;
+    }
+
+    const masked = Float32Array.from(samples);
+    const maxFrequency = sampleRate * MAX_FREQUENCY_RATIO;
+    frequencies.forEach(frequency => {
+        for (let harmonic = 1; harmonic <= MAX_HARMONICS && frequency * harmonic < maxFrequency; harmonic++) {
+            removeSinusoid(masked, 2 * Math.PI * frequency * harmonic / sampleRate);
+        }
+    });
+    return masked;
+}
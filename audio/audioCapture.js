@@ -1,125 +1,311 @@
 /**
  * Módulo de captura de audio del micrófono
- * Maneja la captura de audio y proporciona datos para análisis
+ * Fuente de audio en directo: elige el micrófono y el perfil de entrada y permite
+ * cambiarlos en caliente (la entrega de frames y el medidor están en AudioSource)
  */
-export class AudioCapture {
+import { AudioSource } from './audioSource.js';
+import { getProfileConstraints, DEFAULT_INPUT_PROFILE, INPUT_PROFILES } from './inputProfiles.js';
+
+export class AudioCapture extends AudioSource {
     constructor() {
-        this.audioContext = null;
-        this.analyser = null;
+        super();
         this.microphone = null;
-        this.frequencyDataArray = null; // Para datos de frecuencia en magnitud
-        this.isCapturing = false;
+
+        // Selección de dispositivo de entrada
+        this.stream = null; // MediaStream activo
+        this.deviceId = null; // deviceId elegido (null = dispositivo por defecto)
+        this.deviceListeners = []; // Callbacks suscritos con onDevicesChange
+        this.inputProfile = DEFAULT_INPUT_PROFILE; // Perfil de procesado (ver inputProfiles.js)
+        this.handleDeviceChange = this.handleDeviceChange.bind(this);
+        this.handleTrackEnded = this.handleTrackEnded.bind(this);
     }
 
     /**
      * Inicializa la captura de audio
-     * @returns {Promise<void>}
+     * @returns {Promise<{success: boolean, error?: string, state?: string}>} state: 'denied', 'no-device' o 'error' si falla
      */
     async initialize() {
+        this.setState('requesting');
+
         try {
-            // Solicitar acceso al micrófono
-            const stream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                } 
-            });
+            // Solicitar acceso al micrófono (el elegido o el de por defecto)
+            const stream = await this.requestStream();
 
             // Crear contexto de audio
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.analyser = this.audioContext.createAnalyser();
-            
-            // Configurar el analizador
-            this.analyser.fftSize = 2048; // Mayor resolución para mejor detección de pitch
-            this.analyser.smoothingTimeConstant = 0.8;
-            
-            const bufferLength = this.analyser.frequencyBinCount;
-            this.frequencyDataArray = new Float32Array(bufferLength); // Para datos de frecuencia en magnitud
+            this.createContext();
 
             // Conectar el micrófono al analizador
-            this.microphone = this.audioContext.createMediaStreamSource(stream);
-            this.microphone.connect(this.analyser);
+            this.attachStream(stream);
+
+            // Iniciar la entrega de frames (AudioWorklet o fallback)
+            await this.setupFrameCapture();
+
+            // Detectar micrófonos conectados/desconectados
+            if (navigator.mediaDevices.addEventListener) {
+                navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+            }
 
             this.isCapturing = true;
+            this.updateRunningState();
             return { success: true };
         } catch (error) {
             console.error('Error al inicializar captura de audio:', error);
-            this.isCapturing = false;
-            return { 
-                success: false, 
-                error: error.message || 'No se pudo acceder al micrófono' 
-            };
+            return this.failInitialization(error, 'No se pudo acceder al micrófono');
+        }
+    }
+
+    /**
+     * Traduce los errores de getUserMedia a estados del ciclo de vida
+     * @param {Error} error - Error producido
+     * @returns {string} 'denied', 'no-device' o 'error'
+     */
+    getErrorState(error) {
+        switch (error && error.name) {
+            case 'NotAllowedError':
+            case 'SecurityError':
+                return 'denied';
+            case 'NotFoundError':
+            case 'OverconstrainedError':
+                return 'no-device';
+            default:
+                return 'error';
         }
     }
 
     /**
-     * Obtiene los datos de frecuencia en magnitud (no en dB)
-     * @returns {Float32Array} Array con los datos de frecuencia en magnitud
+     * Solicita el stream del micrófono elegido
+     * Si el dispositivo guardado ya no existe, vuelve al dispositivo por defecto
+     * @returns {Promise<MediaStream>}
      */
-    getFrequencyDataMagnitude() {
-        if (!this.analyser || !this.isCapturing) {
-            return null;
+    async requestStream() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            // Sin HTTPS (o en navegadores antiguos) no existe getUserMedia
+            throw new Error('El navegador no permite usar el micrófono en esta página');
         }
-        
-        // getByteFrequencyData devuelve valores de 0-255, los convertimos a 0-1
-        const byteData = new Uint8Array(this.analyser.frequencyBinCount);
-        this.analyser.getByteFrequencyData(byteData);
-        
-        // Convertir a Float32Array normalizado (0-1)
-        for (let i = 0; i < byteData.length; i++) {
-            this.frequencyDataArray[i] = byteData[i] / 255.0;
+
+        const audioConstraints = getProfileConstraints(this.inputProfile);
+
+        if (this.deviceId) {
+            try {
+                return await navigator.mediaDevices.getUserMedia({
+                    audio: { ...audioConstraints, deviceId: { exact: this.deviceId } }
+                });
+            } catch (error) {
+                if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') {
+                    throw error;
+                }
+                console.warn('Micrófono guardado no disponible, usando el de por defecto:', this.deviceId);
+                this.deviceId = null;
+            }
         }
-        
-        return this.frequencyDataArray;
+
+        return navigator.mediaDevices.getUserMedia({ audio: audioConstraints });
     }
 
     /**
-     * Obtiene los datos de tiempo (waveform) actuales
-     * @returns {Float32Array} Array con los datos de tiempo
+     * Conecta un stream nuevo al grafo de audio (analizador y captura por frames)
+     * sustituyendo al anterior sin recrear el AudioContext
+     * @param {MediaStream} stream - Stream del micrófono
      */
-    getTimeData() {
-        if (!this.analyser || !this.isCapturing) {
-            return null;
+    attachStream(stream) {
+        const previousStream = this.stream;
+
+        if (this.microphone) {
+            this.microphone.disconnect();
+        }
+
+        this.stream = stream;
+        this.microphone = this.audioContext.createMediaStreamSource(stream);
+        this.connectInputNode(this.microphone);
+
+        stream.getAudioTracks().forEach(track => track.addEventListener('ended', this.handleTrackEnded));
+
+        if (previousStream) {
+            this.releaseStream(previousStream);
         }
-        
-        const timeData = new Float32Array(this.analyser.fftSize);
-        this.analyser.getFloatTimeDomainData(timeData);
-        return timeData;
     }
 
     /**
-     * Obtiene la frecuencia de muestreo
-     * @returns {number} Frecuencia de muestreo en Hz
+     * El nodo de entrada es el micrófono (cambia al cambiar de dispositivo)
+     * @returns {MediaStreamAudioSourceNode|null}
      */
-    getSampleRate() {
-        return this.audioContext ? this.audioContext.sampleRate : 44100;
+    getInputNode() {
+        return this.microphone;
     }
 
     /**
-     * Detiene la captura de audio
+     * Detiene las pistas de un stream que ya no se usa
+     * @param {MediaStream} stream - Stream a liberar
      */
-    stop() {
-        if (this.microphone) {
-            this.microphone.disconnect();
+    releaseStream(stream) {
+        stream.getAudioTracks().forEach(track => {
+            track.removeEventListener('ended', this.handleTrackEnded);
+            track.stop();
+        });
+    }
+
+    /**
+     * Lista los dispositivos de entrada de audio disponibles
+     * (las etiquetas solo están disponibles después de conceder permiso)
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async getInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
         }
-        
-        if (this.audioContext && this.audioContext.state !== 'closed') {
-            this.audioContext.close();
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Micrófono ${index + 1}`
+            }));
+    }
+
+    /**
+     * Cambia el dispositivo de entrada
+     * Si la captura está activa, cambia el micrófono en caliente sin detener el AudioContext
+     * @param {string|null} deviceId - deviceId del micrófono, o null para el de por defecto
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async setInputDevice(deviceId) {
+        const previousDeviceId = this.deviceId;
+        this.deviceId = deviceId || null;
+
+        const result = await this.restartStream();
+        if (!result.success) {
+            this.deviceId = previousDeviceId;
         }
-        
-        this.isCapturing = false;
-        this.audioContext = null;
-        this.analyser = null;
-        this.microphone = null;
+        return result;
     }
 
     /**
-     * Verifica si está capturando audio
-     * @returns {boolean}
+     * Cambia el perfil de entrada (procesado del navegador)
+     * Si la captura está activa, vuelve a pedir el stream con las nuevas restricciones
+     * @param {string} profileName - Nombre del perfil (speech, singing, instrument, raw)
+     * @returns {Promise<{success: boolean, error?: string}>}
      */
-    isActive() {
-        return this.isCapturing;
+    async setInputProfile(profileName) {
+        const previousProfile = this.inputProfile;
+        this.inputProfile = INPUT_PROFILES[profileName] ? profileName : DEFAULT_INPUT_PROFILE;
+
+        const result = await this.restartStream();
+        if (!result.success) {
+            this.inputProfile = previousProfile;
+        }
+        return result;
     }
-}
 
+    /**
+     * Vuelve a pedir el stream con el dispositivo y perfil actuales, si hay captura activa
+     * (también sirve para recuperarse de 'device-lost' o 'denied')
+     * @returns {Promise<{success: boolean, error?: string, state?: string}>}
+     */
+    async restartStream() {
+        if (!this.isCapturing) {
+            return { success: true };
+        }
+
+        try {
+            const stream = await this.requestStream();
+            this.attachStream(stream);
+            this.updateRunningState();
+            return { success: true };
+        } catch (error) {
+            console.error('Error al cambiar la entrada de audio:', error);
+            return {
+                success: false,
+                error: error.message || 'No se pudo cambiar la entrada de audio',
+                state: this.getErrorState(error)
+            };
+        }
+    }
+
+    /**
+     * Devuelve el deviceId del micrófono en uso
+     * @returns {string|null} deviceId real de la pista activa, o el elegido si no hay captura
+     */
+    getActiveDeviceId() {
+        if (this.stream) {
+            const [track] = this.stream.getAudioTracks();
+            const settings = track && track.getSettings ? track.getSettings() : null;
+            if (settings && settings.deviceId) {
+                return settings.deviceId;
+            }
+        }
+        return this.deviceId;
+    }
+
+    /**
+     * Suscribe un callback que se llama cuando cambia la lista de micrófonos
+     * @param {Function} callback - Recibe { devices, lostDevice } (lostDevice = true si se desconectó el micrófono en uso)
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    onDevicesChange(callback) {
+        this.deviceListeners.push(callback);
+        return () => {
+            this.deviceListeners = this.deviceListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Gestiona el evento devicechange: si el micrófono en uso desaparece, pasa al de por defecto
+     */
+    async handleDeviceChange() {
+        if (!this.isCapturing) {
+            return;
+        }
+
+        const devices = await this.getInputDevices();
+        const activeDeviceId = this.getActiveDeviceId();
+        const activeTrack = this.stream ? this.stream.getAudioTracks()[0] : null;
+        const lostDevice = (activeTrack && activeTrack.readyState === 'ended') ||
+            (activeDeviceId !== null && activeDeviceId !== 'default' &&
+             !devices.some(device => device.deviceId === activeDeviceId));
+
+        if (lostDevice) {
+            await this.recoverInput(null);
+        }
+
+        this.deviceListeners.forEach(listener => listener({ devices, lostDevice }));
+    }
+
+    /**
+     * Intenta recuperar la entrada tras perder el micrófono (o el permiso)
+     * Si no lo consigue, la captura queda en 'device-lost' o 'denied' hasta el siguiente intento
+     * @param {string|null} deviceId - Micrófono a usar (por defecto, el elegido)
+     * @returns {Promise<{success: boolean, error?: string, state?: string}>}
+     */
+    async recoverInput(deviceId = this.deviceId) {
+        const result = await this.setInputDevice(deviceId);
+        if (!result.success) {
+            this.setState(result.state === 'denied' ? 'denied' : 'device-lost', result.error);
+        }
+        return result;
+    }
+
+    /**
+     * La pista del micrófono terminó (desenchufado o revocado): tratarlo como un cambio de dispositivos
+     */
+    handleTrackEnded() {
+        this.handleDeviceChange();
+    }
+
+    /**
+     * Detiene la captura de audio y libera el micrófono
+     */
+    stop() {
+        if (this.stream) {
+            this.releaseStream(this.stream);
+        }
+
+        if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        }
+
+        super.stop();
+        this.microphone = null;
+        this.stream = null;
+    }
+}
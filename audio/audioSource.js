@@ -0,0 +1,455 @@
+/**
+ * Clase base de las fuentes de audio
+ * Una fuente conecta un nodo de entrada (micrófono, archivo, señal sintética...) a
+ * un AudioContext propio y entrega frames de FRAME_SIZE muestras cada HOP_SIZE
+ * muestras a los suscriptores de onFrame, junto con el medidor de nivel.
+ * Los frames llegan mediante AudioWorklet (todas las muestras, en orden y a salto
+ * fijo) y, si el navegador no lo soporta, leyendo el AnalyserNode con un temporizador.
+ *
+ * Las subclases implementan prepareInput() (crear this.inputNode) y, si lo
+ * necesitan, startInput(), rewind() y stop().
+ *
+ * Ciclo de vida (onStateChange):
+ * 'idle' → 'requesting' → 'running' ⇄ 'suspended'
+ *                       ↘ 'denied' | 'no-device' | 'error'
+ * 'running' → 'device-lost' (la entrada dejó de funcionar) → 'running' al recuperarse
+ */
+import { computeRms, computePeak, linearToDb } from './signalLevel.js';
+
+// Tamaño de frame y salto (en muestras) entregados a los suscriptores de onFrame
+// (exportados para que el análisis de archivos use exactamente los mismos frames)
+export const FRAME_SIZE = 2048; // Igual que el fftSize del analizador
+export const HOP_SIZE = 512; // ~11ms a 48kHz
+
+// Medidor de nivel
+const CLIP_THRESHOLD = 0.99; // Pico a partir del cual se considera saturación
+const CLIP_HOLD = 1000; // ms que se mantiene el aviso de saturación
+const PEAK_DECAY = 0.95; // Caída del pico retenido por frame
+
+export class AudioSource {
+    constructor() {
+        this.audioContext = null;
+        this.analyser = null;
+        this.inputNode = null; // Nodo que produce la señal de la fuente
+        this.frequencyDataArray = null; // Para datos de frecuencia en magnitud
+        this.isCapturing = false;
+
+        // Captura por frames
+        this.frameSize = FRAME_SIZE;
+        this.hopSize = HOP_SIZE;
+        this.captureNode = null; // AudioWorkletNode (null si se usa el fallback)
+        this.fallbackTimerId = null; // Temporizador del fallback con AnalyserNode
+        this.fallbackFrameIndex = 0;
+        this.frameListeners = []; // Callbacks suscritos con onFrame
+        this.level = { rms: 0, peak: 0, heldPeak: 0, lastClipTime: -Infinity }; // Medidor de nivel
+        this.recordingDestination = null; // MediaStreamAudioDestinationNode para grabar la partida
+
+        // Ciclo de vida
+        this.state = 'idle'; // 'idle' | 'requesting' | 'denied' | 'no-device' | 'running' | 'suspended' | 'device-lost' | 'error'
+        this.stateError = null; // Mensaje del último error (si el estado es de error)
+        this.stateListeners = []; // Callbacks suscritos con onStateChange
+    }
+
+    /**
+     * Inicializa la fuente: crea el AudioContext, conecta la entrada y empieza a entregar frames
+     * @returns {Promise<{success: boolean, error?: string, state?: string}>} state: estado de error si falla
+     */
+    async initialize() {
+        this.setState('requesting');
+
+        try {
+            this.createContext();
+            await this.prepareInput();
+            this.connectInputNode(this.getInputNode());
+
+            // Iniciar la entrega de frames (AudioWorklet o fallback)
+            await this.setupFrameCapture();
+
+            this.isCapturing = true;
+            this.startInput();
+            this.updateRunningState();
+            return { success: true };
+        } catch (error) {
+            console.error('Error al inicializar la fuente de audio:', error);
+            return this.failInitialization(error, 'No se pudo iniciar la fuente de audio');
+        }
+    }
+
+    /**
+     * Deshace una inicialización fallida y pasa al estado de error correspondiente
+     * @param {Error} error - Error producido
+     * @param {string} fallbackMessage - Mensaje si el error no trae uno
+     * @returns {{success: boolean, error: string, state: string}}
+     */
+    failInitialization(error, fallbackMessage) {
+        const state = this.getErrorState(error);
+        const message = error.message || fallbackMessage;
+
+        this.stop();
+        this.setState(state, message);
+        return { success: false, error: message, state };
+    }
+
+    /**
+     * Estado del ciclo de vida que corresponde a un error
+     * @param {Error} error - Error producido
+     * @returns {string} Estado ('error' salvo que la fuente lo concrete más)
+     */
+    getErrorState(error) {
+        return 'error';
+    }
+
+    /**
+     * Cambia el estado del ciclo de vida y avisa a los suscriptores
+     * @param {string} state - Nuevo estado
+     * @param {string|null} error - Mensaje de error asociado
+     */
+    setState(state, error = null) {
+        if (state === this.state && error === this.stateError) {
+            return;
+        }
+
+        this.state = state;
+        this.stateError = error;
+        this.stateListeners.forEach(listener => listener({ state, error }));
+    }
+
+    /**
+     * Devuelve el estado del ciclo de vida
+     * @returns {string}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Suscribe un callback que se llama cuando cambia el estado del ciclo de vida
+     * @param {Function} callback - Recibe { state, error }
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    onStateChange(callback) {
+        this.stateListeners.push(callback);
+        return () => {
+            this.stateListeners = this.stateListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Pasa a 'running' o 'suspended' según el estado del AudioContext
+     */
+    updateRunningState() {
+        if (!this.audioContext || !this.isCapturing) {
+            return;
+        }
+        this.setState(this.audioContext.state === 'running' ? 'running' : 'suspended');
+    }
+
+    /**
+     * Reanuda el AudioContext si el navegador lo ha suspendido
+     * (debe llamarse desde un gesto del usuario: clic, tecla...)
+     * @returns {Promise<void>}
+     */
+    async resume() {
+        if (!this.audioContext || this.audioContext.state === 'running' || this.audioContext.state === 'closed') {
+            return;
+        }
+
+        try {
+            await this.audioContext.resume();
+        } catch (error) {
+            console.warn('No se pudo reanudar el audio:', error);
+        }
+        this.updateRunningState();
+    }
+
+    /**
+     * Crea el AudioContext y el analizador
+     */
+    createContext() {
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.analyser = this.audioContext.createAnalyser();
+
+        // Configurar el analizador
+        this.analyser.fftSize = 2048; // Mayor resolución para mejor detección de pitch
+        this.analyser.smoothingTimeConstant = 0.8;
+
+        const bufferLength = this.analyser.frequencyBinCount;
+        this.frequencyDataArray = new Float32Array(bufferLength); // Para datos de frecuencia en magnitud
+
+        // Suspensión del navegador (pestaña en segundo plano, llamada entrante, política de autoplay...)
+        this.audioContext.onstatechange = () => {
+            if (this.state === 'running' || this.state === 'suspended') {
+                this.updateRunningState();
+            }
+        };
+    }
+
+    /**
+     * Crea el nodo de entrada (this.inputNode). Lo implementa cada fuente
+     * @returns {Promise<void>}
+     */
+    async prepareInput() {
+        throw new Error('La fuente de audio no implementa prepareInput()');
+    }
+
+    /**
+     * Arranca la entrada una vez que la captura por frames está lista
+     * (las fuentes en directo no necesitan hacer nada)
+     */
+    startInput() {
+    }
+
+    /**
+     * Vuelve a empezar la fuente desde el principio
+     * Las fuentes en directo (micrófono) no se pueden rebobinar: no hace nada
+     */
+    rewind() {
+    }
+
+    /**
+     * Devuelve el nodo que produce la señal de la fuente
+     * @returns {AudioNode|null}
+     */
+    getInputNode() {
+        return this.inputNode;
+    }
+
+    /**
+     * Conecta un nodo de entrada al analizador, a la captura por frames y a la grabación
+     * @param {AudioNode} node - Nodo de entrada
+     */
+    connectInputNode(node) {
+        node.connect(this.analyser);
+        if (this.captureNode) {
+            node.connect(this.captureNode);
+        }
+        if (this.recordingDestination) {
+            node.connect(this.recordingDestination);
+        }
+    }
+
+    /**
+     * Devuelve un stream de la entrada apto para grabar
+     * Sigue siendo el mismo aunque cambie el nodo de entrada (cambio de micrófono, rebobinado...)
+     * @returns {MediaStream|null} Stream de grabación, o null si la fuente no está activa
+     */
+    getRecordingStream() {
+        const inputNode = this.getInputNode();
+        if (!this.audioContext || !inputNode) {
+            return null;
+        }
+
+        if (!this.recordingDestination) {
+            this.recordingDestination = this.audioContext.createMediaStreamDestination();
+            inputNode.connect(this.recordingDestination);
+        }
+        return this.recordingDestination.stream;
+    }
+
+    /**
+     * Configura la entrega de frames: AudioWorklet si está disponible, AnalyserNode si no
+     * @returns {Promise<void>}
+     */
+    async setupFrameCapture() {
+        if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+            try {
+                const processorUrl = new URL('./frameCaptureProcessor.js', import.meta.url);
+                await this.audioContext.audioWorklet.addModule(processorUrl);
+
+                this.captureNode = new AudioWorkletNode(this.audioContext, 'frame-capture-processor', {
+                    numberOfInputs: 1,
+                    numberOfOutputs: 1,
+                    channelCount: 1,
+                    channelCountMode: 'explicit', // Mezclar a mono las fuentes estéreo
+                    processorOptions: {
+                        frameSize: this.frameSize,
+                        hopSize: this.hopSize
+                    }
+                });
+                this.captureNode.port.onmessage = (event) => this.emitFrame(event.data);
+
+                // El procesador no escribe en su salida (silencio), pero debe estar
+                // conectado al destino para que el navegador lo procese
+                this.getInputNode().connect(this.captureNode);
+                this.captureNode.connect(this.audioContext.destination);
+                return;
+            } catch (error) {
+                console.warn('AudioWorklet no disponible, usando AnalyserNode:', error);
+                this.captureNode = null;
+            }
+        }
+
+        this.startFallbackCapture();
+    }
+
+    /**
+     * Fallback: lee el AnalyserNode con un temporizador al ritmo del salto
+     * (puede perder o repetir muestras si el hilo principal está ocupado)
+     */
+    startFallbackCapture() {
+        const hopMs = (this.hopSize / this.getSampleRate()) * 1000;
+        this.fallbackFrameIndex = 0;
+
+        this.fallbackTimerId = setInterval(() => {
+            const samples = this.getTimeData();
+            if (!samples) return;
+            this.emitFrame({
+                samples: samples,
+                time: this.audioContext.currentTime,
+                index: this.fallbackFrameIndex++
+            });
+        }, hopMs);
+    }
+
+    /**
+     * Suscribe un callback que recibe cada frame de audio capturado
+     * @param {Function} callback - Recibe { samples: Float32Array, time: number, index: number, rms: number, peak: number }
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    onFrame(callback) {
+        this.frameListeners.push(callback);
+        return () => {
+            this.frameListeners = this.frameListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Entrega un frame a todos los suscriptores (añadiendo su RMS y pico)
+     * @param {{samples: Float32Array, time: number, index: number}} frame - Frame de audio
+     */
+    emitFrame(frame) {
+        frame.rms = computeRms(frame.samples);
+        frame.peak = computePeak(frame.samples);
+        this.updateLevel(frame.rms, frame.peak);
+
+        this.frameListeners.forEach(listener => {
+            try {
+                listener(frame);
+            } catch (error) {
+                console.error('Error procesando frame de audio:', error);
+            }
+        });
+    }
+
+    /**
+     * Actualiza el medidor de nivel con un frame nuevo
+     * @param {number} rms - RMS del frame
+     * @param {number} peak - Pico del frame
+     */
+    updateLevel(rms, peak) {
+        this.level.rms = rms;
+        this.level.peak = peak;
+        this.level.heldPeak = Math.max(peak, this.level.heldPeak * PEAK_DECAY);
+        if (peak >= CLIP_THRESHOLD) {
+            this.level.lastClipTime = performance.now();
+        }
+    }
+
+    /**
+     * Obtiene el nivel de entrada actual
+     * @returns {{rms: number, peak: number, rmsDb: number, peakDb: number, clipping: boolean}}
+     *          peak es el pico retenido (cae poco a poco) y clipping se mantiene CLIP_HOLD ms
+     */
+    getLevel() {
+        return {
+            rms: this.level.rms,
+            peak: this.level.heldPeak,
+            rmsDb: linearToDb(this.level.rms),
+            peakDb: linearToDb(this.level.heldPeak),
+            clipping: performance.now() - this.level.lastClipTime < CLIP_HOLD
+        };
+    }
+
+    /**
+     * Indica si los frames llegan desde el AudioWorklet (true) o desde el fallback (false)
+     * @returns {boolean}
+     */
+    isUsingWorklet() {
+        return this.captureNode !== null;
+    }
+
+    /**
+     * Obtiene los datos de frecuencia en magnitud (no en dB)
+     * @returns {Float32Array} Array con los datos de frecuencia en magnitud
+     */
+    getFrequencyDataMagnitude() {
+        if (!this.analyser || !this.isCapturing) {
+            return null;
+        }
+
+        // getByteFrequencyData devuelve valores de 0-255, los convertimos a 0-1
+        const byteData = new Uint8Array(this.analyser.frequencyBinCount);
+        this.analyser.getByteFrequencyData(byteData);
+
+        // Convertir a Float32Array normalizado (0-1)
+        for (let i = 0; i < byteData.length; i++) {
+            this.frequencyDataArray[i] = byteData[i] / 255.0;
+        }
+
+        return this.frequencyDataArray;
+    }
+
+    /**
+     * Obtiene los datos de tiempo (waveform) actuales
+     * @returns {Float32Array} Array con los datos de tiempo
+     */
+    getTimeData() {
+        if (!this.analyser || !this.isCapturing) {
+            return null;
+        }
+
+        const timeData = new Float32Array(this.analyser.fftSize);
+        this.analyser.getFloatTimeDomainData(timeData);
+        return timeData;
+    }
+
+    /**
+     * Obtiene la frecuencia de muestreo
+     * @returns {number} Frecuencia de muestreo en Hz
+     */
+    getSampleRate() {
+        return this.audioContext ? this.audioContext.sampleRate : 44100;
+    }
+
+    /**
+     * Detiene la fuente y libera el AudioContext
+     */
+    stop() {
+        if (this.fallbackTimerId) {
+            clearInterval(this.fallbackTimerId);
+            this.fallbackTimerId = null;
+        }
+
+        if (this.captureNode) {
+            this.captureNode.port.onmessage = null;
+            this.captureNode.disconnect();
+        }
+
+        const inputNode = this.getInputNode();
+        if (inputNode) {
+            inputNode.disconnect();
+        }
+
+        if (this.audioContext && this.audioContext.state !== 'closed') {
+            this.audioContext.onstatechange = null;
+            this.audioContext.close();
+        }
+
+        this.isCapturing = false;
+        this.audioContext = null;
+        this.analyser = null;
+        this.inputNode = null;
+        this.captureNode = null;
+        this.recordingDestination = null;
+        this.level = { rms: 0, peak: 0, heldPeak: 0, lastClipTime: -Infinity };
+        this.setState('idle');
+    }
+
+    /**
+     * Verifica si está capturando audio
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.isCapturing;
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * Fuentes de audio disponibles
+ * Todas heredan de AudioSource (initialize, stop, onFrame, getLevel...), así que
+ * el juego funciona igual con el micrófono, un archivo o una señal sintética.
+ */
+import { AudioCapture } from './audioCapture.js';
+import { FileSource } from './fileSource.js';
+import { SyntheticSource } from './syntheticSource.js';
+
+export const AUDIO_SOURCES = {
+    microphone: {
+        label: 'Micrófono',
+        description: 'Tu voz en directo.'
+    },
+    synthetic: {
+        label: 'Señal sintética (demo)',
+        description: 'Una voz sintética canta la melodía del juego. No necesita micrófono.'
+    },
+    file: {
+        label: 'Archivo de audio',
+        description: 'Reproduce un archivo en tiempo real como si fuera el micrófono.'
+    }
+};
+
+export const DEFAULT_AUDIO_SOURCE = 'microphone';
+
+/**
+ * Crea una fuente de audio
+ * @param {string} type - Tipo de fuente (microphone, synthetic, file)
+ * @param {Object} options - Opciones de la fuente (file: { file }, synthetic: { script, seed })
+ * @returns {AudioSource}
+ */
+export function createAudioSource(type, options = {}) {
+    switch (type) {
+        case 'synthetic':
+            return new SyntheticSource(options);
+        case 'file':
+            return new FileSource(options.file, options);
+        default:
+            return new AudioCapture();
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Fuente de audio que reproduce un AudioBuffer (archivo o señal sintética)
+ * El buffer se reproduce en tiempo real por el mismo grafo que el micrófono, así
+ * que el resto de la aplicación no distingue una fuente de otra. Opcionalmente se
+ * oye por los altavoces (monitorGain > 0).
+ */
+import { AudioSource } from './audioSource.js';
+
+export class BufferSource extends AudioSource {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.loop - Repetir el buffer al terminar
+     * @param {number} options.loopStart - Segundo desde el que se repite
+     * @param {number} options.monitorGain - Volumen con el que se oye la fuente (0 = no se oye)
+     */
+    constructor({ loop = false, loopStart = 0, monitorGain = 0 } = {}) {
+        super();
+        this.loop = loop;
+        this.loopStart = loopStart;
+        this.monitorGain = monitorGain;
+        this.buffer = null;
+        this.monitorNode = null; // GainNode hacia los altavoces
+    }
+
+    /**
+     * Crea el AudioBuffer a reproducir. Lo implementa cada fuente
+     * @returns {Promise<AudioBuffer>|AudioBuffer}
+     */
+    createBuffer() {
+        throw new Error('La fuente de audio no implementa createBuffer()');
+    }
+
+    async prepareInput() {
+        this.buffer = await this.createBuffer();
+
+        this.monitorNode = this.audioContext.createGain();
+        this.monitorNode.gain.value = this.monitorGain;
+        this.monitorNode.connect(this.audioContext.destination);
+
+        this.inputNode = this.createBufferNode();
+    }
+
+    /**
+     * Crea un nodo de reproducción del buffer (cada nodo solo puede arrancarse una vez)
+     * @returns {AudioBufferSourceNode}
+     */
+    createBufferNode() {
+        const node = this.audioContext.createBufferSource();
+        node.buffer = this.buffer;
+        node.loop = this.loop;
+        node.loopStart = this.loopStart;
+        node.loopEnd = this.buffer.duration;
+        node.connect(this.monitorNode);
+        return node;
+    }
+
+    startInput() {
+        this.inputNode.start();
+    }
+
+    /**
+     * Vuelve a reproducir el buffer desde el principio
+     */
+    rewind() {
+        if (!this.isCapturing || !this.inputNode) {
+            return;
+        }
+
+        const previousNode = this.inputNode;
+        previousNode.stop();
+        previousNode.disconnect();
+
+        this.inputNode = this.createBufferNode();
+        this.connectInputNode(this.inputNode);
+        this.inputNode.start();
+    }
+
+    stop() {
+        super.stop();
+        this.buffer = null;
+        this.monitorNode = null;
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * Acompañamiento de acordes: la pista de acordes de una secuencia tocada por el sintetizador
+ * Es un transporte (ver transport.js) cuyas notas son acordes ya colocados en frecuencias:
+ * con el mismo tempo e instante de inicio que la melodía, suena alineado con ella.
+ */
+import { Transport } from './transport.js';
+import { playChord } from './noteSynthesizer.js';
+
+export const CHORD_STYLES = {
+    pad: {
+        label: 'Acordes tenidos',
+        description: 'Cada acorde suena entero y sostenido mientras dura, con timbre de órgano.',
+        voice: 'organ',
+        arpeggio: false
+    },
+    arpeggio: {
+        label: 'Arpegios',
+        description: 'Las notas del acorde una detrás de otra, a corcheas, con timbre de piano.',
+        voice: 'piano',
+        arpeggio: true
+    }
+};
+
+export const DEFAULT_CHORD_STYLE = 'pad';
+
+const ARPEGGIO_STEP = 0.5; // Pulsos entre notas del arpegio (corcheas)
+
+/**
+ * Crea el acompañamiento de una pista de acordes (sin arrancar)
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @param {Array<{frequencies: Array<number>, duration: number}>} chords - Acordes: frecuencias
+ *        de grave a agudo (vacío = silencio) y duración en pulsos
+ * @param {Object} options
+ * @param {string} options.style - Cómo suenan (ver CHORD_STYLES)
+ * @param {number} options.tempo - Pulsos por segundo (BPM / 60)
+ * @param {number} options.volume - Volumen (0-1)
+ * @param {boolean} options.loop - Repetir la pista en bucle
+ * @returns {Transport} Transporte con las posiciones en pulsos
+ */
+export function createChordBacking(audioContext, chords, { style = DEFAULT_CHORD_STYLE, tempo = 1, volume = 1, loop = false } = {}) {
+    const definition = CHORD_STYLES[style] || CHORD_STYLES[DEFAULT_CHORD_STYLE];
+    const transport = new Transport(audioContext, chords, {
+        tempo,
+        volume,
+        loop,
+        // El paso del arpegio sigue al tempo del transporte aunque cambie
+        instrument: (context, chord, startTime, duration, options) => playChord(context, chord.frequencies, duration, startTime, {
+            ...options,
+            voice: definition.voice,
+            arpeggioStep: definition.arpeggio ? ARPEGGIO_STEP / transport.tempo : null
+        })
+    });
+    return transport;
+}
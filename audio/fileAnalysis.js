@@ -0,0 +1,99 @@
+/**
+ * Módulo de análisis de archivos de audio (modo offline)
+ * Decodifica un archivo (WAV/MP3/OGG, según soporte del navegador) y lo pasa
+ * frame a frame por el mismo detector de pitch que usa el micrófono, con el
+ * mismo tamaño de frame y salto que la captura en vivo.
+ */
+import { FRAME_SIZE, HOP_SIZE } from './audioSource.js';
+
+// Frames analizados entre pausas para no bloquear la interfaz
+const FRAMES_PER_CHUNK = 200;
+
+/**
+ * Indica si un archivo parece de audio (por tipo MIME o extensión)
+ * @param {File} file - Archivo a comprobar
+ * @returns {boolean}
+ */
+export function isAudioFile(file) {
+    if (!file) return false;
+    if (file.type && file.type.startsWith('audio/')) return true;
+    return /\.(wav|mp3|ogg|oga|flac|m4a|webm)$/i.test(file.name || '');
+}
+
+/**
+ * Decodifica un archivo de audio
+ * @param {File|Blob} file - Archivo de audio
+ * @returns {Promise<AudioBuffer>} Audio decodificado
+ */
+export async function decodeAudioFile(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+    try {
+        return await audioContext.decodeAudioData(arrayBuffer);
+    } finally {
+        audioContext.close();
+    }
+}
+
+/**
+ * Mezcla todos los canales de un AudioBuffer en uno (mono)
+ * @param {AudioBuffer} audioBuffer - Audio decodificado
+ * @returns {Float32Array} Muestras mono
+ */
+export function mixToMono(audioBuffer) {
+    const channelCount = audioBuffer.numberOfChannels;
+    if (channelCount === 1) {
+        return audioBuffer.getChannelData(0);
+    }
+
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < channelCount; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            mono[i] += data[i] / channelCount;
+        }
+    }
+    return mono;
+}
+
+/**
+ * Analiza un AudioBuffer completo con el detector de pitch
+ * @param {AudioBuffer} audioBuffer - Audio decodificado
+ * @param {PitchDetection} pitchDetection - Detector configurado con la frecuencia de muestreo del buffer
+ * @param {Function} onProgress - Callback opcional con el progreso (0-1)
+ * @param {PitchTracker|null} pitchTracker - Tracker opcional (corrección de octavas y suavizado)
+ * @returns {Promise<{frequencyHistory: Array<Array<number>>, rawFrequencyHistory: Array<Array<number>>, timeHistory: Array<number>}>}
+ *          Traza de pitch procesada y sin procesar (tiempos en ms)
+ */
+export async function analyzeAudioBuffer(audioBuffer, pitchDetection, onProgress = null, pitchTracker = null) {
+    const samples = mixToMono(audioBuffer);
+    const sampleRate = audioBuffer.sampleRate;
+    const frequencyHistory = [];
+    const rawFrequencyHistory = [];
+    const timeHistory = [];
+
+    const totalFrames = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+
+    for (let frameIndex = 0; frameIndex < totalFrames; frameIndex++) {
+        const start = frameIndex * HOP_SIZE;
+        const frame = samples.subarray(start, start + FRAME_SIZE);
+
+        const detection = pitchDetection.detectPitch(frame);
+        const rawFrequencies = detection.voiced ? [detection.frequency] : [];
+        const tracked = pitchTracker ? pitchTracker.process(detection) : null;
+        frequencyHistory.push(tracked ? (tracked.frequency ? [tracked.frequency] : []) : rawFrequencies);
+        rawFrequencyHistory.push(rawFrequencies);
+        // Tiempo de la última muestra del frame, igual que en la captura en vivo
+        timeHistory.push(((start + FRAME_SIZE) / sampleRate) * 1000);
+
+        // Ceder el hilo principal de vez en cuando para que la interfaz siga respondiendo
+        if (frameIndex > 0 && frameIndex % FRAMES_PER_CHUNK === 0) {
+            if (onProgress) onProgress(frameIndex / totalFrames);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    if (onProgress) onProgress(1);
+    return { frequencyHistory, rawFrequencyHistory, timeHistory };
+}
@@ -0,0 +1,27 @@
+/**
+ * Fuente de audio a partir de un archivo
+ * Reproduce el archivo en tiempo real como si fuera el micrófono (a diferencia de
+ * fileAnalysis.js, que lo analiza entero de golpe sin pasar por el juego)
+ */
+import { BufferSource } from './bufferSource.js';
+
+export class FileSource extends BufferSource {
+    /**
+     * @param {File|Blob} file - Archivo de audio
+     * @param {Object} options
+     * @param {boolean} options.loop - Repetir el archivo al terminar
+     * @param {number} options.monitorGain - Volumen con el que se oye el archivo
+     */
+    constructor(file, { loop = false, monitorGain = 1 } = {}) {
+        super({ loop, monitorGain });
+        this.file = file;
+    }
+
+    async createBuffer() {
+        if (!this.file) {
+            throw new Error('No se ha elegido ningún archivo de audio');
+        }
+        const arrayBuffer = await this.file.arrayBuffer();
+        return this.audioContext.decodeAudioData(arrayBuffer);
+    }
+}
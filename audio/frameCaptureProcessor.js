@@ -0,0 +1,65 @@
+/**
+ * AudioWorkletProcessor de captura por frames
+ * Se ejecuta en el hilo de audio: acumula cada bloque de 128 muestras en un
+ * buffer circular y envía al hilo principal un frame completo (frameSize
+ * muestras, en orden) cada hopSize muestras, sin perder ni duplicar bloques.
+ */
+class FrameCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const processorOptions = (options && options.processorOptions) || {};
+        this.frameSize = processorOptions.frameSize || 2048;
+        this.hopSize = processorOptions.hopSize || 512;
+
+        this.ringBuffer = new Float32Array(this.frameSize);
+        this.writeIndex = 0; // Siguiente posición de escritura en el buffer circular
+        this.samplesWritten = 0; // Total de muestras escritas (para saber si el primer frame está lleno)
+        this.samplesSinceFrame = 0; // Muestras recibidas desde el último frame enviado
+        this.frameIndex = 0; // Número de frame (permite detectar huecos en el consumidor)
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        // Sin entrada conectada: seguir vivo hasta que se conecte el micrófono
+        if (!input || input.length === 0) {
+            return true;
+        }
+
+        // Solo usamos el primer canal (mono)
+        const channel = input[0];
+
+        for (let i = 0; i < channel.length; i++) {
+            this.ringBuffer[this.writeIndex] = channel[i];
+            this.writeIndex = (this.writeIndex + 1) % this.frameSize;
+            this.samplesWritten++;
+            this.samplesSinceFrame++;
+
+            if (this.samplesSinceFrame >= this.hopSize && this.samplesWritten >= this.frameSize) {
+                this.samplesSinceFrame = 0;
+                // currentFrame apunta al inicio del bloque actual: sumar la posición dentro del bloque
+                this.postFrame((currentFrame + i + 1) / sampleRate);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Copia el buffer circular en orden cronológico y lo envía al hilo principal
+     * @param {number} time - Tiempo (en segundos, reloj del AudioContext) de la última muestra del frame
+     */
+    postFrame(time) {
+        const samples = new Float32Array(this.frameSize);
+        const tailLength = this.frameSize - this.writeIndex;
+        samples.set(this.ringBuffer.subarray(this.writeIndex), 0);
+        samples.set(this.ringBuffer.subarray(0, this.writeIndex), tailLength);
+
+        this.port.postMessage({
+            samples: samples,
+            time: time,
+            index: this.frameIndex++
+        }, [samples.buffer]);
+    }
+}
+
+registerProcessor('frame-capture-processor', FrameCaptureProcessor);
@@ -0,0 +1,93 @@
+/**
+ * Calibración de la entrada de audio
+ * Mide en dos pasos el ruido de fondo de la sala (en silencio) y el nivel de la
+ * voz del jugador (cantando una nota cómoda). El resultado se guarda en los
+ * ajustes para que la detección de pitch y los juegos lo usen.
+ */
+import { linearToDb } from './signalLevel.js';
+import { loadSetting, saveSetting } from '../config/settings.js';
+
+const SILENCE_DURATION = 2000; // ms midiendo el ruido de fondo
+const SINGING_DURATION = 3000; // ms midiendo la voz
+const CALIBRATION_SETTING = 'inputCalibration';
+
+/**
+ * Recoge el RMS y el pico de todos los frames durante un tiempo
+ * @param {AudioCapture} audioCapture - Captura activa
+ * @param {number} duration - Duración en ms
+ * @returns {Promise<{rms: Array<number>, peak: number}>}
+ */
+function collectLevels(audioCapture, duration) {
+    return new Promise((resolve) => {
+        const rms = [];
+        let peak = 0;
+
+        const unsubscribe = audioCapture.onFrame((frame) => {
+            rms.push(frame.rms);
+            peak = Math.max(peak, frame.peak);
+        });
+
+        setTimeout(() => {
+            unsubscribe();
+            resolve({ rms, peak });
+        }, duration);
+    });
+}
+
+/**
+ * Devuelve el percentil indicado de una lista de valores
+ * @param {Array<number>} values - Valores
+ * @param {number} fraction - Percentil (0-1)
+ * @returns {number} Valor del percentil (0 si la lista está vacía)
+ */
+function percentile(values, fraction) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.floor(fraction * sorted.length));
+    return sorted[index];
+}
+
+/**
+ * Ejecuta la calibración completa (silencio + voz) y guarda el resultado
+ * @param {AudioCapture} audioCapture - Captura activa
+ * @param {Function} onStep - Callback con el paso actual ('silence' | 'singing')
+ * @returns {Promise<Object>} Calibración: { noiseFloorRms, signalRms, peak, noiseFloorDb, signalDb, snrDb, profile, measuredAt }
+ */
+export async function calibrateInput(audioCapture, onStep = null) {
+    if (!audioCapture.isActive()) {
+        throw new Error('La captura de audio no está activa');
+    }
+
+    if (onStep) onStep('silence');
+    const silence = await collectLevels(audioCapture, SILENCE_DURATION);
+
+    if (onStep) onStep('singing');
+    const singing = await collectLevels(audioCapture, SINGING_DURATION);
+
+    // Ruido: mediana del silencio (ignora golpes puntuales)
+    // Voz: percentil 90 (ignora las pausas para respirar)
+    const noiseFloorRms = percentile(silence.rms, 0.5);
+    const signalRms = percentile(singing.rms, 0.9);
+
+    const calibration = {
+        noiseFloorRms: noiseFloorRms,
+        signalRms: signalRms,
+        peak: singing.peak,
+        noiseFloorDb: linearToDb(noiseFloorRms),
+        signalDb: linearToDb(signalRms),
+        snrDb: linearToDb(signalRms) - linearToDb(noiseFloorRms),
+        profile: audioCapture.inputProfile,
+        measuredAt: Date.now()
+    };
+
+    saveSetting(CALIBRATION_SETTING, calibration);
+    return calibration;
+}
+
+/**
+ * Devuelve la última calibración guardada
+ * @returns {Object|null} Calibración o null si nunca se ha calibrado
+ */
+export function getInputCalibration() {
+    return loadSetting(CALIBRATION_SETTING, null);
+}
@@ -0,0 +1,58 @@
+/**
+ * Perfiles de entrada del micrófono
+ * Cada perfil decide qué procesado del navegador (getUserMedia) se activa.
+ * El procesado pensado para voz hablada aplana las notas sostenidas y el AGC
+ * "bombea" en notas largas, así que para cantar conviene desactivarlo.
+ */
+
+export const INPUT_PROFILES = {
+    speech: {
+        label: 'Voz hablada',
+        description: 'Todo el procesado del navegador activo. Útil en sitios ruidosos, pero aplana las notas largas.',
+        constraints: {
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true
+        }
+    },
+    singing: {
+        label: 'Canto',
+        description: 'Sin supresión de ruido ni control de ganancia, para que las notas sostenidas no se apaguen. Mantiene la cancelación de eco por si suenan altavoces.',
+        constraints: {
+            echoCancellation: true,
+            noiseSuppression: false,
+            autoGainControl: false
+        }
+    },
+    instrument: {
+        label: 'Instrumento',
+        description: 'Sin cancelación de eco ni control de ganancia; solo supresión de ruido para el zumbido de fondo.',
+        constraints: {
+            echoCancellation: false,
+            noiseSuppression: true,
+            autoGainControl: false
+        }
+    },
+    raw: {
+        label: 'Sin procesar',
+        description: 'Señal del micrófono tal cual. Recomendado con auriculares y una interfaz de audio.',
+        constraints: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        }
+    }
+};
+
+// Perfil por defecto: el comportamiento original de la app
+export const DEFAULT_INPUT_PROFILE = 'speech';
+
+/**
+ * Devuelve las restricciones de audio de un perfil
+ * @param {string} profileName - Nombre del perfil (speech, singing, instrument, raw)
+ * @returns {Object} Restricciones para getUserMedia (copia)
+ */
+export function getProfileConstraints(profileName) {
+    const profile = INPUT_PROFILES[profileName] || INPUT_PROFILES[DEFAULT_INPUT_PROFILE];
+    return { ...profile.constraints };
+}
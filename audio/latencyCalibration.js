@@ -0,0 +1,140 @@
+/**
+ * Medición de la latencia de ida y vuelta (altavoz → micrófono)
+ * Programa una serie de clics en el reloj del AudioContext, los busca en los
+ * frames capturados y mide cuánto tardan en llegar. El resultado (mediana) se
+ * guarda en los ajustes para que el juego de secuencia juzgue cada nota con el
+ * retraso con el que realmente llega la voz (auriculares Bluetooth, interfaces...).
+ */
+import { FRAME_SIZE } from './audioSource.js';
+import { playClick } from './noteSynthesizer.js';
+import { loadSetting, saveSetting } from '../config/settings.js';
+
+const CLICK_COUNT = 8;
+const CLICK_INTERVAL = 0.5; // Segundos entre clics
+const LEAD_IN = 0.6; // Segundos antes del primer clic (para medir el ruido de fondo)
+const DETECTION_WINDOW = 0.4; // Segundos tras cada clic en los que se busca su llegada
+const MIN_DETECTED_CLICKS = 4; // Clics necesarios para dar la medida por buena
+const THRESHOLD_FACTOR = 4; // Umbral de detección = factor × pico del ruido de fondo
+const MIN_THRESHOLD = 0.02; // Umbral mínimo (amplitud lineal)
+const MEASUREMENT_TIMEOUT = 3000; // ms de margen antes de abandonar si no llegan frames
+const LATENCY_SETTING = 'latencyCalibration';
+
+/**
+ * Guarda todos los frames hasta que el reloj de audio pasa de un instante
+ * @param {AudioSource} audioSource - Fuente activa
+ * @param {number} endTime - Instante final (segundos, reloj del AudioContext)
+ * @returns {Promise<Array<{samples: Float32Array, time: number, peak: number}>>}
+ */
+function collectFrames(audioSource, endTime) {
+    return new Promise((resolve, reject) => {
+        const frames = [];
+        const timeoutMs = (endTime - audioSource.audioContext.currentTime) * 1000 + MEASUREMENT_TIMEOUT;
+
+        const timeoutId = setTimeout(() => {
+            unsubscribe();
+            reject(new Error('No llega audio de la entrada'));
+        }, timeoutMs);
+
+        const unsubscribe = audioSource.onFrame((frame) => {
+            frames.push(frame);
+            if (frame.time >= endTime) {
+                clearTimeout(timeoutId);
+                unsubscribe();
+                resolve(frames);
+            }
+        });
+    });
+}
+
+/**
+ * Busca la primera muestra que supera el umbral después de un clic
+ * @param {Array<Object>} frames - Frames capturados
+ * @param {number} clickTime - Instante del clic (segundos)
+ * @param {number} threshold - Umbral de amplitud
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {number|null} Instante de llegada (segundos) o null si no se encontró
+ */
+function findClickArrival(frames, clickTime, threshold, sampleRate) {
+    const windowEnd = clickTime + DETECTION_WINDOW;
+    let arrival = null;
+
+    frames.forEach((frame) => {
+        // frame.time es el instante justo después de la última muestra del frame
+        const frameStart = frame.time - frame.samples.length / sampleRate;
+        if (frame.time < clickTime || frameStart > windowEnd) {
+            return;
+        }
+
+        for (let i = 0; i < frame.samples.length; i++) {
+            const sampleTime = frameStart + i / sampleRate;
+            if (sampleTime < clickTime) continue;
+            if (sampleTime > windowEnd || (arrival !== null && sampleTime >= arrival)) break;
+            if (Math.abs(frame.samples[i]) > threshold) {
+                arrival = sampleTime;
+                break;
+            }
+        }
+    });
+
+    return arrival;
+}
+
+/**
+ * Mide la latencia de ida y vuelta y guarda el resultado
+ * Conviene usar altavoces (no auriculares con cancelación) y una entrada sin
+ * procesado: la cancelación de eco del navegador eliminaría los clics.
+ * @param {AudioSource} audioSource - Fuente activa (normalmente el micrófono)
+ * @returns {Promise<Object>} Medida: { latencyMs, spreadMs, clicksDetected, measuredAt }
+ */
+export async function measureLatency(audioSource) {
+    if (!audioSource.isActive()) {
+        throw new Error('La captura de audio no está activa');
+    }
+
+    const audioContext = audioSource.audioContext;
+    const sampleRate = audioContext.sampleRate;
+    const firstClickTime = audioContext.currentTime + LEAD_IN;
+    const clickTimes = [];
+    for (let i = 0; i < CLICK_COUNT; i++) {
+        const clickTime = firstClickTime + i * CLICK_INTERVAL;
+        clickTimes.push(clickTime);
+        playClick(audioContext, clickTime);
+    }
+
+    const lastClickTime = clickTimes[clickTimes.length - 1];
+    const frames = await collectFrames(audioSource, lastClickTime + DETECTION_WINDOW + FRAME_SIZE / sampleRate);
+
+    // Umbral: bastante por encima del ruido de fondo medido antes del primer clic
+    const noisePeak = frames
+        .filter(frame => frame.time < firstClickTime)
+        .reduce((max, frame) => Math.max(max, frame.peak), 0);
+    const threshold = Math.max(MIN_THRESHOLD, noisePeak * THRESHOLD_FACTOR);
+
+    const latencies = clickTimes
+        .map(clickTime => findClickArrival(frames, clickTime, threshold, sampleRate))
+        .map((arrival, index) => arrival === null ? null : (arrival - clickTimes[index]) * 1000)
+        .filter(latency => latency !== null)
+        .sort((a, b) => a - b);
+
+    if (latencies.length < MIN_DETECTED_CLICKS) {
+        throw new Error('No se oyeron los clics: sube el volumen o acerca el micrófono a los altavoces');
+    }
+
+    const measurement = {
+        latencyMs: Math.round(latencies[Math.floor(latencies.length / 2)]),
+        spreadMs: Math.round(latencies[latencies.length - 1] - latencies[0]),
+        clicksDetected: latencies.length,
+        measuredAt: Date.now()
+    };
+
+    saveSetting(LATENCY_SETTING, measurement);
+    return measurement;
+}
+
+/**
+ * Devuelve la última medida de latencia guardada
+ * @returns {Object|null} Medida o null si nunca se ha medido
+ */
+export function getLatencyCalibration() {
+    return loadSetting(LATENCY_SETTING, null);
+}
@@ -0,0 +1,42 @@
+/**
+ * Metrónomo: tocs sintetizados con acento en la primera parte de cada compás
+ * Es un transporte (ver transport.js) cuyas notas son pulsos: va por el mismo reloj que
+ * la melodía y, con el mismo tempo e instante de inicio, queda alineado con ella. Sirve
+ * igual para la cuenta de entrada (un compás) que para marcar el pulso en bucle.
+ */
+import { Transport } from './transport.js';
+import { playTick } from './noteSynthesizer.js';
+
+const ACCENT_FREQUENCY = 1760; // Hz del toc de la primera parte
+const BEAT_FREQUENCY = 1320; // Hz del resto de pulsos
+
+/**
+ * Crea un metrónomo (sin arrancar)
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @param {number} beats - Pulsos que dura (la última parte puede ser fraccionaria)
+ * @param {Object} options
+ * @param {number} options.beatsPerBar - Pulsos por compás (el primero de cada compás va acentuado)
+ * @param {number} options.tempo - Pulsos por segundo (BPM / 60)
+ * @param {number} options.volume - Volumen (0-1)
+ * @param {boolean} options.loop - Repetir los pulsos en bucle
+ * @returns {Transport} Transporte con las posiciones en pulsos
+ */
+export function createMetronome(audioContext, beats, { beatsPerBar = 4, tempo = 1, volume = 1, loop = false } = {}) {
+    const clicks = [];
+    for (let beat = 0; beat < beats; beat++) {
+        const accent = beat % beatsPerBar === 0;
+        clicks.push({
+            frequency: accent ? ACCENT_FREQUENCY : BEAT_FREQUENCY,
+            accent,
+            duration: Math.min(1, beats - beat)
+        });
+    }
+
+    return new Transport(audioContext, clicks, {
+        tempo,
+        volume,
+        loop,
+        instrument: (context, click, startTime, duration, options) =>
+            playTick(context, click.frequency, startTime, { ...options, accent: click.accent })
+    });
+}
@@ -0,0 +1,88 @@
+/**
+ * Puerta de ruido adaptativa
+ * Estima el ruido de fondo a partir del RMS de cada frame y solo deja pasar
+ * los frames claramente por encima. El umbral sigue al ruido: baja rápido
+ * cuando la sala se calla y sube despacio (más despacio aún con la puerta
+ * abierta, para que una nota larga no se confunda con ruido).
+ * Con el nivel de la voz calibrado, los umbrales se colocan entre el ruido y la voz:
+ * más lejos del ruido si la voz llega fuerte (no se abre con respiraciones ni golpes)
+ * y más cerca si llega floja (no se corta el final de las notas).
+ */
+
+const DEFAULT_NOISE_FLOOR = 0.001; // -60 dBFS si no hay calibración
+const MIN_NOISE_FLOOR = 0.0001; // -80 dBFS
+const OPEN_RATIO = 2.5; // Abrir a ~8 dB sobre el ruido
+const CLOSE_RATIO = 1.8; // Cerrar a ~5 dB sobre el ruido (histéresis)
+const SIGNAL_OPEN_FRACTION = 0.25; // Con la voz calibrada, abrir ~12 dB por debajo de ella...
+const MIN_OPEN_RATIO = 2; // ...pero nunca a menos de ~6 dB sobre el ruido
+const MAX_OPEN_RATIO = 8; // ...ni a más de ~18 dB
+const FALL_RATE = 0.2; // Adaptación hacia abajo por frame (rápida)
+const RISE_RATE_CLOSED = 0.02; // Adaptación hacia arriba con la puerta cerrada
+const RISE_RATE_OPEN = 0.0005; // Adaptación hacia arriba con la puerta abierta (muy lenta)
+const HOLD_FRAMES = 8; // Frames que la puerta sigue abierta tras bajar del umbral (~90ms)
+
+export class NoiseGate {
+    /**
+     * @param {number} initialNoiseFloor - RMS inicial del ruido de fondo (p. ej. de la calibración)
+     */
+    constructor(initialNoiseFloor = DEFAULT_NOISE_FLOOR) {
+        this.reset(initialNoiseFloor);
+    }
+
+    /**
+     * Reinicia la estimación de ruido
+     * @param {number} noiseFloor - RMS del ruido de fondo
+     * @param {number} signalRms - RMS de la voz medido en la calibración (0 = umbrales por defecto)
+     */
+    reset(noiseFloor = DEFAULT_NOISE_FLOOR, signalRms = 0) {
+        this.noiseFloor = Math.max(MIN_NOISE_FLOOR, noiseFloor || DEFAULT_NOISE_FLOOR);
+        this.openRatio = OPEN_RATIO;
+        if (signalRms > 0) {
+            const ratio = (signalRms * SIGNAL_OPEN_FRACTION) / this.noiseFloor;
+            this.openRatio = Math.max(MIN_OPEN_RATIO, Math.min(MAX_OPEN_RATIO, ratio));
+        }
+        this.closeRatio = this.openRatio * (CLOSE_RATIO / OPEN_RATIO);
+        this.isOpen = false;
+        this.holdCounter = 0;
+    }
+
+    /**
+     * Procesa el RMS de un frame y decide si la puerta está abierta
+     * @param {number} rms - RMS lineal del frame
+     * @returns {boolean} true si el frame supera el umbral (hay señal)
+     */
+    process(rms) {
+        const openThreshold = this.noiseFloor * this.openRatio;
+        const closeThreshold = this.noiseFloor * this.closeRatio;
+
+        if (rms >= openThreshold) {
+            this.isOpen = true;
+            this.holdCounter = HOLD_FRAMES;
+        } else if (this.isOpen && rms < closeThreshold) {
+            if (this.holdCounter > 0) {
+                this.holdCounter--;
+            } else {
+                this.isOpen = false;
+            }
+        }
+
+        // Adaptar el ruido de fondo
+        if (rms < this.noiseFloor) {
+            this.noiseFloor += (rms - this.noiseFloor) * FALL_RATE;
+        } else {
+            const riseRate = this.isOpen ? RISE_RATE_OPEN : RISE_RATE_CLOSED;
+            this.noiseFloor += (rms - this.noiseFloor) * riseRate;
+        }
+        this.noiseFloor = Math.max(MIN_NOISE_FLOOR, this.noiseFloor);
+
+        return this.isOpen;
+    }
+
+    /**
+     * Umbral de apertura actual
+     * @returns {number} RMS lineal a partir del cual se abre la puerta
+     */
+    getThreshold() {
+        return this.noiseFloor * this.openRatio;
+    }
+}
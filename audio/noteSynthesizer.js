@@ -1,140 +1,232 @@
 /**
  * Módulo de síntesis de audio para reproducir notas musicales
- * Usa Web Audio API para sintetizar tonos
+ * Usa Web Audio API para sintetizar tonos con la voz elegida (ver synthVoices.js)
+ * Las frecuencias siguen la afinación de referencia (ver music/pitch.js)
  */
+import { midiToFrequency } from '../music/pitch.js';
+import { noteNameToMidi } from '../music/noteNames.js';
+import { SYNTH_VOICES, normalizeSynthVoice, applyEnvelope } from './synthVoices.js';
+import { Transport } from './transport.js';
 
-/**
- * Convierte nota MIDI a frecuencia en Hz
- * @param {number} midi - Nota MIDI (ej: 69 = A4 = 440 Hz)
- * @returns {number} Frecuencia en Hz
- */
-export function midiToFrequency(midi) {
-    // A4 = 440 Hz = MIDI 69
-    return 440 * Math.pow(2, (midi - 69) / 12);
-}
+export { midiToFrequency };
 
 /**
  * Convierte nombre de nota a frecuencia en Hz
- * @param {string} noteName - Nombre de nota (ej: "A4", "C#5")
+ * @param {string} noteName - Nombre de nota con octava (ej: "A4", "C#5", "Bb3", "Sol3"; ver noteNames.js)
  * @returns {number} Frecuencia en Hz
  */
 export function noteNameToFrequency(noteName) {
-    const A4 = 440;
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    
-    // Extraer nombre de nota y octava (ej: "A4" -> "A", "4")
-    const match = noteName.match(/^([A-G]#?)(\d+)$/);
-    if (!match) {
+    // Nota MIDI (C-1 = 0, A4 = 69)
+    const midi = noteNameToMidi(noteName);
+    if (midi === null) {
         console.error('Formato de nota inválido:', noteName);
         return null;
     }
     
-    const [, note, octaveStr] = match;
-    const octave = parseInt(octaveStr, 10);
-    const noteIndex = noteNames.indexOf(note);
-    
-    if (noteIndex === -1) {
-        console.error('Nota no encontrada:', note);
-        return null;
-    }
-    
-    // Calcular semitonos desde A4
-    const semitones = (octave - 4) * 12 + (noteIndex - 9); // A4 es índice 9
-    return A4 * Math.pow(2, semitones / 12);
+    return midiToFrequency(midi);
 }
 
 /**
  * Reproduce una nota usando Web Audio API
  * @param {AudioContext} audioContext - Contexto de audio
  * @param {number} frequency - Frecuencia en Hz
+ * @param {number} duration - Duración en segundos (incluye la caída final de la envolvente)
+ * @param {number} startTime - Tiempo de inicio (opcional)
+ * @param {Object} options
+ * @param {string} options.voice - Voz del sintetizador (ver SYNTH_VOICES; por defecto, seno)
+ * @param {number} options.volume - Volumen relativo al de la voz (0-1)
+ * @param {AudioNode} options.destination - Nodo al que se conecta (por defecto, la salida del contexto)
+ * @returns {Array<AudioScheduledSourceNode>} Las fuentes creadas (para poder detenerlas si es necesario)
+ */
+export function playNote(audioContext, frequency, duration, startTime = null, { voice = null, volume = 1, destination = null } = {}) {
+    const definition = SYNTH_VOICES[normalizeSynthVoice(voice)];
+    const actualStartTime = startTime !== null ? startTime : audioContext.currentTime;
+    const endTime = actualStartTime + duration;
+    
+    // Timbre de la voz → envolvente ADSR → salida
+    const { output, sources } = definition.build(audioContext, frequency, actualStartTime, endTime);
+    const gainNode = audioContext.createGain();
+    applyEnvelope(gainNode.gain, definition.envelope, definition.volume * volume, actualStartTime, duration);
+    
+    output.connect(gainNode);
+    gainNode.connect(destination || audioContext.destination);
+    
+    return sources;
+}
+
+/**
+ * Reproduce un acorde: todas las notas a la vez o, con arpeggioStep, una detrás de otra
+ * de grave a agudo (y vuelta a empezar) mientras dura
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @param {Array<number>} frequencies - Frecuencias de las notas en Hz (de grave a agudo)
  * @param {number} duration - Duración en segundos
  * @param {number} startTime - Tiempo de inicio (opcional)
- * @returns {OscillatorNode} El oscilador creado (para poder detenerlo si es necesario)
+ * @param {Object} options - { voice, volume, destination } (ver playNote), además de:
+ * @param {number|null} options.arpeggioStep - Segundos entre notas del arpegio (null = acorde plaqué)
+ * @returns {Array<AudioScheduledSourceNode>} Las fuentes creadas
+ */
+export function playChord(audioContext, frequencies, duration, startTime = null, { arpeggioStep = null, volume = 1, ...options } = {}) {
+    const actualStartTime = startTime !== null ? startTime : audioContext.currentTime;
+    if (frequencies.length === 0) {
+        return [];
+    }
+    
+    if (!arpeggioStep) {
+        // Plaqué: el volumen se reparte para que el acorde no suene más fuerte que una nota
+        const noteVolume = volume / Math.sqrt(frequencies.length);
+        return frequencies.flatMap(frequency =>
+            playNote(audioContext, frequency, duration, actualStartTime, { ...options, volume: noteVolume })
+        );
+    }
+    
+    // Arpegio: cada nota suena dos pasos (se solapa con la siguiente) sin pasarse del final
+    const sources = [];
+    for (let step = 0; step * arpeggioStep < duration - 0.01; step++) {
+        const offset = step * arpeggioStep;
+        const noteDuration = Math.min(arpeggioStep * 2, duration - offset);
+        const frequency = frequencies[step % frequencies.length];
+        sources.push(...playNote(audioContext, frequency, noteDuration, actualStartTime + offset, { ...options, volume }));
+    }
+    return sources;
+}
+
+/**
+ * Reproduce un clic corto (ataque instantáneo, caída rápida)
+ * Pensado para medir latencia: el inicio es nítido y fácil de localizar en la entrada
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @param {number} startTime - Tiempo de inicio (opcional, reloj del AudioContext)
+ * @param {number} volume - Volumen del clic (0-1)
+ * @returns {OscillatorNode} El oscilador creado
+ */
+export function playClick(audioContext, startTime = null, volume = 0.8) {
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+    const actualStartTime = startTime !== null ? startTime : audioContext.currentTime;
+    const clickDuration = 0.03; // 30ms
+
+    oscillator.type = 'square';
+    oscillator.frequency.value = 1000;
+
+    gainNode.gain.setValueAtTime(volume, actualStartTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, actualStartTime + clickDuration);
+
+    oscillator.connect(gainNode);
+    gainNode.connect(audioContext.destination);
+
+    oscillator.start(actualStartTime);
+    oscillator.stop(actualStartTime + clickDuration);
+
+    return oscillator;
+}
+
+/**
+ * Reproduce un pulso de metrónomo: un "toc" corto y agudo (más fuerte en el acento)
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @param {number} frequency - Frecuencia del toc en Hz
+ * @param {number} startTime - Tiempo de inicio (opcional, reloj del AudioContext)
+ * @param {Object} options
+ * @param {number} options.volume - Volumen (0-1)
+ * @param {boolean} options.accent - Primera parte del compás
+ * @param {AudioNode} options.destination - Nodo al que se conecta (por defecto, la salida del contexto)
+ * @returns {Array<OscillatorNode>} El oscilador creado
  */
-export function playNote(audioContext, frequency, duration, startTime = null) {
+export function playTick(audioContext, frequency, startTime = null, { volume = 1, accent = false, destination = null } = {}) {
     const oscillator = audioContext.createOscillator();
     const gainNode = audioContext.createGain();
+    const actualStartTime = startTime !== null ? startTime : audioContext.currentTime;
+    const tickDuration = 0.05; // 50ms
+    const peak = (accent ? 0.6 : 0.35) * volume;
     
-    // Configurar oscilador
-    oscillator.type = 'sine'; // Onda sinusoidal para sonido suave
+    oscillator.type = 'triangle';
     oscillator.frequency.value = frequency;
     
-    // Configurar envolvente (attack y release suaves)
-    const now = audioContext.currentTime;
-    const actualStartTime = startTime !== null ? startTime : now;
-    const attackTime = 0.05; // 50ms de ataque
-    const releaseTime = 0.1; // 100ms de liberación
-    
     gainNode.gain.setValueAtTime(0, actualStartTime);
-    gainNode.gain.linearRampToValueAtTime(0.3, actualStartTime + attackTime); // Volumen moderado
-    gainNode.gain.setValueAtTime(0.3, actualStartTime + duration - releaseTime);
-    gainNode.gain.linearRampToValueAtTime(0, actualStartTime + duration);
+    gainNode.gain.linearRampToValueAtTime(Math.max(peak, 0.001), actualStartTime + 0.002);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, actualStartTime + tickDuration);
     
-    // Conectar nodos
     oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
+    gainNode.connect(destination || audioContext.destination);
     
-    // Iniciar y detener
     oscillator.start(actualStartTime);
-    oscillator.stop(actualStartTime + duration);
+    oscillator.stop(actualStartTime + tickDuration);
     
-    return oscillator;
+    return [oscillator];
+}
+
+/**
+ * Empieza un bordón: una nota sostenida (con su octava grave) que suena hasta que se pare
+ * Sirve de referencia continua de la tónica mientras se canta
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @param {number} frequency - Frecuencia de la nota en Hz
+ * @param {Object} options
+ * @param {number} options.volume - Volumen (0-1)
+ * @param {number} options.startTime - Tiempo de inicio (opcional, reloj del AudioContext)
+ * @returns {{frequencies: Array<number>, setVolume: Function, stop: Function}} Frecuencias que
+ *          suenan, cambio de volumen y parada (ambos con un fundido corto)
+ */
+export function startDrone(audioContext, frequency, { volume = 1, startTime = null } = {}) {
+    const droneLevel = 0.2;
+    const fadeTime = 0.4; // Entrada y salida suaves
+    const actualStartTime = startTime !== null ? startTime : audioContext.currentTime;
+    const partials = [{ frequency, gain: 1 }, { frequency: frequency / 2, gain: 0.6 }];
+    
+    const gainNode = audioContext.createGain();
+    gainNode.gain.setValueAtTime(0, actualStartTime);
+    gainNode.gain.linearRampToValueAtTime(droneLevel * volume, actualStartTime + fadeTime);
+    gainNode.connect(audioContext.destination);
+    
+    const oscillators = partials.map(partial => {
+        const oscillator = audioContext.createOscillator();
+        const partialGain = audioContext.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = partial.frequency;
+        partialGain.gain.value = partial.gain;
+        oscillator.connect(partialGain);
+        partialGain.connect(gainNode);
+        oscillator.start(actualStartTime);
+        return oscillator;
+    });
+    
+    return {
+        frequencies: partials.map(partial => partial.frequency),
+        setVolume: (newVolume) => {
+            gainNode.gain.setTargetAtTime(droneLevel * newVolume, audioContext.currentTime, 0.05);
+        },
+        stop: () => {
+            const now = audioContext.currentTime;
+            gainNode.gain.cancelScheduledValues(now);
+            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            gainNode.gain.linearRampToValueAtTime(0, now + fadeTime);
+            oscillators.forEach(oscillator => oscillator.stop(now + fadeTime));
+        }
+    };
 }
 
 /**
  * Reproduce una secuencia de notas
+ * Las notas y los avisos van por el reloj del AudioContext (ver transport.js)
  * @param {AudioContext} audioContext - Contexto de audio
- * @param {Array<{note: string|number, duration: number}>} sequence - Array de objetos con 'note' (nombre o MIDI) y 'duration' (segundos)
+ * @param {Array<{note: string|number, frequency: number, duration: number}>} sequence - Array de objetos con 'note' (nombre o MIDI),
+ *        'frequency' opcional (Hz ya afinados, tiene prioridad sobre 'note') y 'duration' (segundos)
  * @param {Function} onNoteStart - Callback cuando empieza cada nota (recibe índice y datos de la nota)
  * @param {Function} onComplete - Callback cuando termina la secuencia
+ * @param {Object} options - { voice, volume, tempo, loop } (ver Transport)
+ * @returns {Transport} Transporte ya en marcha (pausa, parada, salto, tempo y bucle)
  */
-export function playSequence(audioContext, sequence, onNoteStart = null, onComplete = null) {
-    let currentTime = audioContext.currentTime;
-    const oscillators = [];
-    
-    sequence.forEach((noteData, index) => {
-        const { note, duration } = noteData;
-        
-        // Convertir nota a frecuencia
-        let frequency;
-        if (typeof note === 'number') {
-            frequency = midiToFrequency(note);
-        } else if (typeof note === 'string') {
-            frequency = noteNameToFrequency(note);
-        } else {
-            console.error('Formato de nota no válido:', note);
-            return;
-        }
-        
-        if (!frequency) {
-            console.error('No se pudo convertir nota a frecuencia:', note);
-            return;
-        }
-        
-        // Llamar callback al inicio de cada nota
-        if (onNoteStart) {
-            setTimeout(() => {
-                onNoteStart(index, { note, frequency, duration });
-            }, (currentTime - audioContext.currentTime) * 1000);
-        }
-        
-        // Reproducir nota
-        const oscillator = playNote(audioContext, frequency, duration, currentTime);
-        oscillators.push(oscillator);
-        
-        // Avanzar tiempo para la siguiente nota
-        currentTime += duration;
-    });
+export function playSequence(audioContext, sequence, onNoteStart = null, onComplete = null, options = {}) {
+    const transport = new Transport(audioContext, sequence, options);
     
-    // Llamar callback cuando termine la secuencia
+    if (onNoteStart) {
+        transport.on('note', (index, { note, frequency, duration }) => {
+            onNoteStart(index, { note, frequency, duration });
+        });
+    }
     if (onComplete) {
-        const totalDuration = sequence.reduce((sum, note) => sum + note.duration, 0);
-        setTimeout(() => {
-            onComplete();
-        }, totalDuration * 1000);
+        transport.on('end', () => onComplete());
     }
     
-    return oscillators;
+    transport.play();
+    return transport;
 }
 
 /**
@@ -0,0 +1,85 @@
+/**
+ * Algoritmos de detección de pitch disponibles (todos de Pitchfinder)
+ * Cada entrada sabe construir su detector con sus parámetros; createPitchDetector
+ * los envuelve para que todos devuelvan una frecuencia dentro del rango o null.
+ */
+import { YIN, AMDF, Macleod, ACF2PLUS, DynamicWavelet } from 'pitchfinder';
+
+export const PITCH_ALGORITHMS = {
+    yin: {
+        label: 'YIN (con AMDF de respaldo)',
+        description: 'Estable y preciso con voz. Si YIN no encuentra pitch se prueba AMDF.',
+        options: { threshold: 0.1 },
+        create: (config) => {
+            const yin = YIN({ sampleRate: config.sampleRate, threshold: config.threshold });
+            const amdf = PITCH_ALGORITHMS.amdf.create(config);
+            return (data) => {
+                const frequency = yin(data);
+                return isInRange(frequency, config) ? frequency : amdf(data);
+            };
+        }
+    },
+    amdf: {
+        label: 'AMDF',
+        description: 'Diferencia media absoluta. Sencillo, pero tiende a confundir octavas.',
+        options: {},
+        create: (config) => AMDF({
+            sampleRate: config.sampleRate,
+            minFrequency: config.minFrequency,
+            maxFrequency: config.maxFrequency
+        })
+    },
+    macleod: {
+        label: 'McLeod (MPM)',
+        description: 'Muy preciso y con pocas confusiones de octava, pero más costoso.',
+        options: { cutoff: 0.97 },
+        create: (config) => {
+            const macleod = Macleod({
+                sampleRate: config.sampleRate,
+                bufferSize: config.frameSize,
+                cutoff: config.cutoff
+            });
+            return (data) => macleod(data).freq;
+        }
+    },
+    acf2plus: {
+        label: 'Autocorrelación (ACF2+)',
+        description: 'Autocorrelación clásica. Rápida en señales limpias.',
+        options: {},
+        create: (config) => ACF2PLUS({ sampleRate: config.sampleRate })
+    },
+    dynamicWavelet: {
+        label: 'Wavelet dinámica',
+        description: 'Muy rápida, pero menos fiable con voz o con ruido.',
+        options: {},
+        create: (config) => DynamicWavelet({ sampleRate: config.sampleRate })
+    }
+};
+
+export const DEFAULT_PITCH_ALGORITHM = 'yin';
+
+/**
+ * Indica si una frecuencia detectada es válida y está dentro del rango
+ * @param {number|null} frequency - Frecuencia detectada
+ * @param {{minFrequency: number, maxFrequency: number}} config - Rango válido
+ * @returns {boolean}
+ */
+function isInRange(frequency, config) {
+    return Boolean(frequency) && frequency >= config.minFrequency && frequency <= config.maxFrequency;
+}
+
+/**
+ * Crea un detector de pitch
+ * @param {string} name - Nombre del algoritmo (ver PITCH_ALGORITHMS)
+ * @param {Object} config - { sampleRate, minFrequency, maxFrequency, frameSize } y opciones del algoritmo
+ * @returns {Function} Recibe las muestras y devuelve la frecuencia en Hz o null si no hay pitch en el rango
+ */
+export function createPitchDetector(name, config) {
+    const algorithm = PITCH_ALGORITHMS[name] || PITCH_ALGORITHMS[DEFAULT_PITCH_ALGORITHM];
+    const detector = algorithm.create({ ...algorithm.options, ...config });
+
+    return (data) => {
+        const frequency = detector(data);
+        return isInRange(frequency, config) ? frequency : null;
+    };
+}
@@ -0,0 +1,328 @@
+/**
+ * Banco de pruebas de los algoritmos de detección de pitch
+ * Pasa cada algoritmo por dos conjuntos de grabaciones y mide:
+ * - precisión: frames con tono detectados a menos de 50 cents de la nota real
+ * - errores de octava: frames detectados a una o más octavas de la nota real
+ * - falsos positivos: frames sin tono en los que se detecta uno (solo en las sintéticas)
+ * - coste: ms de CPU por frame
+ * El conjunto principal son grabaciones reales de instrumentos (violín, flauta,
+ * violonchelo y saxofón) de tonejs-instruments, en audio/benchmark/ (CC BY 3.0, ver su
+ * LICENSE.md), una nota por archivo:
+ * la nota del archivo es la frecuencia real de cada frame en que suena. No hay
+ * grabaciones de voz con la nota de cada frame que se puedan incluir, así que la
+ * voz solo está en el conjunto extra, generado con la fuente sintética.
+ * El extra sale de guiones con semilla: siempre idéntico, pero hecho con el mismo
+ * modelo de señal que imitan los detectores, así que sus cifras son optimistas.
+ */
+import { FRAME_SIZE, HOP_SIZE } from './audioSource.js';
+import { PITCH_ALGORITHMS, createPitchDetector } from './pitchAlgorithms.js';
+import { renderSyntheticSignal } from './syntheticSource.js';
+import { noteNameToFrequency } from './noteSynthesizer.js';
+import { noteNameToMidi } from '../music/noteNames.js';
+import violinG3 from './benchmark/violin-G3.mp3?url';
+import violinA4 from './benchmark/violin-A4.mp3?url';
+import violinE5 from './benchmark/violin-E5.mp3?url';
+import fluteC4 from './benchmark/flute-C4.mp3?url';
+import fluteA4 from './benchmark/flute-A4.mp3?url';
+import fluteE5 from './benchmark/flute-E5.mp3?url';
+import celloG2 from './benchmark/cello-G2.mp3?url';
+import celloC3 from './benchmark/cello-C3.mp3?url';
+import celloA3 from './benchmark/cello-A3.mp3?url';
+import saxophoneD4 from './benchmark/saxophone-D4.mp3?url';
+import saxophoneG4 from './benchmark/saxophone-G4.mp3?url';
+
+const BENCHMARK_SAMPLE_RATE = 48000;
+const MIN_FREQUENCY = 80; // Mismo rango que PitchDetection
+const MAX_FREQUENCY = 1000;
+const TOLERANCE_CENTS = 50; // Error máximo para contar una detección como correcta
+const NOTE_DURATION = 0.6; // Segundos por nota en las grabaciones de prueba
+const GAP_DURATION = 0.25; // Silencio entre notas
+const FRAMES_PER_CHUNK = 100; // Frames analizados entre pausas para no bloquear la interfaz
+const RECORDING_PITCH = 440; // La4 con el que están afinadas las grabaciones (no el de ajustes)
+const RECORDED_NOTE_DURATION = 1.5; // Segundos de cada nota grabada que se usan
+const RECORDED_ATTACK = 0.1; // Segundos de ataque sin puntuar al principio de cada nota
+const RECORDED_LEVEL_FRACTION = 0.1; // Frames por debajo de esta fracción del pico de la nota no se puntúan
+
+/**
+ * Construye el guion de una grabación de prueba: notas separadas por silencios
+ * @param {string} type - Tipo de señal ('voice', 'sine', 'sawtooth')
+ * @param {Array<string>} notes - Notas a cantar
+ * @param {Object} options - { seed, noise, vibrato, jitter, amplitude }
+ * @returns {Object} Guion para renderSyntheticSignal
+ */
+function buildClipScript(type, notes, { seed, noise = 0.002, vibrato = null, jitter = 0, amplitude = 0.4 }) {
+    const segments = [{ type: 'silence', duration: GAP_DURATION }];
+    notes.forEach(note => {
+        segments.push({ type, note, duration: NOTE_DURATION, amplitude, vibrato, jitter });
+        segments.push({ type: 'silence', duration: GAP_DURATION });
+    });
+    return { seed, noise, loopFrom: null, segments };
+}
+
+const VOICE_VIBRATO = { rate: 5.5, depth: 25 };
+
+export const SYNTHETIC_CLIPS = [
+    {
+        label: 'Voz grave con vibrato',
+        script: buildClipScript('voice', ['A2', 'D3', 'G3', 'B2'], { seed: 11, vibrato: VOICE_VIBRATO, jitter: 5 })
+    },
+    {
+        label: 'Voz aguda con vibrato',
+        script: buildClipScript('voice', ['C5', 'E5', 'A5', 'G4'], { seed: 12, vibrato: VOICE_VIBRATO, jitter: 5 })
+    },
+    {
+        label: 'Diente de sierra',
+        script: buildClipScript('sawtooth', ['C3', 'G3', 'C4', 'E4'], { seed: 13 })
+    },
+    {
+        label: 'Seno con ruido',
+        script: buildClipScript('sine', ['A3', 'E4', 'B3', 'F#4'], { seed: 14, noise: 0.1 })
+    },
+    {
+        label: 'Voz con ruido',
+        script: buildClipScript('voice', ['G3', 'C4', 'E4', 'D4'], { seed: 15, noise: 0.06, vibrato: VOICE_VIBRATO, jitter: 10 })
+    }
+];
+
+export const RECORDED_CLIPS = [
+    {
+        label: 'Violín con vibrato',
+        notes: [{ url: violinG3, note: 'G3' }, { url: violinA4, note: 'A4' }, { url: violinE5, note: 'E5' }]
+    },
+    {
+        label: 'Flauta',
+        notes: [{ url: fluteC4, note: 'C4' }, { url: fluteA4, note: 'A4' }, { url: fluteE5, note: 'E5' }]
+    },
+    {
+        label: 'Violonchelo',
+        notes: [{ url: celloG2, note: 'G2' }, { url: celloC3, note: 'C3' }, { url: celloA3, note: 'A3' }]
+    },
+    {
+        label: 'Saxofón',
+        notes: [{ url: saxophoneD4, note: 'D4' }, { url: saxophoneG4, note: 'G4' }]
+    }
+];
+
+/**
+ * Número de frames completos de una señal
+ * @param {number} length - Muestras de la señal
+ * @returns {number} Frames de FRAME_SIZE muestras cada HOP_SIZE
+ */
+function countFrames(length) {
+    return Math.max(0, Math.floor((length - FRAME_SIZE) / HOP_SIZE) + 1);
+}
+
+/**
+ * Descarga y decodifica una grabación a la frecuencia de muestreo del banco
+ * @param {string} url - Dirección del archivo de audio
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {Promise<Float32Array>} Primer canal, como mucho RECORDED_NOTE_DURATION segundos
+ */
+async function decodeRecording(url, sampleRate) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`No se pudo cargar ${url} (${response.status})`);
+    }
+    const context = new OfflineAudioContext(1, 1, sampleRate);
+    const buffer = await context.decodeAudioData(await response.arrayBuffer());
+    const samples = buffer.getChannelData(0);
+    return samples.slice(0, Math.min(samples.length, Math.round(RECORDED_NOTE_DURATION * sampleRate)));
+}
+
+/**
+ * Frecuencia real de cada frame de una nota grabada
+ * Se puntúan los frames enteros dentro de la nota, pasado el ataque y con un nivel
+ * cercano al de su pico; el resto (ataque, cola y frames entre dos notas) no
+ * @param {Float32Array} samples - Muestras de la nota
+ * @param {string} note - Nota del archivo
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {Array<number|undefined>} Frecuencia real por frame (undefined = no se puntúa)
+ */
+function getRecordedTruth(samples, note, sampleRate) {
+    const frequency = RECORDING_PITCH * Math.pow(2, (noteNameToMidi(note) - 69) / 12);
+    const levels = [];
+    for (let frameIndex = 0; frameIndex < countFrames(samples.length); frameIndex++) {
+        const frame = samples.subarray(frameIndex * HOP_SIZE, frameIndex * HOP_SIZE + FRAME_SIZE);
+        levels.push(Math.sqrt(frame.reduce((sum, sample) => sum + sample * sample, 0) / FRAME_SIZE));
+    }
+    const threshold = Math.max(0, ...levels) * RECORDED_LEVEL_FRACTION;
+    const attackFrames = Math.ceil(RECORDED_ATTACK * sampleRate / HOP_SIZE);
+    return levels.map((level, frameIndex) => (frameIndex >= attackFrames && level >= threshold ? frequency : undefined));
+}
+
+/**
+ * Carga una grabación real: sus notas una detrás de otra con la frecuencia de cada frame
+ * @param {Object} clip - Grabación de RECORDED_CLIPS
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {Promise<{samples: Float32Array, frameCount: number, truth: Array<number|undefined>}>}
+ */
+async function loadRecordedClip(clip, sampleRate) {
+    const notes = await Promise.all(clip.notes.map(({ url }) => decodeRecording(url, sampleRate)));
+    const samples = new Float32Array(notes.reduce((sum, note) => sum + note.length, 0));
+    const frameCount = countFrames(samples.length);
+    const truth = new Array(frameCount).fill(undefined);
+
+    let offset = 0;
+    notes.forEach((noteSamples, noteIndex) => {
+        samples.set(noteSamples, offset);
+        // Los frames de la nota empiezan en múltiplos del salto (las notas no están alineadas)
+        const firstFrame = Math.ceil(offset / HOP_SIZE);
+        const shifted = samples.subarray(firstFrame * HOP_SIZE, offset + noteSamples.length);
+        getRecordedTruth(shifted, clip.notes[noteIndex].note, sampleRate).forEach((frequency, frameIndex) => {
+            truth[firstFrame + frameIndex] = frequency;
+        });
+        offset += noteSamples.length;
+    });
+    return { samples, frameCount, truth };
+}
+
+/**
+ * Calcula la frecuencia real de cada frame de una grabación de prueba
+ * Los frames que cruzan el límite entre dos segmentos no se puntúan (undefined)
+ * @param {Object} script - Guion de la grabación
+ * @param {number} frameCount - Número de frames
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {Array<number|null|undefined>} Frecuencia real (null = sin tono, undefined = no se puntúa)
+ */
+function getGroundTruth(script, frameCount, sampleRate) {
+    const boundaries = [];
+    let offset = 0;
+    script.segments.forEach(segment => {
+        const length = Math.round(segment.duration * sampleRate);
+        const frequency = segment.type === 'silence' || segment.type === 'noise'
+            ? null
+            : (segment.frequency || noteNameToFrequency(segment.note));
+        boundaries.push({ start: offset, end: offset + length, frequency });
+        offset += length;
+    });
+
+    const truth = [];
+    for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+        const start = frameIndex * HOP_SIZE;
+        const end = start + FRAME_SIZE;
+        const segment = boundaries.find(b => start >= b.start && end <= b.end);
+        truth.push(segment ? segment.frequency : undefined);
+    }
+    return truth;
+}
+
+/**
+ * Distancia en cents entre dos frecuencias
+ * @param {number} frequency - Frecuencia detectada
+ * @param {number} reference - Frecuencia real
+ * @returns {number} Cents (positivo si está por encima)
+ */
+function centsBetween(frequency, reference) {
+    return 1200 * Math.log2(frequency / reference);
+}
+
+/**
+ * Pasa un detector por las grabaciones de un conjunto y cuenta aciertos y errores
+ * @param {Function} detector - Detector de createPitchDetector
+ * @param {Array<Object>} clips - Grabaciones: { samples, frameCount, truth }
+ * @param {Function} onFrame - Se llama tras cada frame; devuelve una promesa para ceder el hilo
+ * @returns {Promise<Object>} Resultados sin el algoritmo: { accuracy, octaveErrorRate,
+ *          falsePositiveRate, msPerFrame, voicedFrames }
+ */
+async function measureClips(detector, clips, onFrame) {
+    const stats = { voiced: 0, correct: 0, octaveErrors: 0, unvoiced: 0, falsePositives: 0, cpuMs: 0, frames: 0 };
+
+    for (const clip of clips) {
+        for (let frameIndex = 0; frameIndex < clip.frameCount; frameIndex++) {
+            const start = frameIndex * HOP_SIZE;
+            const frame = clip.samples.subarray(start, start + FRAME_SIZE);
+
+            const startTime = performance.now();
+            const frequency = detector(frame);
+            stats.cpuMs += performance.now() - startTime;
+            stats.frames++;
+
+            const expected = clip.truth[frameIndex];
+            if (expected === null) {
+                stats.unvoiced++;
+                if (frequency) stats.falsePositives++;
+            } else if (expected !== undefined) {
+                stats.voiced++;
+                if (frequency) {
+                    const cents = centsBetween(frequency, expected);
+                    const octaves = Math.round(cents / 1200);
+                    if (Math.abs(cents) <= TOLERANCE_CENTS) {
+                        stats.correct++;
+                    } else if (octaves !== 0 && Math.abs(cents - octaves * 1200) <= TOLERANCE_CENTS) {
+                        stats.octaveErrors++;
+                    }
+                }
+            }
+
+            await onFrame();
+        }
+    }
+
+    return {
+        accuracy: stats.voiced ? stats.correct / stats.voiced : 0,
+        octaveErrorRate: stats.voiced ? stats.octaveErrors / stats.voiced : 0,
+        falsePositiveRate: stats.unvoiced ? stats.falsePositives / stats.unvoiced : null,
+        msPerFrame: stats.frames ? stats.cpuMs / stats.frames : 0,
+        voicedFrames: stats.voiced
+    };
+}
+
+/**
+ * Ejecuta el banco de pruebas
+ * @param {Object} options
+ * @param {Array<string>} options.algorithms - Algoritmos a probar (por defecto todos)
+ * @param {Function} options.onProgress - Callback opcional con el progreso (0-1)
+ * @returns {Promise<Array<{set: string, label: string, results: Array<Object>}>>} Por conjunto
+ *          ('recorded' y 'synthetic'), por algoritmo: { algorithm, label, accuracy, octaveErrorRate,
+ *          falsePositiveRate (null sin frames sin tono), msPerFrame, voicedFrames }
+ */
+export async function runPitchBenchmark({ algorithms = Object.keys(PITCH_ALGORITHMS), onProgress = null } = {}) {
+    const sampleRate = BENCHMARK_SAMPLE_RATE;
+
+    // Cargar y generar las grabaciones una sola vez
+    const sets = [
+        {
+            set: 'recorded',
+            label: 'Grabaciones reales (instrumentos)',
+            clips: await Promise.all(RECORDED_CLIPS.map(clip => loadRecordedClip(clip, sampleRate)))
+        },
+        {
+            set: 'synthetic',
+            label: 'Señal sintética',
+            clips: SYNTHETIC_CLIPS.map(clip => {
+                const { samples } = renderSyntheticSignal(clip.script, sampleRate);
+                const frameCount = countFrames(samples.length);
+                return { samples, frameCount, truth: getGroundTruth(clip.script, frameCount, sampleRate) };
+            })
+        }
+    ];
+
+    const framesPerAlgorithm = sets.reduce((sum, { clips }) => sum + clips.reduce((total, clip) => total + clip.frameCount, 0), 0);
+    const totalFrames = framesPerAlgorithm * algorithms.length;
+    let processedFrames = 0;
+    const results = sets.map(({ set, label }) => ({ set, label, results: [] }));
+
+    const onFrame = async () => {
+        processedFrames++;
+        if (processedFrames % FRAMES_PER_CHUNK === 0) {
+            if (onProgress) onProgress(processedFrames / totalFrames);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    };
+
+    for (const algorithm of algorithms) {
+        const detector = createPitchDetector(algorithm, {
+            sampleRate,
+            minFrequency: MIN_FREQUENCY,
+            maxFrequency: MAX_FREQUENCY,
+            frameSize: FRAME_SIZE
+        });
+        for (const [setIndex, { clips }] of sets.entries()) {
+            const measured = await measureClips(detector, clips, onFrame);
+            results[setIndex].results.push({ algorithm, label: PITCH_ALGORITHMS[algorithm].label, ...measured });
+        }
+    }
+
+    if (onProgress) onProgress(1);
+    return results;
+}
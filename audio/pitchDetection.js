@@ -1,93 +1,263 @@
 /**
  * Módulo de detección de pitch (frecuencia fundamental)
- * Usa Pitchfinder con algoritmo YIN para detección estable de pitch
- * AMDF como fallback si YIN falla
+ * Usa uno de los algoritmos de Pitchfinder (por defecto YIN con AMDF como
+ * fallback), elegible en tiempo de ejecución (ver pitchAlgorithms.js)
  * Solo detecta una frecuencia (un solo jugador)
+ *
+ * Cada detección incluye una confianza (claridad de la periodicidad en el
+ * periodo detectado) y una decisión de sonoridad: así se distingue una nota
+ * cantada limpia de una estimación dudosa (voz aireada, ruido que AMDF toma por tono).
+ *
+ * Con useWorker, detectPitchAsync() hace la estimación en un Web Worker y el hilo
+ * principal solo pasa la puerta de ruido. Sin soporte de workers (o si el worker
+ * falla) se usa el mismo cálculo en el hilo principal.
  */
-import { YIN, AMDF } from 'pitchfinder';
+import { FRAME_SIZE } from './audioSource.js';
+import { DEFAULT_PITCH_ALGORITHM, PITCH_ALGORITHMS } from './pitchAlgorithms.js';
+import { createPitchEstimator } from './pitchEstimator.js';
+import { PitchWorkerClient } from './pitchWorkerClient.js';
+import { computeRms } from './signalLevel.js';
+import { NoiseGate } from './noiseGate.js';
+import { frequencyToScaleNote } from '../music/tuningSystems.js';
+
+const VOICING_THRESHOLD = 0.6; // Confianza mínima para considerar un frame cantado (0-1)
 
 export class PitchDetection {
-    constructor(sampleRate = 44100) {
+    /**
+     * @param {number} sampleRate - Frecuencia de muestreo
+     * @param {string} algorithm - Algoritmo de detección (ver PITCH_ALGORITHMS)
+     * @param {Object} options
+     * @param {boolean} options.useWorker - Estimar en un Web Worker (detectPitchAsync)
+     * @param {number} options.minFrequency - Frecuencia mínima en Hz (ver rangePresets.js)
+     * @param {number} options.maxFrequency - Frecuencia máxima en Hz
+     */
+    constructor(sampleRate = 44100, algorithm = DEFAULT_PITCH_ALGORITHM,
+        { useWorker = false, minFrequency = 80, maxFrequency = 1000 } = {}) {
         this.sampleRate = sampleRate;
-        this.minFrequency = 80;  // Frecuencia mínima (voz grave)
-        this.maxFrequency = 1000; // Frecuencia máxima (voz aguda)
+        this.minFrequency = minFrequency; // Por defecto, voz grave
+        this.maxFrequency = maxFrequency; // Por defecto, voz aguda
+        this.noiseGate = new NoiseGate(); // Puerta de ruido adaptativa (evita detectar pitch en silencio)
+        this.lastRms = 0; // RMS del último frame analizado
+        this.voicingThreshold = VOICING_THRESHOLD;
+        this.lastRequest = Promise.resolve(); // Última detección pedida a detectPitchAsync (las respuestas salen en orden)
         
-        // Inicializar detectores de Pitchfinder
-        // YIN es excelente para voz, AMDF como fallback
-        this.yinDetector = YIN({ 
-            sampleRate: this.sampleRate,
-            threshold: 0.1,
-            minFrequency: this.minFrequency,
-            maxFrequency: this.maxFrequency
-        });
+        // Worker opcional para sacar la estimación del hilo principal
+        this.workerClient = null;
+        if (useWorker && PitchWorkerClient.isSupported()) {
+            try {
+                this.workerClient = new PitchWorkerClient();
+            } catch (error) {
+                console.warn('No se pudo crear el worker de pitch; se detecta en el hilo principal:', error);
+            }
+        }
         
-        this.amdfDetector = AMDF({
+        // Estimador de Pitchfinder según el algoritmo elegido
+        this.algorithm = PITCH_ALGORITHMS[algorithm] ? algorithm : DEFAULT_PITCH_ALGORITHM;
+        this.estimator = null;
+        this.createDetector();
+    }
+
+    /**
+     * (Re)crea el detector con el algoritmo, la frecuencia de muestreo y el rango actuales
+     * (también en el worker, si se usa)
+     */
+    createDetector() {
+        const config = {
             sampleRate: this.sampleRate,
             minFrequency: this.minFrequency,
-            maxFrequency: this.maxFrequency
-        });
+            maxFrequency: this.maxFrequency,
+            frameSize: FRAME_SIZE
+        };
+        this.estimator = createPitchEstimator(this.algorithm, config);
+        if (this.workerClient) {
+            this.workerClient.configure(this.algorithm, config);
+        }
+    }
+
+    /**
+     * Indica si la estimación se está haciendo en el worker
+     * @returns {boolean}
+     */
+    isUsingWorker() {
+        return Boolean(this.workerClient && !this.workerClient.failed);
+    }
+
+    /**
+     * Cambia el algoritmo de detección
+     * @param {string} algorithm - Nombre del algoritmo (ver PITCH_ALGORITHMS)
+     */
+    setAlgorithm(algorithm) {
+        this.algorithm = PITCH_ALGORITHMS[algorithm] ? algorithm : DEFAULT_PITCH_ALGORITHM;
+        this.createDetector();
+    }
+
+    /**
+     * Cambia el rango de frecuencias que se detecta (cambio de instrumento)
+     * @param {number} minFrequency - Frecuencia mínima en Hz
+     * @param {number} maxFrequency - Frecuencia máxima en Hz
+     */
+    setFrequencyRange(minFrequency, maxFrequency) {
+        this.minFrequency = minFrequency;
+        this.maxFrequency = maxFrequency;
+        this.createDetector();
     }
 
     /**
-     * Detecta la frecuencia fundamental usando Pitchfinder (YIN con fallback AMDF)
+     * Detecta la frecuencia fundamental con el algoritmo elegido
      * @param {Float32Array} timeData - Datos de tiempo del audio
-     * @returns {number|null} Frecuencia en Hz o null si no se detecta
+     * @param {Float32Array} gateData - Muestras para la puerta de ruido y el RMS (por defecto,
+     *        las mismas; con el acompañamiento quitado, el frame original)
+     * @returns {{frequency: number|null, confidence: number, rms: number, voiced: boolean}}
+     *          frequency: estimación en Hz (puede existir aunque el frame no sea sonoro);
+     *          confidence: claridad de la periodicidad (0-1); rms: energía del frame;
+     *          voiced: el frame supera la puerta de ruido y la confianza mínima
      */
-    detectPitch(timeData) {
+    detectPitch(timeData, gateData = timeData) {
+        const result = { frequency: null, confidence: 0, rms: 0, voiced: false };
         if (!timeData || timeData.length === 0) {
-            return null;
+            return result;
+        }
+
+        // Ignorar frames que no superan la puerta de ruido (AMDF devolvería pitch en el ruido)
+        const gateOpen = this.passesNoiseGate(gateData);
+        result.rms = this.lastRms;
+        if (!gateOpen) {
+            return result;
         }
 
         try {
-            // Convertir Float32Array a Array normal (Pitchfinder lo requiere)
-            const audioData = Array.from(timeData);
-            
-            // Intentar primero con YIN (más preciso para voz)
-            let frequency = this.yinDetector(audioData);
-            
-            // Si YIN falla, intentar con AMDF como fallback
-            if (!frequency || frequency <= 0 || 
-                frequency < this.minFrequency || frequency > this.maxFrequency) {
-                frequency = this.amdfDetector(audioData);
-            }
-            
-            // Validar que la frecuencia está en el rango válido
-            if (frequency && frequency > 0 && 
-                frequency >= this.minFrequency && 
-                frequency <= this.maxFrequency) {
-                return frequency;
-            }
-            
-            return null;
+            Object.assign(result, this.estimator(timeData));
         } catch (error) {
             console.error('Error en detección de pitch:', error);
-            return null;
+            return result;
         }
+
+        return this.applyVoicing(result);
     }
 
     /**
-     * Convierte frecuencia a nota musical
+     * Como detectPitch, pero con la estimación en el worker (sin bloquear el hilo principal)
+     * La puerta de ruido se evalúa al pedirla, así que los frames deben pedirse en orden.
+     * Las promesas se resuelven en ese mismo orden: un frame con la puerta cerrada (que no
+     * pasa por el worker) espera a que salgan los anteriores, que sí están en el worker.
+     * Sin worker se resuelve con detectPitch; si el worker falla se pasa a detectPitch para siempre.
+     * @param {Float32Array} timeData - Datos de tiempo del audio (no se modifican)
+     * @param {Float32Array} gateData - Muestras para la puerta de ruido y el RMS (ver detectPitch)
+     * @returns {Promise<Object|null>} La misma detección que detectPitch, o null si el frame se
+     *          descartó porque el worker va con retraso
+     */
+    detectPitchAsync(timeData, gateData = timeData) {
+        const previous = this.lastRequest;
+        const detection = this.requestPitch(timeData, gateData);
+        const request = previous.then(() => detection);
+        this.lastRequest = request.catch(() => null); // Un fallo no debe bloquear los frames siguientes
+        return request;
+    }
+
+    /**
+     * Detección de un frame para detectPitchAsync (sin ordenar respecto a las demás)
+     * @param {Float32Array} timeData - Datos de tiempo del audio (no se modifican)
+     * @param {Float32Array} gateData - Muestras para la puerta de ruido y el RMS
+     * @returns {Promise<Object|null>} Detección, o null si el frame se descartó
+     */
+    async requestPitch(timeData, gateData) {
+        if (!this.workerClient) {
+            return this.detectPitch(timeData, gateData);
+        }
+
+        const result = { frequency: null, confidence: 0, rms: 0, voiced: false };
+        if (!timeData || timeData.length === 0) {
+            return result;
+        }
+
+        const gateOpen = this.passesNoiseGate(gateData);
+        result.rms = this.lastRms;
+        if (!gateOpen) {
+            return result;
+        }
+
+        try {
+            const estimate = await this.workerClient.estimate(timeData);
+            if (!estimate) {
+                return null;
+            }
+            Object.assign(result, estimate);
+        } catch (error) {
+            if (this.workerClient && !this.workerClient.failed) {
+                console.error('Error en detección de pitch:', error);
+                return result;
+            }
+
+            // El worker ha caído: seguir en el hilo principal
+            if (this.workerClient) {
+                console.warn('El worker de pitch dejó de funcionar; se detecta en el hilo principal:', error);
+                this.workerClient = null;
+            }
+            try {
+                Object.assign(result, this.estimator(timeData));
+            } catch (estimatorError) {
+                console.error('Error en detección de pitch:', estimatorError);
+                return result;
+            }
+        }
+
+        return this.applyVoicing(result);
+    }
+
+    /**
+     * Decide si un frame es sonoro según su confianza
+     * @param {Object} result - Detección con frequency y confidence
+     * @returns {Object} La misma detección con voiced
+     */
+    applyVoicing(result) {
+        result.voiced = Boolean(result.frequency) && result.confidence >= this.voicingThreshold;
+        return result;
+    }
+
+    /**
+     * Mide el RMS de un frame y lo pasa por la puerta de ruido
+     * (también lo usa la detección polifónica, que comparte esta puerta)
+     * @param {Float32Array} timeData - Datos de tiempo del audio
+     * @returns {boolean} true si la puerta está abierta
+     */
+    passesNoiseGate(timeData) {
+        this.lastRms = computeRms(timeData);
+        return this.noiseGate.process(this.lastRms);
+    }
+
+    /**
+     * Convierte frecuencia a la nota más cercana (según el La de referencia y el sistema de afinación)
      * @param {number} frequency - Frecuencia en Hz
-     * @returns {string} Nota musical (ej: "A4", "C#5")
+     * @returns {{name: string, step: number, frequency: number, cents: number}|null} Nota (ej: "E4"),
+     *          paso de la escala, frecuencia de la nota y desviación en cents (negativa si está baja);
+     *          null si no hay frecuencia
      */
     frequencyToNote(frequency) {
-        if (!frequency || frequency <= 0) {
-            return '--';
-        }
+        return frequencyToScaleNote(frequency);
+    }
 
-        // A4 = 440 Hz
-        const A4 = 440;
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        
-        // Calcular semitonos desde A4
-        const semitones = 12 * Math.log2(frequency / A4);
-        const noteNumber = Math.round(semitones) + 9; // A4 es la nota 9 en la octava 4
-        
-        const octave = Math.floor(noteNumber / 12) + 4;
-        const noteIndex = ((noteNumber % 12) + 12) % 12;
-        const noteName = noteNames[noteIndex];
-        
-        return `${noteName}${octave}`;
+    /**
+     * Establece el ruido de fondo inicial de la puerta de ruido (p. ej. el medido en la calibración)
+     * A partir de ahí la puerta se adapta sola al ruido de la sala
+     * @param {number} rms - RMS lineal del ruido de fondo (0 para usar el valor por defecto)
+     * @param {number} signalRms - RMS lineal de la voz calibrada: coloca los umbrales de la puerta
+     *        entre el ruido y la voz (0 para los umbrales por defecto)
+     */
+    setNoiseFloor(rms, signalRms = 0) {
+        this.noiseGate.reset(rms, signalRms);
+    }
+
+    /**
+     * Estado de la puerta de ruido (para mostrarlo en el medidor de nivel)
+     * @returns {{open: boolean, threshold: number, noiseFloor: number, rms: number}}
+     */
+    getNoiseGateState() {
+        return {
+            open: this.noiseGate.isOpen,
+            threshold: this.noiseGate.getThreshold(),
+            noiseFloor: this.noiseGate.noiseFloor,
+            rms: this.lastRms
+        };
     }
 
     /**
@@ -97,19 +267,18 @@ export class PitchDetection {
     setSampleRate(sampleRate) {
         this.sampleRate = sampleRate;
         
-        // Recrear detectores con la nueva frecuencia de muestreo
-        this.yinDetector = YIN({ 
-            sampleRate: this.sampleRate,
-            threshold: 0.1,
-            minFrequency: this.minFrequency,
-            maxFrequency: this.maxFrequency
-        });
-        
-        this.amdfDetector = AMDF({
-            sampleRate: this.sampleRate,
-            minFrequency: this.minFrequency,
-            maxFrequency: this.maxFrequency
-        });
+        // Recrear el detector con la nueva frecuencia de muestreo
+        this.createDetector();
+    }
+
+    /**
+     * Libera el worker (el detector ya no se va a usar)
+     */
+    dispose() {
+        if (this.workerClient) {
+            this.workerClient.dispose();
+            this.workerClient = null;
+        }
     }
 }
 
@@ -0,0 +1,52 @@
+/**
+ * Estimación de pitch de un frame: frecuencia (algoritmo elegido) y confianza
+ * Es la parte costosa de la detección y no guarda estado entre frames, así que
+ * se puede ejecutar igual en el hilo principal que en el worker (ver pitchWorker.js).
+ * Este módulo no toca el DOM ni los ajustes para poder cargarse dentro del worker.
+ */
+import { createPitchDetector } from './pitchAlgorithms.js';
+
+/**
+ * Claridad de la periodicidad de un frame en un periodo dado
+ * Autocorrelación normalizada (NSDF de McLeod) en el lag del periodo: 1 = señal
+ * perfectamente periódica, cerca de 0 = ruido
+ * @param {Float32Array} samples - Muestras del frame
+ * @param {number} period - Periodo en muestras (puede ser fraccionario)
+ * @returns {number} Claridad entre 0 y 1
+ */
+function computeClarity(samples, period) {
+    let best = 0;
+    // El periodo real cae entre dos lags enteros: quedarse con el mejor
+    for (const lag of [Math.floor(period), Math.ceil(period)]) {
+        if (lag <= 0 || lag >= samples.length) continue;
+        let correlation = 0;
+        let energy = 0;
+        for (let i = 0; i < samples.length - lag; i++) {
+            correlation += samples[i] * samples[i + lag];
+            energy += samples[i] * samples[i] + samples[i + lag] * samples[i + lag];
+        }
+        if (energy > 0) {
+            best = Math.max(best, (2 * correlation) / energy);
+        }
+    }
+    return Math.max(0, Math.min(1, best));
+}
+
+/**
+ * Crea un estimador de pitch
+ * @param {string} algorithm - Nombre del algoritmo (ver PITCH_ALGORITHMS)
+ * @param {Object} config - { sampleRate, minFrequency, maxFrequency, frameSize }
+ * @returns {Function} Recibe las muestras (Float32Array) y devuelve { frequency, confidence }
+ *          (frequency en Hz o null si no hay pitch en el rango; confidence entre 0 y 1)
+ */
+export function createPitchEstimator(algorithm, config) {
+    const detector = createPitchDetector(algorithm, config);
+
+    return (samples) => {
+        // Pitchfinder trabaja con Float32Array (la wavelet dinámica no acepta Array normal)
+        // y el detector ya descarta las frecuencias fuera del rango válido
+        const frequency = detector(samples);
+        const confidence = frequency ? computeClarity(samples, config.sampleRate / frequency) : 0;
+        return { frequency, confidence };
+    };
+}
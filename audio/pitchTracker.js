@@ -0,0 +1,173 @@
+/**
+ * Seguimiento de pitch: etapa entre la detección y los juegos
+ * La salida frame a frame del detector salta a veces una octava durante un solo
+ * frame, lo que basta para mandar la criatura a CAOS. El tracker:
+ * - corrige los saltos de octava usando la continuidad con los frames anteriores
+ *   (un salto que se mantiene varios frames se acepta: el jugador cambió de octava)
+ * - suaviza la traza con mediana o con un filtro de Kalman (configurable)
+ * - conserva la frecuencia sin procesar para poder dibujar ambas trazas
+ * Trabaja en semitonos (MIDI fraccionario) para que el suavizado sea igual en toda la tesitura.
+ */
+
+import { frequencyToMidi, midiToFrequency } from '../music/pitch.js';
+
+export const SMOOTHING_MODES = {
+    none: {
+        label: 'Sin suavizado',
+        description: 'Solo corrige los saltos de octava. Respuesta inmediata, pero la traza tiembla.'
+    },
+    median: {
+        label: 'Mediana',
+        description: 'Mediana de los últimos frames. Elimina picos sueltos y sigue bien los cambios de nota.'
+    },
+    kalman: {
+        label: 'Kalman',
+        description: 'Filtro de Kalman que confía más en los frames con más confianza. Traza muy estable y algo más lenta.'
+    }
+};
+
+export const DEFAULT_SMOOTHING = 'median';
+
+const OCTAVE_TOLERANCE = 1; // Semitonos de margen para considerar un salto como de octava
+const OCTAVE_HOLD_FRAMES = 4; // Frames seguidos en la nueva octava para aceptar el salto
+const MAX_GAP_FRAMES = 8; // Frames no sonoros tras los que se olvida la continuidad (~90 ms)
+const MEDIAN_WINDOW = 5; // Frames de la ventana de la mediana
+const KALMAN_PROCESS_NOISE = 0.1; // Varianza del cambio de pitch entre frames (semitonos²)
+const KALMAN_MEASUREMENT_NOISE = 0.2; // Varianza de la medida con confianza 1 (semitonos²)
+const KALMAN_RESET_JUMP = 2; // Semitonos: un salto mayor es una nota nueva y reinicia el filtro
+
+/**
+ * Mediana de una lista de números
+ * @param {Array<number>} values - Valores
+ * @returns {number} Mediana
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export class PitchTracker {
+    /**
+     * @param {Object} options
+     * @param {string} options.smoothing - Modo de suavizado (ver SMOOTHING_MODES)
+     */
+    constructor({ smoothing = DEFAULT_SMOOTHING } = {}) {
+        this.smoothing = SMOOTHING_MODES[smoothing] ? smoothing : DEFAULT_SMOOTHING;
+        this.reset();
+    }
+
+    /**
+     * Cambia el modo de suavizado (empieza una traza nueva)
+     * @param {string} smoothing - Modo de suavizado
+     */
+    setSmoothing(smoothing) {
+        this.smoothing = SMOOTHING_MODES[smoothing] ? smoothing : DEFAULT_SMOOTHING;
+        this.reset();
+    }
+
+    /**
+     * Olvida la traza anterior (nueva partida, silencio largo...)
+     */
+    reset() {
+        this.reference = null; // Último pitch de salida (MIDI) para juzgar la continuidad
+        this.gapFrames = 0;
+        this.pendingOctave = 0; // Octavas del salto que se está esperando confirmar
+        this.pendingFrames = 0;
+        this.medianBuffer = [];
+        this.kalmanEstimate = null;
+        this.kalmanVariance = 0;
+    }
+
+    /**
+     * Procesa una detección y devuelve la traza corregida y suavizada
+     * @param {{frequency: number|null, confidence: number, rms: number, voiced: boolean}} detection - Detección de PitchDetection
+     * @returns {{frequency: number|null, rawFrequency: number|null, confidence: number, rms: number,
+     *            voiced: boolean, octaveCorrected: boolean}} Detección con la frecuencia procesada
+     *          (rawFrequency es la del detector, solo si el frame es sonoro)
+     */
+    process(detection) {
+        const result = {
+            ...detection,
+            frequency: null,
+            rawFrequency: null,
+            octaveCorrected: false
+        };
+
+        if (!detection || !detection.voiced || !detection.frequency) {
+            // Tras un hueco suele empezar otra nota: la mediana no debe arrastrar la anterior,
+            // pero la referencia de octava se mantiene unos frames
+            this.medianBuffer = [];
+            this.gapFrames++;
+            if (this.gapFrames > MAX_GAP_FRAMES) {
+                this.reset();
+            }
+            return result;
+        }
+
+        this.gapFrames = 0;
+        result.rawFrequency = detection.frequency;
+
+        let midi = frequencyToMidi(detection.frequency);
+        const octaves = this.reference !== null ? Math.round((midi - this.reference) / 12) : 0;
+        const isOctaveJump = octaves !== 0 && Math.abs(midi - this.reference - octaves * 12) <= OCTAVE_TOLERANCE;
+
+        if (isOctaveJump) {
+            this.pendingFrames = octaves === this.pendingOctave ? this.pendingFrames + 1 : 1;
+            this.pendingOctave = octaves;
+
+            if (this.pendingFrames < OCTAVE_HOLD_FRAMES) {
+                // Salto breve: error del detector, devolverlo a la octava anterior
+                midi -= octaves * 12;
+                result.octaveCorrected = true;
+            } else {
+                // El salto se mantiene: es real, empezar la traza en la nueva octava
+                this.medianBuffer = [];
+                this.kalmanEstimate = null;
+                this.pendingOctave = 0;
+                this.pendingFrames = 0;
+            }
+        } else {
+            this.pendingOctave = 0;
+            this.pendingFrames = 0;
+        }
+
+        const smoothed = this.smooth(midi, detection.confidence);
+        this.reference = smoothed;
+        result.frequency = midiToFrequency(smoothed);
+        return result;
+    }
+
+    /**
+     * Aplica el suavizado elegido a un pitch (ya corregido de octava)
+     * @param {number} midi - Pitch en MIDI fraccionario
+     * @param {number} confidence - Confianza de la detección (0-1)
+     * @returns {number} Pitch suavizado en MIDI
+     */
+    smooth(midi, confidence) {
+        if (this.smoothing === 'median') {
+            this.medianBuffer.push(midi);
+            if (this.medianBuffer.length > MEDIAN_WINDOW) {
+                this.medianBuffer.shift();
+            }
+            return median(this.medianBuffer);
+        }
+
+        if (this.smoothing === 'kalman') {
+            const measurementNoise = KALMAN_MEASUREMENT_NOISE / Math.max(0.1, confidence || 0);
+            if (this.kalmanEstimate === null || Math.abs(midi - this.kalmanEstimate) > KALMAN_RESET_JUMP) {
+                this.kalmanEstimate = midi;
+                this.kalmanVariance = measurementNoise;
+                return midi;
+            }
+            // Predicción (el pitch sigue igual con cierta incertidumbre) y corrección con la medida
+            const predictedVariance = this.kalmanVariance + KALMAN_PROCESS_NOISE;
+            const gain = predictedVariance / (predictedVariance + measurementNoise);
+            this.kalmanEstimate += gain * (midi - this.kalmanEstimate);
+            this.kalmanVariance = (1 - gain) * predictedVariance;
+            return this.kalmanEstimate;
+        }
+
+        return midi;
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Worker de detección de pitch
+ * Ejecuta la estimación de pitch fuera del hilo principal para que no compita
+ * con el dibujo de la criatura y de la gráfica. Protocolo de mensajes:
+ * - { type: 'configure', algorithm, config: { sampleRate, minFrequency, maxFrequency, frameSize } }
+ * - { type: 'estimate', id, samples } → { type: 'estimate', id, frequency, confidence, samples }
+ *   (samples es un Float32Array transferido; se devuelve también transferido para reutilizarlo)
+ * - { type: 'estimate', id, error, samples } si el algoritmo falla en ese frame
+ */
+import { createPitchEstimator } from './pitchEstimator.js';
+
+let estimate = null;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'configure') {
+        estimate = createPitchEstimator(message.algorithm, message.config);
+        return;
+    }
+
+    if (message.type === 'estimate') {
+        const { id, samples } = message;
+        try {
+            if (!estimate) {
+                throw new Error('El worker de pitch no está configurado');
+            }
+            const { frequency, confidence } = estimate(samples);
+            self.postMessage({ type: 'estimate', id, frequency, confidence, samples }, [samples.buffer]);
+        } catch (error) {
+            self.postMessage({ type: 'estimate', id, error: error.message, samples }, [samples.buffer]);
+        }
+    }
+};
@@ -0,0 +1,137 @@
+/**
+ * Cliente del worker de detección de pitch (ver pitchWorker.js)
+ * Envía cada frame en un buffer transferible (sin copiar entre hilos) y devuelve
+ * una promesa con la estimación. Los buffers vuelven del worker y se reutilizan,
+ * así no se reserva memoria nueva en cada frame.
+ * Si el worker se retrasa (móviles lentos), como mucho hay MAX_IN_FLIGHT frames
+ * en espera: los siguientes se descartan en lugar de acumular retraso.
+ */
+
+const MAX_IN_FLIGHT = 2;
+
+export class PitchWorkerClient {
+    /**
+     * Indica si el navegador puede crear workers
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Crea el worker (lanza un error si el navegador no puede crearlo)
+     */
+    constructor() {
+        this.worker = new Worker(new URL('./pitchWorker.js', import.meta.url), { type: 'module' });
+        this.pending = new Map(); // id → { resolve, reject }
+        this.nextId = 1;
+        this.bufferPool = [];
+        this.failed = false; // El worker no pudo cargarse o dejó de funcionar
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.fail(new Error(event.message || 'No se pudo cargar el worker de pitch'));
+        };
+        this.worker.onmessageerror = () => this.fail(new Error('Mensaje ilegible del worker de pitch'));
+    }
+
+    /**
+     * Configura el algoritmo del worker (los frames enviados después ya lo usan)
+     * @param {string} algorithm - Nombre del algoritmo (ver PITCH_ALGORITHMS)
+     * @param {Object} config - { sampleRate, minFrequency, maxFrequency, frameSize }
+     */
+    configure(algorithm, config) {
+        if (this.failed) {
+            return;
+        }
+        this.worker.postMessage({ type: 'configure', algorithm, config });
+    }
+
+    /**
+     * Pide la estimación de pitch de un frame
+     * @param {Float32Array} samples - Muestras del frame (se copian: el original no se toca)
+     * @returns {Promise<{frequency: number|null, confidence: number}|null>} Estimación, o null
+     *          si el frame se descartó porque el worker va con retraso. Se rechaza si el
+     *          algoritmo falla en el frame o si el worker deja de funcionar (failed = true)
+     */
+    estimate(samples) {
+        if (this.failed) {
+            return Promise.reject(new Error('El worker de pitch no está disponible'));
+        }
+        if (this.pending.size >= MAX_IN_FLIGHT) {
+            return Promise.resolve(null);
+        }
+
+        const buffer = this.takeBuffer(samples.length);
+        buffer.set(samples);
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'estimate', id, samples: buffer }, [buffer.buffer]);
+        });
+    }
+
+    /**
+     * Procesa la respuesta del worker
+     * @param {Object} message - { type, id, frequency, confidence, samples, error }
+     */
+    handleMessage(message) {
+        if (message.type !== 'estimate') {
+            return;
+        }
+
+        if (message.samples) {
+            this.bufferPool.push(message.samples);
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) {
+            return;
+        }
+        this.pending.delete(message.id);
+
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve({ frequency: message.frequency, confidence: message.confidence });
+        }
+    }
+
+    /**
+     * Toma un buffer del tamaño pedido (reutilizado si hay uno devuelto por el worker)
+     * @param {number} length - Número de muestras
+     * @returns {Float32Array}
+     */
+    takeBuffer(length) {
+        while (this.bufferPool.length > 0) {
+            const buffer = this.bufferPool.pop();
+            if (buffer.length === length) {
+                return buffer;
+            }
+        }
+        return new Float32Array(length);
+    }
+
+    /**
+     * Marca el worker como caído y rechaza las peticiones pendientes
+     * @param {Error} error - Motivo
+     */
+    fail(error) {
+        this.failed = true;
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+        this.worker.terminate();
+    }
+
+    /**
+     * Termina el worker (las peticiones pendientes se resuelven con null, como las descartadas)
+     */
+    dispose() {
+        this.pending.forEach(request => request.resolve(null));
+        this.pending.clear();
+        this.bufferPool = [];
+        this.worker.terminate();
+    }
+}
@@ -0,0 +1,471 @@
+/**
+ * Detección polifónica de pitch (varias voces en un mismo micrófono)
+ * Estima hasta N frecuencias fundamentales simultáneas con suma de armónicos
+ * sobre el espectro del frame:
+ * 1. Espectro de magnitud de los últimos 4096 muestras (dos frames: con uno
+ *    solo los lóbulos de voces a pocos semitonos en el grave se solapan), con
+ *    ventana de Hann y relleno de ceros para afinar la posición de los picos
+ * 2. Para cada candidata, suma ponderada de la magnitud en sus armónicos
+ * 3. Se elige la candidata con más saliencia, se borran sus armónicos del
+ *    espectro y se repite mientras quede saliencia y voces por encontrar
+ * Las voces se asignan a huecos estables entre frames (la voz que canta más
+ * grave no salta de hueco cuando otra entra o sale), así cada índice del array
+ * de salida es siempre la misma persona para el juego y la gráfica.
+ *
+ * Un análisis cuesta unos 6 ms (más de la mitad de un salto) y se hace en el hilo
+ * principal, así que solo se analiza uno de cada ANALYSIS_STRIDE frames: los demás
+ * solo añaden sus muestras a la ventana y repiten el último resultado (marcado como
+ * stale: los trackers cuentan análisis, no frames).
+ *
+ * Limitación: dos voces a distancia de octava comparten todos los armónicos de
+ * la aguda, así que se detectan como una sola.
+ */
+
+import { HOP_SIZE } from './audioSource.js';
+
+const ANALYSIS_SIZE = 4096; // Muestras analizadas (ventana deslizante sobre los frames)
+const FFT_SIZE = 16384; // Relleno de ceros: ~2,9 Hz por bin a 48 kHz
+const MAX_HARMONICS = 10;
+const MAX_HARMONIC_FREQUENCY = 5000; // Hz: por encima los armónicos de la voz aportan poco
+const CANDIDATE_STEP = 1 / 8; // Semitonos entre candidatas
+const HARMONIC_TOLERANCE = 0.5; // Semitonos de margen alrededor de cada armónico
+const MIN_CONFIDENCE = 0.5; // Cuánto deben sobresalir del fondo los armónicos de una voz para aceptarla
+const MIN_RELATIVE_SALIENCE = 0.4; // Saliencia mínima respecto a la primera voz del frame
+const ANALYSIS_STRIDE = 3; // Frames por análisis (~32 ms entre análisis a 48 kHz)
+const SLOT_MAX_JUMP = 4; // Semitonos que puede moverse una voz entre análisis sin cambiar de hueco
+const SLOT_HOLD_ANALYSES = 3; // Análisis que un hueco espera a su voz antes de quedar libre
+const SLOT_CONFIRM_ANALYSES = 2; // Análisis seguidos en los que una voz nueva debe aparecer antes de mostrarla
+
+/**
+ * FFT radix-2 en el sitio (Cooley-Tukey iterativa)
+ * @param {Float32Array} real - Parte real (entrada y salida)
+ * @param {Float32Array} imag - Parte imaginaria (entrada y salida)
+ */
+function fft(real, imag) {
+    const n = real.length;
+
+    // Reordenar por inversión de bits
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (-2 * Math.PI) / size;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let wReal = 1;
+            let wImag = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tReal = real[b] * wReal - imag[b] * wImag;
+                const tImag = real[b] * wImag + imag[b] * wReal;
+                real[b] = real[a] - tReal;
+                imag[b] = imag[a] - tImag;
+                real[a] += tReal;
+                imag[a] += tImag;
+                const nextReal = wReal * stepReal - wImag * stepImag;
+                wImag = wReal * stepImag + wImag * stepReal;
+                wReal = nextReal;
+            }
+        }
+    }
+}
+
+/**
+ * Distancia en semitonos entre dos frecuencias
+ * @param {number} a - Frecuencia en Hz
+ * @param {number} b - Frecuencia en Hz
+ * @returns {number} Semitonos (valor absoluto)
+ */
+function semitonesBetween(a, b) {
+    return Math.abs(12 * Math.log2(a / b));
+}
+
+export class PolyphonicDetection {
+    /**
+     * @param {number} sampleRate - Frecuencia de muestreo
+     * @param {Object} options
+     * @param {number} options.maxVoices - Número máximo de voces simultáneas
+     * @param {number} options.minFrequency - Frecuencia mínima (Hz)
+     * @param {number} options.maxFrequency - Frecuencia máxima (Hz)
+     * @param {number} options.hopSize - Muestras nuevas en cada frame (salto entre frames)
+     * @param {number} options.analysisStride - Frames por análisis (1 = analizar todos)
+     */
+    constructor(sampleRate = 44100, { maxVoices = 2, minFrequency = 80, maxFrequency = 1000, hopSize = HOP_SIZE,
+        analysisStride = ANALYSIS_STRIDE } = {}) {
+        this.sampleRate = sampleRate;
+        this.maxVoices = maxVoices;
+        this.minFrequency = minFrequency;
+        this.maxFrequency = maxFrequency;
+        this.hopSize = hopSize;
+        this.analysisStride = Math.max(1, analysisStride);
+
+        // Últimas muestras recibidas (los frames se solapan: de cada uno solo se añade el salto)
+        this.history = new Float32Array(ANALYSIS_SIZE);
+
+        this.real = new Float32Array(FFT_SIZE);
+        this.imag = new Float32Array(FFT_SIZE);
+        this.spectrum = new Float32Array(FFT_SIZE / 2);
+        this.window = null; // Ventana de Hann (se crea con el tamaño del primer frame)
+
+        this.candidates = [];
+        for (let semitones = 0; ; semitones += CANDIDATE_STEP) {
+            const frequency = minFrequency * Math.pow(2, semitones / 12);
+            if (frequency > maxFrequency) break;
+            this.candidates.push(frequency);
+        }
+
+        this.reset();
+    }
+
+    /**
+     * Libera todos los huecos de voz y olvida las muestras anteriores (nueva partida)
+     */
+    reset() {
+        this.slots = Array.from({ length: this.maxVoices }, () => null); // { frequency, missedAnalyses, hits }
+        this.lastDetections = null; // Resultado del último análisis (se repite hasta el siguiente)
+        this.framesSinceAnalysis = 0;
+        this.lastGateOpen = false;
+        this.clearHistory();
+    }
+
+    /**
+     * Vacía la ventana de análisis
+     */
+    clearHistory() {
+        this.history.fill(0);
+        this.hasHistory = false;
+    }
+
+    /**
+     * Añade las muestras nuevas de un frame a la ventana de análisis
+     * (el frame completo si la ventana estaba vacía)
+     * @param {Float32Array} samples - Muestras del frame
+     */
+    appendFrame(samples) {
+        const count = Math.min(this.hasHistory ? this.hopSize : samples.length, samples.length, ANALYSIS_SIZE);
+        this.hasHistory = true;
+        this.history.copyWithin(0, count);
+        this.history.set(samples.subarray(samples.length - count), ANALYSIS_SIZE - count);
+    }
+
+    /**
+     * Cambia el número máximo de voces
+     * @param {number} maxVoices - Voces simultáneas
+     */
+    setMaxVoices(maxVoices) {
+        this.maxVoices = maxVoices;
+        this.reset();
+    }
+
+    /**
+     * Calcula el espectro de magnitud de la ventana de análisis (comprimido con raíz
+     * cuadrada, para que una voz fuerte no oculte del todo a otra más suave)
+     * @param {Float32Array} samples - Muestras a analizar
+     */
+    computeSpectrum(samples) {
+        const length = Math.min(samples.length, FFT_SIZE);
+        if (!this.window || this.window.length !== length) {
+            this.window = new Float32Array(length);
+            for (let i = 0; i < length; i++) {
+                this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (length - 1));
+            }
+        }
+
+        this.real.fill(0);
+        this.imag.fill(0);
+        for (let i = 0; i < length; i++) {
+            this.real[i] = samples[i] * this.window[i];
+        }
+        fft(this.real, this.imag);
+
+        for (let i = 0; i < this.spectrum.length; i++) {
+            this.spectrum[i] = Math.sqrt(Math.hypot(this.real[i], this.imag[i]));
+        }
+    }
+
+    /**
+     * Rango de bins alrededor de un armónico
+     * @param {number} frequency - Frecuencia del armónico (Hz)
+     * @returns {{from: number, to: number}} Bins (incluidos)
+     */
+    getHarmonicBins(frequency) {
+        const binWidth = this.sampleRate / FFT_SIZE;
+        const ratio = Math.pow(2, HARMONIC_TOLERANCE / 12);
+        return {
+            from: Math.max(1, Math.floor(frequency / ratio / binWidth)),
+            to: Math.min(this.spectrum.length - 1, Math.ceil((frequency * ratio) / binWidth))
+        };
+    }
+
+    /**
+     * Saliencia de una frecuencia fundamental: suma ponderada del pico de cada armónico
+     * (el peso 1/h evita que gane la suboctava, que también recoge los armónicos pares)
+     * @param {number} f0 - Frecuencia candidata (Hz)
+     * @returns {number} Saliencia
+     */
+    getSalience(f0) {
+        let salience = 0;
+        for (let h = 1; h <= MAX_HARMONICS; h++) {
+            const harmonicFrequency = f0 * h;
+            if (harmonicFrequency > MAX_HARMONIC_FREQUENCY || harmonicFrequency >= this.sampleRate / 2) break;
+            const { from, to } = this.getHarmonicBins(harmonicFrequency);
+            let peak = 0;
+            for (let bin = from; bin <= to; bin++) {
+                if (this.spectrum[bin] > peak) peak = this.spectrum[bin];
+            }
+            salience += peak / h;
+        }
+        return salience;
+    }
+
+    /**
+     * Confianza de una voz: cuánto sobresalen sus armónicos del fondo del espectro
+     * (cerca de 1 con armónicos nítidos; en ruido los "armónicos" apenas superan el fondo)
+     * @param {number} f0 - Frecuencia fundamental (Hz)
+     * @param {number} floor - Nivel de fondo del espectro
+     * @returns {number} Confianza entre 0 y 1
+     */
+    getConfidence(f0, floor) {
+        let prominence = 0;
+        let total = 0;
+        for (let h = 1; h <= MAX_HARMONICS; h++) {
+            const harmonicFrequency = f0 * h;
+            if (harmonicFrequency > MAX_HARMONIC_FREQUENCY || harmonicFrequency >= this.sampleRate / 2) break;
+            const { from, to } = this.getHarmonicBins(harmonicFrequency);
+            let peak = 0;
+            for (let bin = from; bin <= to; bin++) {
+                if (this.spectrum[bin] > peak) peak = this.spectrum[bin];
+            }
+            prominence += Math.max(0, peak - floor) / h;
+            total += peak / h;
+        }
+        return total > 0 ? prominence / total : 0;
+    }
+
+    /**
+     * Refina una frecuencia con la interpolación parabólica del pico de su armónico más fuerte
+     * @param {number} f0 - Frecuencia aproximada (Hz)
+     * @returns {number} Frecuencia refinada (Hz)
+     */
+    refineFrequency(f0) {
+        const binWidth = this.sampleRate / FFT_SIZE;
+        let bestBin = -1;
+        let bestHarmonic = 1;
+        let bestValue = 0;
+        for (let h = 1; h <= 4; h++) {
+            const { from, to } = this.getHarmonicBins(f0 * h);
+            for (let bin = from; bin <= to; bin++) {
+                // Los armónicos altos dan más precisión, pero solo si el pico es claro
+                if (this.spectrum[bin] > bestValue * 1.2) {
+                    bestValue = this.spectrum[bin];
+                    bestBin = bin;
+                    bestHarmonic = h;
+                }
+            }
+        }
+        if (bestBin <= 0 || bestBin >= this.spectrum.length - 1) {
+            return f0;
+        }
+
+        const left = this.spectrum[bestBin - 1];
+        const center = this.spectrum[bestBin];
+        const right = this.spectrum[bestBin + 1];
+        const denominator = left - 2 * center + right;
+        const offset = denominator !== 0 ? (0.5 * (left - right)) / denominator : 0;
+        return ((bestBin + offset) * binWidth) / bestHarmonic;
+    }
+
+    /**
+     * Borra del espectro los armónicos de una voz ya encontrada
+     * Cada armónico se borra desde su pico hacia los lados mientras la magnitud baja,
+     * para llevarse el lóbulo entero (si quedaran sus faldas, una candidata algo
+     * desafinada las tomaría por otra voz)
+     * @param {number} f0 - Frecuencia fundamental (Hz)
+     */
+    cancelHarmonics(f0) {
+        for (let h = 1; h <= MAX_HARMONICS; h++) {
+            const harmonicFrequency = f0 * h;
+            if (harmonicFrequency > MAX_HARMONIC_FREQUENCY || harmonicFrequency >= this.sampleRate / 2) break;
+            const { from, to } = this.getHarmonicBins(harmonicFrequency);
+
+            let peakBin = from;
+            for (let bin = from; bin <= to; bin++) {
+                if (this.spectrum[bin] > this.spectrum[peakBin]) peakBin = bin;
+            }
+            let left = Math.min(from, peakBin);
+            while (left > 1 && this.spectrum[left - 1] <= this.spectrum[left]) left--;
+            let right = Math.max(to, peakBin);
+            while (right < this.spectrum.length - 1 && this.spectrum[right + 1] <= this.spectrum[right]) right++;
+
+            this.spectrum.fill(0, left, right + 1);
+        }
+    }
+
+    /**
+     * Busca las voces presentes en unas muestras (sin asignarlas a huecos)
+     * @param {Float32Array} samples - Muestras a analizar
+     * @returns {Array<{frequency: number, confidence: number}>} Voces de más a menos saliente
+     */
+    findVoices(samples) {
+        this.computeSpectrum(samples);
+
+        // Nivel de fondo del espectro en la zona de la voz (mediana: la mayoría de bins
+        // caen entre armónicos), para medir cuánto sobresalen los armónicos de cada voz
+        const lowBin = this.getHarmonicBins(this.minFrequency).from;
+        const highBin = this.getHarmonicBins(MAX_HARMONIC_FREQUENCY).to;
+        const band = Array.from(this.spectrum.subarray(lowBin, highBin + 1)).sort((a, b) => a - b);
+        const floor = band[Math.floor(band.length / 2)];
+        if (!band[band.length - 1]) {
+            return [];
+        }
+
+        const voices = [];
+        let firstSalience = null;
+        // Límite de rondas: las fundamentales fuera de rango se descartan pero consumen una ronda
+        for (let round = 0; round < this.maxVoices * 2 && voices.length < this.maxVoices; round++) {
+            let bestFrequency = null;
+            let bestSalience = 0;
+            this.candidates.forEach(candidate => {
+                const salience = this.getSalience(candidate);
+                if (salience > bestSalience) {
+                    bestSalience = salience;
+                    bestFrequency = candidate;
+                }
+            });
+            if (bestFrequency === null) break;
+
+            const frequency = this.refineFrequency(bestFrequency);
+            const confidence = this.getConfidence(bestFrequency, floor);
+
+            if (firstSalience === null) {
+                firstSalience = bestSalience;
+            }
+            if (confidence < MIN_CONFIDENCE || bestSalience < firstSalience * MIN_RELATIVE_SALIENCE) {
+                break;
+            }
+            if (frequency >= this.minFrequency && frequency <= this.maxFrequency) {
+                voices.push({ frequency, confidence });
+            }
+            // Borrar alrededor de la candidata (la frecuencia refinada podría quedar fuera de
+            // su ventana y la misma candidata volvería a ganar)
+            this.cancelHarmonics(bestFrequency);
+        }
+
+        return voices;
+    }
+
+    /**
+     * Asigna las voces de un análisis a huecos estables
+     * Cada hueco se queda con la voz más cercana a la que tenía; las voces nuevas ocupan huecos
+     * libres y solo se muestran cuando se confirman varios análisis seguidos (descarta picos sueltos)
+     * @param {Array<{frequency: number, confidence: number}>} voices - Voces encontradas
+     * @returns {Array<{frequency: number, confidence: number}|null>} Una entrada por hueco (null si está callado)
+     */
+    assignSlots(voices) {
+        const assigned = this.slots.map(() => null);
+        const pending = [...voices];
+
+        // Emparejar primero los pares hueco-voz más cercanos
+        const pairs = [];
+        this.slots.forEach((slot, slotIndex) => {
+            if (!slot) return;
+            pending.forEach((voice, voiceIndex) => {
+                const distance = semitonesBetween(voice.frequency, slot.frequency);
+                if (distance <= SLOT_MAX_JUMP) {
+                    pairs.push({ slotIndex, voiceIndex, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const usedVoices = new Set();
+        pairs.forEach(({ slotIndex, voiceIndex }) => {
+            if (assigned[slotIndex] || usedVoices.has(voiceIndex)) return;
+            assigned[slotIndex] = pending[voiceIndex];
+            usedVoices.add(voiceIndex);
+        });
+
+        // Voces nuevas a los huecos libres (de grave a agudo, para que el orden inicial sea estable)
+        pending
+            .filter((voice, voiceIndex) => !usedVoices.has(voiceIndex))
+            .sort((a, b) => a.frequency - b.frequency)
+            .forEach(voice => {
+                const freeIndex = this.slots.findIndex((slot, index) => !slot && !assigned[index]);
+                if (freeIndex !== -1) {
+                    assigned[freeIndex] = voice;
+                }
+            });
+
+        // Actualizar los huecos: los confirmados que no tienen voz esperan unos análisis antes
+        // de liberarse; los que aún no se habían confirmado se liberan en cuanto fallan
+        this.slots = this.slots.map((slot, index) => {
+            if (assigned[index]) {
+                return {
+                    frequency: assigned[index].frequency,
+                    missedAnalyses: 0,
+                    hits: slot ? slot.hits + 1 : 1
+                };
+            }
+            if (!slot || slot.hits < SLOT_CONFIRM_ANALYSES || slot.missedAnalyses + 1 >= SLOT_HOLD_ANALYSES) {
+                return null;
+            }
+            return { ...slot, missedAnalyses: slot.missedAnalyses + 1 };
+        });
+
+        return assigned.map((voice, index) => voice && this.slots[index].hits >= SLOT_CONFIRM_ANALYSES ? voice : null);
+    }
+
+    /**
+     * Detecta las voces de un frame
+     * Solo se analiza uno de cada analysisStride frames (y siempre que la puerta se abre o se
+     * cierra); el resto repite el último análisis, con la ventana ya al día, marcado como stale
+     * para que los trackers no lo cuenten como una medida nueva
+     * @param {Float32Array|null} samples - Muestras del frame (null si la puerta de ruido está cerrada)
+     * @returns {Array<{frequency: number|null, confidence: number, voiced: boolean, stale: boolean}>} Una
+     *          detección por hueco de voz, en orden estable entre frames (frequency null si esa voz está
+     *          callada; stale si repite el último análisis)
+     */
+    detectPitches(samples) {
+        const gateOpen = Boolean(samples && samples.length > 0);
+        if (gateOpen) {
+            this.appendFrame(samples);
+        } else {
+            // Puerta cerrada: vaciar la ventana para no arrastrar voces anteriores
+            this.clearHistory();
+        }
+
+        this.framesSinceAnalysis++;
+        const gateChanged = gateOpen !== this.lastGateOpen;
+        this.lastGateOpen = gateOpen;
+        if (this.lastDetections && !gateChanged && this.framesSinceAnalysis < this.analysisStride) {
+            return this.lastDetections.map(detection => ({ ...detection, stale: true }));
+        }
+        this.framesSinceAnalysis = 0;
+
+        const voices = gateOpen ? this.findVoices(this.history) : [];
+        this.lastDetections = this.assignSlots(voices).map(voice => voice
+            ? { frequency: voice.frequency, confidence: voice.confidence, voiced: true, stale: false }
+            : { frequency: null, confidence: 0, voiced: false, stale: false });
+        return this.lastDetections.map(detection => ({ ...detection }));
+    }
+
+    /**
+     * Actualiza la frecuencia de muestreo
+     * @param {number} sampleRate - Nueva frecuencia de muestreo
+     */
+    setSampleRate(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.reset();
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Grabación de la voz del jugador durante una partida
+ * Usa MediaRecorder sobre el stream de grabación de AudioCapture (que sobrevive
+ * a los cambios de micrófono) y guarda cuándo empezó respecto al inicio del juego
+ * para poder sincronizar la reproducción con la gráfica.
+ */
+
+// Formatos preferidos (el primero soportado por el navegador)
+const PREFERRED_MIME_TYPES = [
+    'audio/webm;codecs=opus',
+    'audio/ogg;codecs=opus',
+    'audio/webm',
+    'audio/mp4'
+];
+
+export class RunRecorder {
+    constructor() {
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.startOffset = 0; // ms desde el inicio del juego hasta el inicio de la grabación
+    }
+
+    /**
+     * Indica si el navegador puede grabar
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof window.MediaRecorder !== 'undefined';
+    }
+
+    /**
+     * Empieza a grabar
+     * @param {MediaStream} stream - Stream a grabar
+     * @param {number} startOffset - ms desde el inicio del juego (misma base que fullTimeHistory)
+     */
+    start(stream, startOffset) {
+        if (!RunRecorder.isSupported() || !stream) {
+            return;
+        }
+
+        const mimeType = PREFERRED_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        this.chunks = [];
+        this.startOffset = startOffset;
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        this.mediaRecorder.addEventListener('dataavailable', (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        });
+        this.mediaRecorder.start();
+    }
+
+    /**
+     * Indica si está grabando (aunque esté en pausa)
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.mediaRecorder !== null && this.mediaRecorder.state !== 'inactive';
+    }
+
+    /**
+     * Pausa la grabación (mientras el juego está parado por falta de audio)
+     */
+    pause() {
+        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+            this.mediaRecorder.pause();
+        }
+    }
+
+    /**
+     * Reanuda una grabación en pausa
+     */
+    resume() {
+        if (this.mediaRecorder && this.mediaRecorder.state === 'paused') {
+            this.mediaRecorder.resume();
+        }
+    }
+
+    /**
+     * Detiene la grabación
+     * @returns {Promise<Blob|null>} Audio grabado, o null si no se estaba grabando
+     */
+    stop() {
+        if (!this.isRecording()) {
+            this.mediaRecorder = null;
+            return Promise.resolve(null);
+        }
+
+        const recorder = this.mediaRecorder;
+        this.mediaRecorder = null;
+
+        return new Promise((resolve) => {
+            recorder.addEventListener('stop', () => {
+                const blob = new Blob(this.chunks, { type: recorder.mimeType || 'audio/webm' });
+                this.chunks = [];
+                resolve(blob);
+            }, { once: true });
+            recorder.stop();
+        });
+    }
+
+    /**
+     * Descarta la grabación en curso (sin generar audio)
+     */
+    discard() {
+        if (this.isRecording()) {
+            this.mediaRecorder.stop();
+        }
+        this.mediaRecorder = null;
+        this.chunks = [];
+    }
+}
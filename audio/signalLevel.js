@@ -0,0 +1,56 @@
+/**
+ * Utilidades de nivel de señal
+ * Cálculo de RMS, pico y conversión a dBFS sobre frames de audio
+ */
+
+// Nivel mínimo representable (evita -Infinity en silencio digital)
+export const MIN_DB = -100;
+
+/**
+ * Calcula el valor RMS de un frame
+ * @param {Float32Array} samples - Muestras de audio (-1..1)
+ * @returns {number} RMS lineal (0..1)
+ */
+export function computeRms(samples) {
+    if (!samples || samples.length === 0) {
+        return 0;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Calcula el pico absoluto de un frame
+ * @param {Float32Array} samples - Muestras de audio (-1..1)
+ * @returns {number} Pico lineal (0..1)
+ */
+export function computePeak(samples) {
+    if (!samples || samples.length === 0) {
+        return 0;
+    }
+
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > peak) {
+            peak = value;
+        }
+    }
+    return peak;
+}
+
+/**
+ * Convierte un nivel lineal a dBFS
+ * @param {number} value - Nivel lineal (0..1)
+ * @returns {number} Nivel en dBFS (MIN_DB..0)
+ */
+export function linearToDb(value) {
+    if (!value || value <= 0) {
+        return MIN_DB;
+    }
+    return Math.max(MIN_DB, 20 * Math.log10(value));
+}
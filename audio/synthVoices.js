@@ -0,0 +1,264 @@
+/**
+ * Voces del sintetizador de notas
+ * Un seno puro no tiene armónicos y cuesta imitarlo cantando: cada voz añade un timbre
+ * (osciladores, tablas de ondas y filtros) y su propia envolvente ADSR y volumen.
+ * Cada voz define build(audioContext, frequency, start, end), que crea sus fuentes y
+ * devuelve el nodo de salida; noteSynthesizer.js aplica la envolvente y el volumen.
+ */
+
+export const SYNTH_VOICES = {
+    sine: {
+        label: 'Seno',
+        description: 'El tono puro de siempre. Muy limpio, pero sin armónicos: difícil de imitar con la voz.',
+        envelope: { attack: 0.05, decay: 0, sustain: 1, release: 0.1 },
+        volume: 0.3,
+        build: (audioContext, frequency, start, end) => {
+            const oscillator = createOscillator(audioContext, 'sine', frequency, start, end);
+            return { output: oscillator, sources: [oscillator] };
+        }
+    },
+    piano: {
+        label: 'Piano',
+        description: 'Ataque rápido y brillo que se apaga mientras la nota cae, como una cuerda percutida.',
+        envelope: { attack: 0.005, decay: 0.9, sustain: 0.25, release: 0.3 },
+        volume: 0.35,
+        build: (audioContext, frequency, start, end) => {
+            const oscillator = createOscillator(audioContext, getWave(audioContext, 'piano'), frequency, start, end);
+            // El filtro se cierra tras el ataque: los armónicos agudos se apagan antes
+            const filter = audioContext.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.Q.value = 0.7;
+            filter.frequency.setValueAtTime(Math.min(frequency * 12, 12000), start);
+            filter.frequency.setTargetAtTime(Math.min(frequency * 3, 12000), start + 0.02, 0.4);
+            oscillator.connect(filter);
+            return { output: filter, sources: [oscillator] };
+        }
+    },
+    flute: {
+        label: 'Flauta',
+        description: 'Casi un seno, con un poco de soplo y vibrato suave. Ataque lento.',
+        envelope: { attack: 0.08, decay: 0.1, sustain: 0.85, release: 0.12 },
+        volume: 0.35,
+        build: (audioContext, frequency, start, end) => {
+            const output = audioContext.createGain();
+            const oscillator = createOscillator(audioContext, getWave(audioContext, 'flute'), frequency, start, end);
+            oscillator.connect(output);
+            addVibrato(audioContext, oscillator, 5, 8, start + 0.2, end);
+
+            // Soplo: ruido filtrado alrededor de la nota, muy por debajo del tono
+            const noise = audioContext.createBufferSource();
+            noise.buffer = getNoiseBuffer(audioContext);
+            noise.loop = true;
+            const band = audioContext.createBiquadFilter();
+            band.type = 'bandpass';
+            band.frequency.value = frequency * 2;
+            band.Q.value = 1.5;
+            const breath = audioContext.createGain();
+            breath.gain.value = 0.08;
+            noise.connect(band);
+            band.connect(breath);
+            breath.connect(output);
+            noise.start(start);
+            noise.stop(end);
+
+            return { output, sources: [oscillator, noise] };
+        }
+    },
+    choir: {
+        label: 'Coro "uh"',
+        description: 'Tres voces ligeramente desafinadas cantando "uh". El timbre más parecido a la voz.',
+        envelope: { attack: 0.15, decay: 0.2, sustain: 0.9, release: 0.25 },
+        volume: 0.25,
+        build: (audioContext, frequency, start, end) => {
+            const mix = audioContext.createGain();
+            mix.gain.value = 1 / 3;
+            const sources = [-7, 0, 6].map(cents => {
+                const oscillator = createOscillator(audioContext, 'sawtooth', frequency, start, end);
+                oscillator.detune.value = cents;
+                oscillator.connect(mix);
+                return oscillator;
+            });
+            addVibrato(audioContext, sources[1], 5.5, 12, start + 0.3, end);
+
+            // Formantes de la "u": F1 ≈ 320 Hz, F2 ≈ 800 Hz
+            const output = audioContext.createGain();
+            [{ frequency: 320, gain: 1 }, { frequency: 800, gain: 0.35 }].forEach(formant => {
+                const filter = audioContext.createBiquadFilter();
+                filter.type = 'bandpass';
+                filter.frequency.value = formant.frequency;
+                filter.Q.value = 4;
+                const level = audioContext.createGain();
+                level.gain.value = formant.gain * 4; // El paso banda estrecho deja poca energía
+                mix.connect(filter);
+                filter.connect(level);
+                level.connect(output);
+            });
+            return { output, sources };
+        }
+    },
+    organ: {
+        label: 'Órgano',
+        description: 'Registros de órgano sumados (8\', 4\', 2 2/3\'...). Sin caída: la nota suena igual hasta el final.',
+        envelope: { attack: 0.01, decay: 0, sustain: 1, release: 0.05 },
+        volume: 0.25,
+        build: (audioContext, frequency, start, end) => {
+            const oscillator = createOscillator(audioContext, getWave(audioContext, 'organ'), frequency, start, end);
+            return { output: oscillator, sources: [oscillator] };
+        }
+    },
+    plucked: {
+        label: 'Pulsada',
+        description: 'Cuerda pulsada: ataque inmediato y caída rápida del volumen y del brillo.',
+        envelope: { attack: 0.003, decay: 0.5, sustain: 0, release: 0.08 },
+        volume: 0.4,
+        build: (audioContext, frequency, start, end) => {
+            const oscillator = createOscillator(audioContext, 'sawtooth', frequency, start, end);
+            const filter = audioContext.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.Q.value = 2;
+            filter.frequency.setValueAtTime(Math.min(frequency * 16, 14000), start);
+            filter.frequency.setTargetAtTime(frequency * 1.5, start, 0.12);
+            oscillator.connect(filter);
+            return { output: filter, sources: [oscillator] };
+        }
+    }
+};
+
+export const DEFAULT_SYNTH_VOICE = 'sine';
+
+// Amplitud de cada armónico (el primero es la fundamental) de las tablas de ondas
+const WAVE_HARMONICS = {
+    piano: [1, 0.6, 0.35, 0.25, 0.15, 0.1, 0.07, 0.05, 0.03, 0.02],
+    flute: [1, 0.12, 0.05, 0.02],
+    organ: [1, 1, 0.7, 0.8, 0, 0.5, 0, 0.4] // Registros 8', 4', 2 2/3', 2', 1 3/5' (apagado), 1 1/3', 1'
+};
+
+const NOISE_SECONDS = 1;
+const waveCache = new WeakMap(); // AudioContext → Map(nombre → PeriodicWave)
+const noiseCache = new WeakMap(); // AudioContext → AudioBuffer de ruido blanco
+
+/**
+ * Valida un nombre de voz
+ * @param {string} name - Nombre de la voz
+ * @returns {string} Voz válida (la de por defecto si no existe)
+ */
+export function normalizeSynthVoice(name) {
+    return SYNTH_VOICES[name] ? name : DEFAULT_SYNTH_VOICE;
+}
+
+/**
+ * Crea un oscilador programado entre start y end
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @param {string|PeriodicWave} type - Tipo de onda o tabla de ondas
+ * @param {number} frequency - Frecuencia en Hz
+ * @param {number} start - Inicio (reloj del AudioContext)
+ * @param {number} end - Final
+ * @returns {OscillatorNode}
+ */
+function createOscillator(audioContext, type, frequency, start, end) {
+    const oscillator = audioContext.createOscillator();
+    if (typeof type === 'string') {
+        oscillator.type = type;
+    } else {
+        oscillator.setPeriodicWave(type);
+    }
+    oscillator.frequency.value = frequency;
+    oscillator.start(start);
+    oscillator.stop(end);
+    return oscillator;
+}
+
+/**
+ * Tabla de ondas de un timbre (se crea una vez por contexto)
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @param {string} name - Nombre en WAVE_HARMONICS
+ * @returns {PeriodicWave}
+ */
+function getWave(audioContext, name) {
+    if (!waveCache.has(audioContext)) {
+        waveCache.set(audioContext, new Map());
+    }
+    const waves = waveCache.get(audioContext);
+    if (!waves.has(name)) {
+        const harmonics = WAVE_HARMONICS[name];
+        const real = new Float32Array(harmonics.length + 1);
+        const imag = new Float32Array(harmonics.length + 1);
+        harmonics.forEach((amplitude, index) => {
+            imag[index + 1] = amplitude;
+        });
+        waves.set(name, audioContext.createPeriodicWave(real, imag));
+    }
+    return waves.get(name);
+}
+
+/**
+ * Buffer de ruido blanco (se crea una vez por contexto)
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @returns {AudioBuffer}
+ */
+function getNoiseBuffer(audioContext) {
+    if (!noiseCache.has(audioContext)) {
+        const length = Math.round(audioContext.sampleRate * NOISE_SECONDS);
+        const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        noiseCache.set(audioContext, buffer);
+    }
+    return noiseCache.get(audioContext);
+}
+
+/**
+ * Añade vibrato a un oscilador (LFO sobre su desafinación)
+ * @param {AudioContext} audioContext - Contexto de audio
+ * @param {OscillatorNode} oscillator - Oscilador a modular
+ * @param {number} rate - Frecuencia del vibrato en Hz
+ * @param {number} cents - Amplitud en cents (±)
+ * @param {number} start - Inicio del vibrato (después del ataque)
+ * @param {number} end - Final
+ */
+function addVibrato(audioContext, oscillator, rate, cents, start, end) {
+    if (start >= end) {
+        return;
+    }
+    const lfo = audioContext.createOscillator();
+    lfo.frequency.value = rate;
+    const depth = audioContext.createGain();
+    depth.gain.value = cents;
+    lfo.connect(depth);
+    depth.connect(oscillator.detune);
+    lfo.start(start);
+    lfo.stop(end);
+}
+
+/**
+ * Programa una envolvente ADSR que termina exactamente al final de la nota
+ * La caída (release) está dentro de la duración: si la nota es más corta que
+ * ataque + caída, la envolvente se corta donde esté y baja desde ahí
+ * @param {AudioParam} param - Ganancia a modular
+ * @param {{attack: number, decay: number, sustain: number, release: number}} envelope - Segundos y nivel (0-1)
+ * @param {number} peak - Nivel máximo
+ * @param {number} start - Inicio (reloj del AudioContext)
+ * @param {number} duration - Duración total en segundos
+ */
+export function applyEnvelope(param, { attack, decay, sustain, release }, peak, start, duration) {
+    const releaseAt = Math.max(0, duration - Math.min(release, duration / 2));
+    const levelAt = (t) => {
+        if (t < attack) return peak * t / attack;
+        if (t < attack + decay) return peak + (peak * sustain - peak) * (t - attack) / decay;
+        return peak * sustain;
+    };
+
+    param.setValueAtTime(0, start);
+    if (releaseAt > attack) {
+        param.linearRampToValueAtTime(peak, start + attack);
+        if (decay > 0) {
+            param.linearRampToValueAtTime(levelAt(Math.min(releaseAt, attack + decay)), start + Math.min(releaseAt, attack + decay));
+        }
+    } else {
+        param.linearRampToValueAtTime(levelAt(releaseAt), start + releaseAt);
+    }
+    param.setValueAtTime(levelAt(releaseAt), start + releaseAt);
+    param.linearRampToValueAtTime(0, start + duration);
+}
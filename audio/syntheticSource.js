@@ -0,0 +1,273 @@
+/**
+ * Fuente de audio sintética
+ * Genera una señal a partir de un guion de segmentos (seno, diente de sierra,
+ * voz sintética, ruido o silencio) con vibrato, ruido de fondo y huecos de
+ * silencio. El ruido usa un generador pseudoaleatorio con semilla, así que el
+ * mismo guion produce siempre las mismas muestras: sirve para probar el juego
+ * completo sin micrófono (navegadores headless, demos) y para medir el detector.
+ *
+ * Formato del guion:
+ * {
+ *   seed: 1,           // Semilla del ruido
+ *   noise: 0.002,      // Amplitud del ruido blanco de fondo (toda la señal)
+ *   loopFrom: 1,       // Índice del segmento desde el que se repite (null = sin repetir)
+ *   segments: [
+ *     { type: 'silence', duration: 1 },
+ *     { type: 'voice', note: 'C4', duration: 0.5, amplitude: 0.3,
+ *       vibrato: { rate: 5.5, depth: 25 }, jitter: 5 },
+ *     { type: 'sine', frequency: 440, duration: 1 }
+ *   ]
+ * }
+ * type: 'sine' | 'sawtooth' | 'voice' | 'noise' | 'silence'
+ * La frecuencia se da en Hz (frequency) o como nombre de nota (note).
+ * vibrato.depth y jitter están en cents.
+ */
+import { BufferSource } from './bufferSource.js';
+import { noteNameToFrequency } from './noteSynthesizer.js';
+
+const DEFAULT_AMPLITUDE = 0.3;
+const FADE_TIME = 0.01; // Segundos de fundido al principio y final de cada segmento (evita clics)
+const JITTER_STEP = 0.02; // Segundos entre cambios de la desviación aleatoria de la voz
+
+// Formantes de la voz sintética (vocal "a")
+const VOICE_FORMANTS = [
+    { frequency: 700, bandwidth: 130, gain: 1.0 },
+    { frequency: 1220, bandwidth: 70, gain: 0.5 },
+    { frequency: 2600, bandwidth: 160, gain: 0.25 }
+];
+const VOICE_HARMONICS = 20;
+
+/**
+ * Guion de demostración para el juego de secuencia: calla mientras el juego toca la
+ * melodía y durante la cuenta de entrada, y después la canta en bucle con vibrato
+ * @param {Object} score - Partitura de la partida (ver getSequenceScore en el juego)
+ * @param {Array<{note: string, beats: number}>} score.notes - Melodía, con duraciones en pulsos
+ * @param {number} score.bpm - Tempo en pulsos por minuto
+ * @param {number} score.leadInBeats - Pulsos de la cuenta de entrada
+ * @returns {Object} Guion (ver formato al principio del módulo)
+ */
+export function createDemoScript({ notes, bpm, leadInBeats }) {
+    const beatDuration = 60 / bpm;
+    const melodyBeats = notes.reduce((total, note) => total + note.beats, 0);
+    return {
+        seed: 1,
+        noise: 0.002,
+        loopFrom: 1,
+        segments: [
+            { type: 'silence', duration: (melodyBeats + leadInBeats) * beatDuration },
+            ...notes.map(({ note, beats }) => ({
+                type: 'voice',
+                note: note,
+                duration: beats * beatDuration,
+                amplitude: 0.5,
+                vibrato: { rate: 5.5, depth: 25 },
+                jitter: 5
+            }))
+        ]
+    };
+}
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32)
+ * @param {number} seed - Semilla
+ * @returns {Function} Devuelve números en [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Frecuencia base de un segmento
+ * @param {Object} segment - Segmento del guion
+ * @returns {number} Frecuencia en Hz (0 si el segmento no tiene tono)
+ */
+function getSegmentFrequency(segment) {
+    if (segment.frequency) {
+        return segment.frequency;
+    }
+    if (segment.note) {
+        return noteNameToFrequency(segment.note) || 0;
+    }
+    return 0;
+}
+
+/**
+ * Pesos de los armónicos de la voz sintética para una frecuencia fundamental
+ * (caída espectral 1/n modulada por los formantes, normalizados a suma 1)
+ * @param {number} frequency - Frecuencia fundamental en Hz
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {Array<number>} Peso de cada armónico
+ */
+function getVoiceHarmonicWeights(frequency, sampleRate) {
+    const weights = [];
+    for (let n = 1; n <= VOICE_HARMONICS; n++) {
+        const harmonicFrequency = frequency * n;
+        if (harmonicFrequency >= sampleRate / 2) {
+            break;
+        }
+        const formantGain = VOICE_FORMANTS.reduce((sum, formant) => {
+            const distance = (harmonicFrequency - formant.frequency) / formant.bandwidth;
+            return sum + formant.gain / (1 + distance * distance);
+        }, 0);
+        weights.push((1 / n) * (0.2 + formantGain));
+    }
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => weight / total);
+}
+
+/**
+ * Escribe un segmento del guion en el buffer
+ * @param {Float32Array} samples - Buffer de salida
+ * @param {number} offset - Primera muestra del segmento
+ * @param {number} length - Número de muestras del segmento
+ * @param {Object} segment - Segmento del guion
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @param {Function} random - Generador pseudoaleatorio
+ */
+function renderSegment(samples, offset, length, segment, sampleRate, random) {
+    const type = segment.type || 'sine';
+    const amplitude = segment.amplitude !== undefined ? segment.amplitude : DEFAULT_AMPLITUDE;
+
+    if (type === 'silence') {
+        return;
+    }
+
+    if (type === 'noise') {
+        for (let i = 0; i < length; i++) {
+            samples[offset + i] += (random() * 2 - 1) * amplitude;
+        }
+        return;
+    }
+
+    const baseFrequency = getSegmentFrequency(segment);
+    if (baseFrequency <= 0) {
+        return;
+    }
+
+    const vibrato = segment.vibrato || null;
+    const jitter = segment.jitter || 0;
+    const jitterStep = Math.max(1, Math.round(JITTER_STEP * sampleRate));
+    const fadeLength = Math.max(1, Math.min(Math.round(FADE_TIME * sampleRate), Math.floor(length / 2)));
+    const harmonicWeights = type === 'voice' ? getVoiceHarmonicWeights(baseFrequency, sampleRate) : null;
+
+    let phase = 0; // En ciclos [0, 1)
+    let jitterFrom = 0;
+    let jitterTo = jitter ? (random() * 2 - 1) * jitter : 0;
+
+    for (let i = 0; i < length; i++) {
+        // Desviación de pitch en cents: vibrato periódico + deriva aleatoria interpolada
+        let cents = 0;
+        if (vibrato) {
+            cents += vibrato.depth * Math.sin(2 * Math.PI * vibrato.rate * (i / sampleRate));
+        }
+        if (jitter) {
+            if (i % jitterStep === 0) {
+                jitterFrom = jitterTo;
+                jitterTo = (random() * 2 - 1) * jitter;
+            }
+            cents += jitterFrom + (jitterTo - jitterFrom) * ((i % jitterStep) / jitterStep);
+        }
+
+        const frequency = baseFrequency * Math.pow(2, cents / 1200);
+        phase += frequency / sampleRate;
+        phase -= Math.floor(phase);
+
+        let value;
+        if (type === 'sawtooth') {
+            value = 2 * phase - 1;
+        } else if (type === 'voice') {
+            value = 0;
+            for (let n = 0; n < harmonicWeights.length; n++) {
+                value += harmonicWeights[n] * Math.sin(2 * Math.PI * (n + 1) * phase);
+            }
+        } else {
+            value = Math.sin(2 * Math.PI * phase);
+        }
+
+        const envelope = Math.min(1, i / fadeLength, (length - i) / fadeLength);
+        samples[offset + i] += amplitude * envelope * value;
+    }
+}
+
+/**
+ * Genera las muestras de un guion
+ * @param {Object} script - Guion (ver formato al principio del módulo)
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {{samples: Float32Array, loopStart: number|null}} Muestras y segundo desde el que se repite
+ */
+export function renderSyntheticSignal(script, sampleRate) {
+    const segments = script.segments || [];
+    const random = createRandom(script.seed !== undefined ? script.seed : 1);
+
+    const lengths = segments.map(segment => Math.round(segment.duration * sampleRate));
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+    const samples = new Float32Array(totalLength);
+
+    let offset = 0;
+    let loopStart = null;
+    segments.forEach((segment, index) => {
+        if (index === script.loopFrom) {
+            loopStart = offset / sampleRate;
+        }
+        renderSegment(samples, offset, lengths[index], segment, sampleRate, random);
+        offset += lengths[index];
+    });
+
+    // Ruido blanco de fondo (también en los silencios)
+    if (script.noise) {
+        for (let i = 0; i < totalLength; i++) {
+            samples[i] += (random() * 2 - 1) * script.noise;
+        }
+    }
+
+    return { samples, loopStart };
+}
+
+export class SyntheticSource extends BufferSource {
+    /**
+     * @param {Object} options
+     * @param {Object} options.script - Guion a reproducir (ver createDemoScript)
+     * @param {number} options.seed - Semilla (sustituye a la del guion)
+     * @param {number} options.monitorGain - Volumen con el que se oye la señal
+     */
+    constructor({ script = { segments: [] }, seed = null, monitorGain = 0.5 } = {}) {
+        super({ monitorGain });
+        this.seed = seed;
+        this.setScript(script);
+    }
+
+    /**
+     * Cambia el guion (ej: la demo al tempo de la siguiente partida). Si la fuente ya
+     * suena, el guion nuevo se oye a partir del siguiente rewind()
+     * @param {Object} script - Guion a reproducir
+     */
+    setScript(script) {
+        this.script = this.seed !== null ? { ...script, seed: this.seed } : script;
+        if (this.buffer) {
+            this.buffer = this.createBuffer();
+        }
+    }
+
+    createBuffer() {
+        const sampleRate = this.getSampleRate();
+        const { samples, loopStart } = renderSyntheticSignal(this.script, sampleRate);
+        if (samples.length === 0) {
+            throw new Error('El guion de la señal sintética está vacío');
+        }
+
+        this.loop = loopStart !== null;
+        this.loopStart = loopStart || 0;
+
+        const buffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+        buffer.copyToChannel(samples, 0);
+        return buffer;
+    }
+}
@@ -0,0 +1,388 @@
+/**
+ * Transporte: reproducción de una secuencia de notas sobre el reloj del AudioContext
+ * Un planificador con margen (lookahead) programa las notas un poco antes de que suenen
+ * y los eventos (nota, vuelta del bucle, fin) se disparan cuando el reloj de audio llega a
+ * su tiempo: lo que se ve y lo que se oye salen del mismo reloj y no se separan aunque
+ * el bucle de dibujo vaya a tirones. El temporizador solo despierta al planificador; el
+ * tiempo lo da siempre audioContext.currentTime.
+ *
+ * Las posiciones se miden en unidades de partitura, las de la duración escrita de las
+ * notas, y el tempo es cuántas de esas unidades suenan por segundo. Con duraciones en
+ * segundos, tempo 2 va al doble de velocidad; con duraciones en pulsos, tempo = BPM / 60
+ * y las posiciones quedan en pulsos.
+ */
+import { playNote, noteNameToFrequency, midiToFrequency } from './noteSynthesizer.js';
+
+const LOOKAHEAD = 0.1; // Segundos que se programan por adelantado
+const SCHEDULE_INTERVAL = 25; // ms entre despertares del planificador
+const HISTORY_SECONDS = 2; // Tramos ya sonados que se recuerdan (para preguntar por el pasado)
+const FADE_SECONDS = 0.02; // Fundido al parar o saltar, para que no se oiga un clic
+const MIN_LOOP_LENGTH = 0.05; // Bucle mínimo (unidades de partitura)
+const MIN_TEMPO = 0.25;
+const MAX_TEMPO = 4;
+const EPSILON = 1e-6;
+
+/**
+ * Frecuencia de una nota de la secuencia
+ * @param {{note: string|number, frequency: number}} noteData - Nota (ver Transport)
+ * @returns {number|null} Hz, o null si es un silencio
+ */
+function resolveFrequency({ note, frequency }) {
+    if (frequency) {
+        return frequency;
+    }
+    if (typeof note === 'number') {
+        return midiToFrequency(note);
+    }
+    if (typeof note === 'string') {
+        return noteNameToFrequency(note);
+    }
+    return null;
+}
+
+export class Transport {
+    /**
+     * @param {AudioContext} audioContext - Contexto de audio (da el reloj)
+     * @param {Array<{note: string|number|null, frequency: number, duration: number}>} sequence - Notas:
+     *        'note' (nombre o MIDI; null = silencio), 'frequency' opcional (Hz, tiene prioridad)
+     *        y 'duration' (unidades de partitura: segundos, pulsos...)
+     * @param {Object} options
+     * @param {string} options.voice - Voz del sintetizador (ver SYNTH_VOICES)
+     * @param {number} options.volume - Volumen (0-1); con 0 no se crea ningún sonido, solo el reloj
+     * @param {number} options.tempo - Unidades de partitura por segundo (con pulsos, BPM / 60;
+     *        con segundos, 1 = duraciones escritas)
+     * @param {boolean|{start: number, end: number}} options.loop - Bucle (true = toda la secuencia)
+     * @param {Function} options.instrument - Cómo suena cada nota, en lugar de la voz:
+     *        (audioContext, note, startTime, duration, { volume, destination }) → fuentes creadas.
+     *        Recibe también las notas sin frecuencia (ej: acordes) y decide si suenan
+     */
+    constructor(audioContext, sequence, { voice = null, volume = 1, tempo = 1, loop = false, instrument = null } = {}) {
+        this.audioContext = audioContext;
+        this.voice = voice;
+        this.instrument = instrument;
+        this.volume = volume;
+        this.tempo = tempo;
+
+        let start = 0;
+        this.notes = sequence.map(noteData => {
+            const note = {
+                ...noteData,
+                frequency: resolveFrequency(noteData),
+                start
+            };
+            start += noteData.duration;
+            return note;
+        });
+        this.duration = start;
+
+        this.state = 'stopped'; // 'stopped' | 'playing' | 'paused'
+        this.position = 0; // Posición cuando no está sonando
+        this.listeners = { note: new Set(), loop: new Set(), end: new Set() };
+        this.loop = null;
+        this.setLoop(loop === true ? 0 : loop && loop.start, loop === true ? this.duration : loop && loop.end);
+
+        this.timerId = null;
+        this.output = null; // Ganancia de la reproducción en curso (una por arranque)
+        this.cursor = null; // Siguiente tramo por programar: { position, time }
+        this.segments = []; // Tramos programados: { time, position, end, tempo, index }
+        this.pendingEvents = []; // Eventos programados que aún no han llegado
+        this.activeSources = []; // Fuentes programadas: { sources, end }
+    }
+
+    /**
+     * Se suscribe a un evento
+     * - 'note': (index, note, time) al empezar a sonar cada nota (también al entrar a mitad)
+     * - 'loop': (time) al volver al inicio del bucle
+     * - 'end': (time) al acabar la secuencia (sin bucle)
+     * time es el instante en el reloj del AudioContext
+     * @param {string} type - 'note', 'loop' o 'end'
+     * @param {Function} listener - Función a llamar
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    on(type, listener) {
+        this.listeners[type].add(listener);
+        return () => this.listeners[type].delete(listener);
+    }
+
+    /**
+     * Empieza (o reanuda) la reproducción desde la posición actual
+     * @param {number} when - Instante de inicio en el reloj del AudioContext (por defecto, ya)
+     */
+    play(when = null) {
+        if (this.state === 'playing') {
+            return;
+        }
+        const now = this.audioContext.currentTime;
+        this.state = 'playing';
+        this.startFrom(this.position, when !== null ? Math.max(when, now) : now);
+    }
+
+    /**
+     * Pausa la reproducción y recuerda la posición
+     */
+    pause() {
+        if (this.state !== 'playing') {
+            return;
+        }
+        this.position = this.getPosition();
+        this.halt();
+        this.state = 'paused';
+    }
+
+    /**
+     * Detiene la reproducción y vuelve al principio
+     */
+    stop() {
+        this.halt();
+        this.position = 0;
+        this.state = 'stopped';
+    }
+
+    /**
+     * Salta a una posición (si está sonando, sigue desde ahí)
+     * @param {number} position - Unidades de partitura desde el inicio
+     */
+    seek(position) {
+        const clamped = Math.max(0, Math.min(position, this.duration));
+        if (this.state === 'playing') {
+            this.halt();
+            this.startFrom(clamped, this.audioContext.currentTime);
+        } else {
+            this.position = clamped;
+        }
+    }
+
+    /**
+     * Cambia el tempo; se aplica desde la siguiente nota que se programe
+     * (la que ya suena acaba con su duración)
+     * @param {number} tempo - Unidades de partitura por segundo (0.25-4)
+     */
+    setTempo(tempo) {
+        this.tempo = Math.max(MIN_TEMPO, Math.min(MAX_TEMPO, tempo));
+    }
+
+    /**
+     * Fija los puntos del bucle, o lo quita
+     * Un bucle solo se repite si la reproducción está antes de su final
+     * @param {number|null} start - Inicio en unidades de partitura (null = sin bucle)
+     * @param {number} end - Final (por defecto, el de la secuencia)
+     */
+    setLoop(start, end = this.duration) {
+        if (start === null || start === undefined || start === false) {
+            this.loop = null;
+            return;
+        }
+        const loopStart = Math.max(0, Math.min(start, this.duration));
+        const loopEnd = Math.max(0, Math.min(end, this.duration));
+        this.loop = loopEnd - loopStart >= MIN_LOOP_LENGTH ? { start: loopStart, end: loopEnd } : null;
+    }
+
+    /**
+     * Cambia el volumen de la reproducción
+     * @param {number} volume - Volumen (0-1); se aplica a las notas que se programen desde ahora
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, volume);
+        if (this.output) {
+            this.output.gain.setTargetAtTime(this.volume > 0 ? 1 : 0, this.audioContext.currentTime, FADE_SECONDS);
+        }
+    }
+
+    /**
+     * Estado del transporte
+     * @returns {string} 'stopped', 'playing' o 'paused'
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Duración de la secuencia en unidades de partitura
+     * @returns {number}
+     */
+    getDuration() {
+        return this.duration;
+    }
+
+    /**
+     * Posición de la reproducción en un instante del reloj de audio
+     * Sirve también para preguntar por el pasado reciente (compensar la latencia)
+     * @param {number} time - Instante del AudioContext (por defecto, ahora)
+     * @returns {number} Unidades de partitura
+     */
+    getPosition(time = this.audioContext.currentTime) {
+        const segment = this.getSegmentAt(time);
+        if (!segment) {
+            return this.position;
+        }
+        if (time < segment.time) {
+            return segment.position;
+        }
+        return Math.min(segment.position + (time - segment.time) * segment.tempo, segment.end);
+    }
+
+    /**
+     * Nota que suena en un instante del reloj de audio
+     * @param {number} time - Instante del AudioContext (por defecto, ahora)
+     * @returns {number} Índice de la nota (antes de empezar, la primera que sonará)
+     */
+    getNoteIndex(time = this.audioContext.currentTime) {
+        const segment = this.getSegmentAt(time);
+        return segment ? segment.index : this.noteIndexAt(this.position);
+    }
+
+    /**
+     * Detiene la reproducción y olvida a los suscriptores
+     */
+    dispose() {
+        this.stop();
+        Object.values(this.listeners).forEach(listeners => listeners.clear());
+    }
+
+    /**
+     * Tramo programado que suena en un instante (el primero si es anterior a todos)
+     * @param {number} time - Instante del AudioContext
+     * @returns {Object|null} Tramo, o null si no está sonando
+     */
+    getSegmentAt(time) {
+        if (this.state !== 'playing' || this.segments.length === 0) {
+            return null;
+        }
+        let found = this.segments[0];
+        for (const segment of this.segments) {
+            if (segment.time > time) break;
+            found = segment;
+        }
+        return found;
+    }
+
+    /**
+     * Índice de la nota que contiene una posición
+     * @param {number} position - Unidades de partitura
+     * @returns {number}
+     */
+    noteIndexAt(position) {
+        for (let i = this.notes.length - 1; i > 0; i--) {
+            if (position >= this.notes[i].start - EPSILON) {
+                return i;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Arranca el planificador desde una posición
+     * @param {number} position - Unidades de partitura
+     * @param {number} time - Instante del AudioContext en que suena esa posición
+     */
+    startFrom(position, time) {
+        this.output = this.audioContext.createGain();
+        this.output.gain.value = this.volume > 0 ? 1 : 0;
+        this.output.connect(this.audioContext.destination);
+
+        this.cursor = { position, time };
+        this.timerId = setInterval(() => this.tick(), SCHEDULE_INTERVAL);
+        this.tick();
+    }
+
+    /**
+     * Para el planificador y silencia lo programado (con un fundido corto)
+     */
+    halt() {
+        clearInterval(this.timerId);
+        this.timerId = null;
+
+        const now = this.audioContext.currentTime;
+        if (this.output) {
+            const output = this.output;
+            output.gain.cancelScheduledValues(now);
+            output.gain.setValueAtTime(output.gain.value, now);
+            output.gain.linearRampToValueAtTime(0, now + FADE_SECONDS);
+            setTimeout(() => output.disconnect(), FADE_SECONDS * 1000 + 50);
+        }
+        this.activeSources.forEach(({ sources }) => {
+            sources.forEach(source => source.stop(now + FADE_SECONDS));
+        });
+
+        this.output = null;
+        this.cursor = null;
+        this.segments = [];
+        this.pendingEvents = [];
+        this.activeSources = [];
+    }
+
+    /**
+     * Despertar del planificador: programa lo que entra en el margen y dispara lo que ya llegó
+     */
+    tick() {
+        const now = this.audioContext.currentTime;
+        while (this.cursor && this.cursor.time < now + LOOKAHEAD) {
+            this.scheduleNext();
+        }
+        this.dispatchEvents(now);
+
+        // Olvidar lo que ya pasó (se conserva un poco de historia y el tramo actual)
+        while (this.segments.length > 1 && this.segments[1].time < now - HISTORY_SECONDS) {
+            this.segments.shift();
+        }
+        this.activeSources = this.activeSources.filter(entry => entry.end > now);
+    }
+
+    /**
+     * Programa el siguiente tramo: una nota (o lo que quede de ella hasta el final del bucle),
+     * la vuelta al inicio del bucle o el final
+     */
+    scheduleNext() {
+        const { position, time } = this.cursor;
+        if (this.loop && Math.abs(position - this.loop.end) < EPSILON) {
+            this.cursor = { position: this.loop.start, time };
+            this.pendingEvents.push({ type: 'loop', time });
+            return;
+        }
+        if (position >= this.duration - EPSILON) {
+            this.cursor = null;
+            this.pendingEvents.push({ type: 'end', time });
+            return;
+        }
+
+        const limit = this.loop && position < this.loop.end ? this.loop.end : this.duration;
+        const index = this.noteIndexAt(position);
+        const note = this.notes[index];
+        const end = Math.min(note.start + note.duration, limit);
+        const length = (end - position) / this.tempo;
+
+        if ((note.frequency || this.instrument) && this.volume > 0) {
+            const options = { volume: this.volume, destination: this.output };
+            const sources = this.instrument
+                ? this.instrument(this.audioContext, note, time, length, options)
+                : playNote(this.audioContext, note.frequency, length, time, { ...options, voice: this.voice });
+            this.activeSources.push({ sources, end: time + length });
+        }
+
+        const segment = { time, position, end, tempo: this.tempo, index };
+        this.segments.push(segment);
+        this.pendingEvents.push({ type: 'note', time, segment });
+        this.cursor = { position: end, time: time + length };
+    }
+
+    /**
+     * Dispara los eventos cuyo instante ya llegó en el reloj de audio
+     * @param {number} now - Instante actual del AudioContext
+     */
+    dispatchEvents(now) {
+        while (this.pendingEvents.length > 0 && this.pendingEvents[0].time <= now) {
+            const event = this.pendingEvents.shift();
+            if (event.type === 'note') {
+                const { index } = event.segment;
+                this.listeners.note.forEach(listener => listener(index, this.notes[index], event.time));
+            } else if (event.type === 'loop') {
+                this.listeners.loop.forEach(listener => listener(event.time));
+            } else {
+                this.halt();
+                this.position = 0;
+                this.state = 'stopped';
+                this.listeners.end.forEach(listener => listener(event.time));
+            }
+        }
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * Detección de vibrato sobre la traza de pitch (después del PitchTracker)
+ * Un vibrato sano es una oscilación casi sinusoidal de 4-8 Hz y ±15-150 cents
+ * alrededor de la nota. Con una ventana de los últimos frames de una nota sostenida:
+ * - se quita la tendencia (recta de mínimos cuadrados): lo que queda es la oscilación
+ * - se busca la frecuencia de 4-8 Hz que mejor explica esa oscilación (ajuste de una senoide)
+ * - si la senoide explica la mayor parte de la oscilación y su amplitud es de vibrato, hay vibrato
+ * El centro del vibrato es la recta de tendencia sin la senoide: el pitch que el cantante
+ * "quiere" dar, que es lo que deben juzgar los juegos en lugar del pitch instantáneo.
+ * Las notas cortas de la secuencia duran 0,6 s: el análisis empieza con medio segundo.
+ * La ventana va a un valor por salto de análisis: con el instante de cada frame, los
+ * saltos que no llegaron (el worker descarta frames si va con retraso) se rellenan, para
+ * que la traza no se comprima y la frecuencia del vibrato no salga más alta.
+ */
+
+const WINDOW_SECONDS = 0.8; // Ventana de análisis (3 ciclos a 4 Hz)
+const MIN_WINDOW_SECONDS = 0.5; // Nota sostenida mínima para analizar (2 ciclos a 4 Hz)
+const MIN_RATE = 4; // Hz
+const MAX_RATE = 8; // Hz
+const RATE_STEP = 0.1; // Hz entre frecuencias candidatas
+const MIN_EXTENT = 15; // Cents (amplitud, ±)
+const MAX_EXTENT = 150; // Cents
+const MIN_REGULARITY = 0.6; // Fracción de la oscilación que debe explicar la senoide
+const NOTE_CHANGE_CENTS = 150; // Un salto mayor entre frames es otra nota: se empieza de nuevo
+const MAX_GAP_FRAMES = 2; // Frames no sonoros que se rellenan con el último pitch
+const MAX_MISSING_SECONDS = 0.06; // Hueco máximo de frames que no llegaron (un tercio de ciclo a 5,5 Hz)
+
+/**
+ * Recta de mínimos cuadrados de una serie (x = índice)
+ * @param {Array<number>} values - Serie
+ * @returns {{at: Function}} at(i) da el valor de la recta en el índice i
+ */
+function fitLine(values) {
+    const n = values.length;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (i - meanX) * (values[i] - meanY);
+        varianceX += (i - meanX) * (i - meanX);
+    }
+    const slope = varianceX > 0 ? covariance / varianceX : 0;
+    return { at: (i) => meanY + slope * (i - meanX) };
+}
+
+export class VibratoDetector {
+    /**
+     * @param {Object} options
+     * @param {number} options.frameRate - Frames de pitch por segundo (sampleRate / HOP_SIZE)
+     */
+    constructor({ frameRate }) {
+        this.frameRate = frameRate;
+        this.windowSize = Math.round(WINDOW_SECONDS * frameRate);
+        this.minWindowSize = Math.round(MIN_WINDOW_SECONDS * frameRate);
+        this.maxHops = Math.max(1, Math.round(MAX_MISSING_SECONDS * frameRate)) + 1;
+        this.reset();
+    }
+
+    /**
+     * Olvida la nota actual y las estadísticas acumuladas (nueva partida)
+     */
+    reset() {
+        this.window = []; // Pitch de los últimos frames en cents absolutos
+        this.gapFrames = 0;
+        this.lastTime = null; // Instante del último frame procesado
+        this.stats = { sustainedFrames: 0, vibratoFrames: 0, rateSum: 0, extentSum: 0 };
+    }
+
+    /**
+     * Añade una detección a la traza y analiza el vibrato
+     * @param {Object} detection - Detección del PitchTracker (frequency null si no es sonora)
+     * @param {number|null} time - Instante del frame en segundos (reloj de audio); sin él, se
+     *        supone que no falta ningún frame entre este y el anterior
+     * @returns {Object} La misma detección con vibrato: { active, rate, extent, centerFrequency },
+     *          o vibrato null si todavía no hay una nota sostenida suficiente
+     */
+    process(detection, time = null) {
+        const frequency = detection && detection.voiced ? detection.frequency : null;
+        const hops = this.countHops(time);
+
+        // Demasiados frames perdidos seguidos: no se sabe qué pasó entre medias
+        if (hops > this.maxHops) {
+            this.window = [];
+            this.gapFrames = 0;
+        }
+
+        if (!frequency) {
+            this.gapFrames += hops;
+            if (this.gapFrames > MAX_GAP_FRAMES || this.window.length === 0) {
+                this.window = [];
+                return { ...detection, vibrato: null };
+            }
+            // Hueco breve (una consonante, un frame dudoso): mantener el último pitch
+            for (let hop = 0; hop < hops; hop++) {
+                this.push(this.window[this.window.length - 1]);
+            }
+        } else {
+            this.gapFrames = 0;
+            const cents = 1200 * Math.log2(frequency);
+            const previous = this.window[this.window.length - 1];
+            if (previous !== undefined && Math.abs(cents - previous) > NOTE_CHANGE_CENTS) {
+                this.window = [];
+            }
+            // Frames que no llegaron: interpolar entre el último pitch y este
+            if (this.window.length > 0) {
+                for (let hop = 1; hop < hops; hop++) {
+                    this.push(previous + (cents - previous) * hop / hops);
+                }
+            }
+            this.push(cents);
+        }
+
+        if (this.window.length < this.minWindowSize) {
+            return { ...detection, vibrato: null };
+        }
+
+        // Las estadísticas cuentan también los saltos rellenados (tiempo real sostenido)
+        const counted = Math.min(hops, this.maxHops);
+        const vibrato = this.analyze();
+        this.stats.sustainedFrames += counted;
+        if (vibrato.active) {
+            this.stats.vibratoFrames += counted;
+            this.stats.rateSum += vibrato.rate * counted;
+            this.stats.extentSum += vibrato.extent * counted;
+        }
+        return { ...detection, vibrato };
+    }
+
+    /**
+     * Saltos de análisis desde el frame anterior (1 si no se perdió ninguno)
+     * @param {number|null} time - Instante del frame en segundos
+     * @returns {number}
+     */
+    countHops(time) {
+        const previousTime = this.lastTime;
+        this.lastTime = time;
+        if (time === null || previousTime === null || time <= previousTime) {
+            return 1;
+        }
+        return Math.max(1, Math.round((time - previousTime) * this.frameRate));
+    }
+
+    /**
+     * Añade un valor a la ventana deslizante
+     * @param {number} cents - Pitch en cents absolutos
+     */
+    push(cents) {
+        this.window.push(cents);
+        if (this.window.length > this.windowSize) {
+            this.window.shift();
+        }
+    }
+
+    /**
+     * Analiza la ventana actual
+     * @returns {{active: boolean, rate: number, extent: number, centerFrequency: number, regularity: number}}
+     *          rate en Hz, extent en cents (±), centerFrequency en Hz (centro al final de la ventana)
+     */
+    analyze() {
+        const values = this.window;
+        const n = values.length;
+
+        // Quitar la tendencia: lo que queda es la oscilación
+        const trend = fitLine(values);
+        const residuals = values.map((value, i) => value - trend.at(i));
+        const totalPower = residuals.reduce((sum, value) => sum + value * value, 0) / n;
+
+        // Senoide de 4-8 Hz que mejor explica la oscilación
+        let bestRate = 0;
+        let bestAmplitude = 0;
+        let bestSine = null;
+        for (let rate = MIN_RATE; rate <= MAX_RATE + 1e-9; rate += RATE_STEP) {
+            const omega = 2 * Math.PI * rate / this.frameRate;
+            let cosSum = 0;
+            let sinSum = 0;
+            for (let i = 0; i < n; i++) {
+                cosSum += residuals[i] * Math.cos(omega * i);
+                sinSum += residuals[i] * Math.sin(omega * i);
+            }
+            const amplitude = 2 * Math.sqrt(cosSum * cosSum + sinSum * sinSum) / n;
+            if (amplitude > bestAmplitude) {
+                bestAmplitude = amplitude;
+                bestRate = rate;
+                bestSine = (i) => 2 * (cosSum * Math.cos(omega * i) + sinSum * Math.sin(omega * i)) / n;
+            }
+        }
+
+        // Centro: la tendencia recalculada sin la senoide (con ciclos incompletos en la
+        // ventana, la oscilación tuerce la primera recta)
+        const center = bestSine ? fitLine(values.map((value, i) => value - bestSine(i))) : trend;
+        const centerCents = center.at(n - 1);
+
+        const regularity = totalPower > 0 ? Math.min(1, (bestAmplitude * bestAmplitude / 2) / totalPower) : 0;
+        return {
+            active: regularity >= MIN_REGULARITY && bestAmplitude >= MIN_EXTENT && bestAmplitude <= MAX_EXTENT,
+            rate: bestRate,
+            extent: bestAmplitude,
+            centerFrequency: Math.pow(2, centerCents / 1200),
+            regularity
+        };
+    }
+
+    /**
+     * Resumen del vibrato desde el último reset (para mostrarlo al acabar la partida)
+     * @returns {{sustainedSeconds: number, vibratoSeconds: number, share: number, rate: number, extent: number}|null}
+     *          share: fracción del tiempo sostenido con vibrato; rate y extent: medias con vibrato.
+     *          null si no hubo notas sostenidas
+     */
+    getSummary() {
+        const { sustainedFrames, vibratoFrames, rateSum, extentSum } = this.stats;
+        if (sustainedFrames === 0) {
+            return null;
+        }
+        return {
+            sustainedSeconds: sustainedFrames / this.frameRate,
+            vibratoSeconds: vibratoFrames / this.frameRate,
+            share: vibratoFrames / sustainedFrames,
+            rate: vibratoFrames ? rateSum / vibratoFrames : 0,
+            extent: vibratoFrames ? extentSum / vibratoFrames : 0
+        };
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * Módulo de ajustes persistentes
+ * Guarda las preferencias del jugador en localStorage (con prefijo propio)
+ * Si localStorage no está disponible (modo privado, iframes...), los ajustes solo duran la sesión
+ */
+
+const STORAGE_PREFIX = 'musicalCreatures.';
+
+/**
+ * Lee un ajuste guardado
+ * @param {string} key - Nombre del ajuste
+ * @param {*} defaultValue - Valor devuelto si no existe o no se puede leer
+ * @returns {*} Valor guardado o defaultValue
+ */
+export function loadSetting(key, defaultValue = null) {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+        if (raw === null) {
+            return defaultValue;
+        }
+        return JSON.parse(raw);
+    } catch (error) {
+        console.warn('No se pudo leer el ajuste:', key, error);
+        return defaultValue;
+    }
+}
+
+/**
+ * Guarda un ajuste (null o undefined lo elimina)
+ * @param {string} key - Nombre del ajuste
+ * @param {*} value - Valor serializable a JSON
+ */
+export function saveSetting(key, value) {
+    try {
+        if (value === null || value === undefined) {
+            window.localStorage.removeItem(STORAGE_PREFIX + key);
+        } else {
+            window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+        }
+    } catch (error) {
+        console.warn('No se pudo guardar el ajuste:', key, error);
+    }
+}
@@ -5,12 +5,15 @@
  * Incluye sistema de puntuación (tiempo de supervivencia) y doom meter (caos acumulado).
  */
 
+import { frequencyToMidi as toMidi, midiToFrequency as toFrequency } from '../music/pitch.js';
+import { getScaleSteps } from '../music/tuningSystems.js';
+import { getRange } from '../music/rangePresets.js';
+import { filterValidFrequencies, filterVoicedDetections, getJudgedFrequency } from './detections.js';
+
 // ============================================
 // PARÁMETROS AJUSTABLES
 // ============================================
 const ENERGY_LERP = 0.15; // Factor de suavizado del filtro exponencial (0-1)
-const FREQ_MIN = 80; // Hz mínimo válido
-const FREQ_MAX = 1200; // Hz máximo válido
 
 // Sistema de objetivo y puntuación
 const CALM_THRESHOLD = 0.5; // Semitonos: error máximo para estar en CALMA (aumentado de 0.35)
@@ -36,7 +39,7 @@ let time = 0; // Tiempo acumulado para animaciones
 let graceSilenceTimer = 0; // Timer para grace period de silencio
 
 // Sistema de objetivo y puntuación
-let targetMidi = null; // MIDI de la nota objetivo actual
+let targetMidi = null; // MIDI (fraccionario) de la nota objetivo actual
 let targetNoteName = null; // Nombre de la nota objetivo (ej: "E4")
 let targetFreq = null; // Frecuencia en Hz de la nota objetivo
 let scoreSeconds = 0; // Tiempo acumulado de supervivencia
@@ -59,8 +62,7 @@ let particles = [];
  */
 function frequencyToMidi(freq) {
     if (!freq || freq <= 0) return null;
-    // A4 = 440 Hz = MIDI 69
-    return 69 + 12 * Math.log2(freq / 440);
+    return toMidi(freq);
 }
 
 /**
@@ -85,36 +87,6 @@ function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
-/**
- * Filtra frecuencias válidas
- * @param {Array<number>} freqsHz - Array de frecuencias en Hz
- * @returns {Array<number>} Frecuencias válidas
- */
-function filterValidFrequencies(freqsHz) {
-    if (!Array.isArray(freqsHz)) return [];
-    return freqsHz.filter(freq => 
-        freq && 
-        !isNaN(freq) && 
-        isFinite(freq) && 
-        freq >= FREQ_MIN && 
-        freq <= FREQ_MAX
-    );
-}
-
-/**
- * Convierte MIDI a nombre de nota musical
- * @param {number} midi - Nota MIDI (float)
- * @returns {string} Nombre de nota (ej: "E4", "C#3")
- */
-function midiToNoteName(midi) {
-    if (midi === null || midi === undefined || isNaN(midi)) return null;
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const noteNumber = Math.round(midi);
-    const octave = Math.floor(noteNumber / 12) - 1;
-    const noteIndex = ((noteNumber % 12) + 12) % 12;
-    return `${noteNames[noteIndex]}${octave}`;
-}
-
 /**
  * Convierte MIDI a frecuencia en Hz
  * @param {number} midi - Nota MIDI (float)
@@ -122,19 +94,29 @@ function midiToNoteName(midi) {
  */
 function midiToFrequency(midi) {
     if (midi === null || midi === undefined || isNaN(midi)) return null;
-    // A4 = 440 Hz = MIDI 69
-    return 440 * Math.pow(2, (midi - 69) / 12);
+    return toFrequency(midi);
 }
 
 /**
- * Selecciona una nota objetivo aleatoria en el rango F2-C5 (MIDI 41-72)
- * @returns {number} MIDI de la nota objetivo
+ * Selecciona una nota objetivo aleatoria en la tesitura del rango elegido
+ * (por defecto F2-C5) entre las notas del sistema de afinación elegido
+ * @returns {{step: number, frequency: number, name: string}} Nota objetivo
  */
 function selectRandomTargetNote() {
-    // F2 = MIDI 41, C5 = MIDI 72 (cromática completa)
-    const minMidi = 41;
-    const maxMidi = 72;
-    return Math.floor(Math.random() * (maxMidi - minMidi + 1)) + minMidi;
+    const { lowest, highest } = getRange();
+    const steps = getScaleSteps(midiToFrequency(lowest), midiToFrequency(highest));
+    return steps[Math.floor(Math.random() * steps.length)];
+}
+
+/**
+ * Fija la nota objetivo
+ * @param {{frequency: number, name: string}} note - Nota de la escala
+ */
+function setTarget(note) {
+    // MIDI fraccionario: en afinaciones no temperadas el objetivo cae entre semitonos
+    targetMidi = frequencyToMidi(note.frequency);
+    targetNoteName = note.name;
+    targetFreq = note.frequency;
 }
 
 /**
@@ -163,10 +145,11 @@ function calculateMaxError(freqsHz, targetMidi) {
 
 /**
  * Actualiza el estado del juego basado en la proximidad de las frecuencias al objetivo
- * @param {Array<number>} freqsHz - Array de frecuencias en Hz
+ * Solo cuentan las detecciones sonoras; la confianza modula cuánto se mueve la energía
+ * @param {Array<{frequency: number, confidence: number, voiced: boolean}>} detections - Detecciones de pitch
  * @param {number} dt - Delta time en ms
  */
-export function updateCreatureGame(freqsHz, dt) {
+export function updateCreatureGame(detections, dt) {
     if (isGameOver) {
         // No actualizar si el juego terminó
         return;
@@ -174,8 +157,9 @@ export function updateCreatureGame(freqsHz, dt) {
     
     time += dt;
     
-    // Filtrar frecuencias válidas (usar TODAS las detectadas)
-    const validFreqs = filterValidFrequencies(freqsHz);
+    // Filtrar detecciones sonoras con frecuencia válida (usar TODAS las detectadas)
+    const voicedDetections = filterVoicedDetections(detections);
+    const validFreqs = voicedDetections.map(getJudgedFrequency);
     const validFreqsCount = validFreqs.length;
     
     // Si no hay objetivo, no podemos calcular (debe inicializarse con startGame)
@@ -185,6 +169,7 @@ export function updateCreatureGame(freqsHz, dt) {
     
     let maxError = null;
     let proximity = 0;
+    let confidence = 1; // El silencio prolongado cuenta con confianza plena
     
     if (validFreqsCount === 0) {
         // No hay frecuencias: aplicar grace period
@@ -203,6 +188,7 @@ export function updateCreatureGame(freqsHz, dt) {
         // Hay frecuencias: calcular error máximo respecto al objetivo
         graceSilenceTimer = 0;
         maxError = calculateMaxError(validFreqs, targetMidi);
+        confidence = Math.min(...voicedDetections.map(detection => detection.confidence));
         lastValidFreqsCount = validFreqsCount;
     }
     
@@ -217,8 +203,8 @@ export function updateCreatureGame(freqsHz, dt) {
     // 2 semitonos de error máximo → proximidad 0
     proximity = 1 - clamp(maxError / 2.0, 0, 1);
     
-    // Aplicar filtro exponencial a la energía
-    energy = lerp(energy, proximity, ENERGY_LERP);
+    // Aplicar filtro exponencial a la energía (una estimación dudosa la mueve menos)
+    energy = lerp(energy, proximity, ENERGY_LERP * confidence);
     
     // Determinar estado basado en error máximo
     const prevState = currentState;
@@ -252,12 +238,10 @@ export function updateCreatureGame(freqsHz, dt) {
     // Solo cambiar si no está en CAOS (evitar cambios injustos)
     if (calmHoldSeconds >= CALM_HOLD_FOR_TARGET_CHANGE && currentState === 'CALMA') {
         // Seleccionar nueva nota objetivo
-        const newTargetMidi = selectRandomTargetNote();
+        const newTarget = selectRandomTargetNote();
         // Asegurar que no sea la misma nota
-        if (newTargetMidi !== targetMidi) {
-            targetMidi = newTargetMidi;
-            targetNoteName = midiToNoteName(targetMidi);
-            targetFreq = midiToFrequency(targetMidi);
+        if (newTarget.name !== targetNoteName) {
+            setTarget(newTarget);
             calmHoldSeconds = 0; // Resetear contador
             
             // Recompensa: reducir doom
@@ -335,9 +319,7 @@ function updateParticles(dt) {
  */
 export function startGame() {
     // Seleccionar primera nota objetivo
-    targetMidi = selectRandomTargetNote();
-    targetNoteName = midiToNoteName(targetMidi);
-    targetFreq = midiToFrequency(targetMidi);
+    setTarget(selectRandomTargetNote());
     
     // Resetear contadores
     scoreSeconds = 0;
@@ -0,0 +1,61 @@
+/**
+ * Detecciones de pitch para los juegos
+ * Filtros y frecuencia juzgada comunes a la criatura y a la secuencia: qué detecciones
+ * cuentan como voz cantada y con qué frecuencia se comparan con el objetivo.
+ */
+
+import { isInDetectionRange } from '../music/rangePresets.js';
+
+let judgeVibratoCenter = false; // Juzgar el centro del vibrato en lugar del pitch instantáneo
+
+/**
+ * Filtra frecuencias válidas
+ * @param {Array<number>} freqsHz - Array de frecuencias en Hz
+ * @returns {Array<number>} Frecuencias válidas
+ */
+export function filterValidFrequencies(freqsHz) {
+    if (!Array.isArray(freqsHz)) return [];
+    return freqsHz.filter(freq =>
+        freq &&
+        !isNaN(freq) &&
+        isFinite(freq) &&
+        isInDetectionRange(freq) // Límites del rango de instrumento elegido
+    );
+}
+
+/**
+ * Filtra las detecciones sonoras (cantadas) con frecuencia válida
+ * Las estimaciones dudosas (voz aireada, ruido) llegan con voiced = false y se tratan como silencio
+ * @param {Array<{frequency: number, confidence: number, voiced: boolean}>} detections - Detecciones de PitchDetection
+ * @returns {Array<{frequency: number, confidence: number, voiced: boolean}>} Detecciones sonoras válidas
+ */
+export function filterVoicedDetections(detections) {
+    if (!Array.isArray(detections)) return [];
+    return detections.filter(detection =>
+        detection &&
+        detection.voiced &&
+        filterValidFrequencies([detection.frequency]).length > 0
+    );
+}
+
+/**
+ * Frecuencia con la que se juzga una detección: con vibrato (y la opción activada),
+ * el centro del vibrato en lugar del pitch instantáneo
+ * @param {{frequency: number, vibrato: Object|null}} detection - Detección sonora
+ * @returns {number} Frecuencia en Hz
+ */
+export function getJudgedFrequency(detection) {
+    if (judgeVibratoCenter && detection.vibrato && detection.vibrato.active) {
+        return detection.vibrato.centerFrequency;
+    }
+    return detection.frequency;
+}
+
+/**
+ * Elige si se juzga el centro del vibrato (ver vibratoDetector.js) o el pitch instantáneo
+ * en los dos juegos
+ * @param {boolean} enabled - true para juzgar el centro
+ */
+export function setVibratoCenterJudging(enabled) {
+    judgeVibratoCenter = Boolean(enabled);
+}
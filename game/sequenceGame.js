@@ -5,14 +5,21 @@
  * Mantiene la visualización de la criatura del juego original
  */
 
-import { playSequence, createAudioContext } from '../audio/noteSynthesizer.js';
+import { createAudioContext, startDrone } from '../audio/noteSynthesizer.js';
+import { Transport } from '../audio/transport.js';
+import { createMetronome } from '../audio/metronome.js';
+import { createChordBacking, CHORD_STYLES, DEFAULT_CHORD_STYLE } from '../audio/chordBacking.js';
+import { frequencyToMidi as toMidi, midiToFrequency as toFrequency, onReferencePitchChange } from '../music/pitch.js';
+import { frequencyToScaleNote, getTuning, onTuningChange } from '../music/tuningSystems.js';
+import { getOctaveShift, onRangeChange } from '../music/rangePresets.js';
+import { filterValidFrequencies, filterVoicedDetections, getJudgedFrequency } from './detections.js';
+import { noteNameToMidi } from '../music/noteNames.js';
+import { parseChordSymbol, voiceChord } from '../music/chords.js';
 
 // ============================================
 // PARÁMETROS AJUSTABLES
 // ============================================
 const ENERGY_LERP = 0.15; // Factor de suavizado del filtro exponencial (0-1)
-const FREQ_MIN = 80; // Hz mínimo válido
-const FREQ_MAX = 1200; // Hz máximo válido
 
 // Sistema de objetivo y estados
 const CALM_THRESHOLD = 0.8; // Semitonos: error máximo para estar en CALMA (aumentado de 0.5)
@@ -24,6 +31,29 @@ const TENSION_DRAIN_RATE = 0.10; // Vida que se pierde por segundo en TENSION (1
 const CHAOS_DRAIN_RATE = 0.20; // Vida que se pierde por segundo en CAOS (20% por segundo)
 const INITIAL_LIFE = 1.0; // Vida inicial (0.0 - 1.0)
 
+// Tempo y compás: la melodía está escrita en pulsos; la cuenta de entrada es un compás
+export const DEFAULT_BPM = 100; // Un pulso = 0,6 s
+export const MIN_BPM = 60;
+export const MAX_BPM = 160;
+const BEATS_PER_BAR = 4;
+
+// Acompañamiento mientras se canta: guía (la melodía en unísono, bajita) y bordón de la tónica
+export const GUIDE_MODES = {
+    off: {
+        label: 'Sin guía',
+        description: 'Después de escucharla, la melodía se canta de memoria.'
+    },
+    always: {
+        label: 'Guía siempre',
+        description: 'La melodía suena bajita en unísono durante toda la partida.'
+    },
+    firstLoop: {
+        label: 'Guía en la primera vuelta',
+        description: 'La melodía acompaña la primera vuelta y después se canta sin ella.'
+    }
+};
+export const DEFAULT_GUIDE_MODE = 'off';
+
 // Histéresis para evitar parpadeo de estados
 const CALMA_THRESHOLD_ENTER = CALM_THRESHOLD;
 const CALMA_THRESHOLD_EXIT = CALM_THRESHOLD * 1.1;
@@ -31,13 +61,24 @@ const CAOS_THRESHOLD_ENTER = TENSION_THRESHOLD;
 const CAOS_THRESHOLD_EXIT = TENSION_THRESHOLD * 0.9;
 
 // Secuencia de notas hardcodeada (Star Wars)
-// Formato: { note: nombre de nota (ej: "A4"), duration: duración en segundos }
+// Formato: { note: nombre de nota (ej: "A4"), beats: duración en pulsos }
+// Cada vuelta dura 7 pulsos: no completa el segundo compás y la siguiente vuelve a
+// empezar en primera parte (el metrónomo y la rejilla cuentan los compases por vuelta)
 const NOTE_SEQUENCE = [
-    { note: 'G3', duration: 0.6 },  // Sol3 - 0.6 segundos
-    { note: 'C4', duration: 0.9 },  // Do4 - 0.9 segundos
-    { note: 'D4', duration: 0.6 },  // Re4 - 0.6 segundos
-    { note: 'E4', duration: 0.9 },  // Mi4 - 0.9 segundos
-    { note: 'C4', duration: 1.2 }   // Do4 - 1.2 segundos
+    { note: 'G3', beats: 1 },    // Sol3 - 0.6 segundos a 100 BPM
+    { note: 'C4', beats: 1.5 },  // Do4 - 0.9 segundos
+    { note: 'D4', beats: 1 },    // Re4 - 0.6 segundos
+    { note: 'E4', beats: 1.5 },  // Mi4 - 0.9 segundos
+    { note: 'C4', beats: 2 }     // Do4 - 1.2 segundos
+];
+
+// Pista de acordes de la secuencia (opcional: [] = sin acordes), en cifrado americano
+// Formato: { chord: cifrado (ej: "Am7", "G/B"; null = silencio), beats: duración en pulsos }
+const CHORD_TRACK = [
+    { chord: 'C', beats: 2 },
+    { chord: 'G/B', beats: 2 },
+    { chord: 'Am7', beats: 2 },
+    { chord: 'F', beats: 1 }
 ];
 
 // ============================================
@@ -49,17 +90,35 @@ let time = 0; // Tiempo acumulado para animaciones
 let graceSilenceTimer = 0; // Timer para grace period de silencio
 
 // Sistema de secuencia
+// Todo el ritmo del juego sale del reloj del AudioContext a través de transportes
+// (ver audio/transport.js) que se programan al empezar la partida: la escucha, la cuenta
+// de entrada y, desde que acaba, uno en silencio que marca en bucle la nota objetivo.
+// Las fases se deciden comparando el reloj de audio con esos instantes
 let currentNoteIndex = 0; // Índice de la nota actual en la secuencia
-let currentNoteTimer = 0; // Timer de la nota actual (en ms)
-let sequenceNotes = []; // Array con las notas de la secuencia (frecuencias y nombres)
+let sequenceNotes = []; // Array con las notas de la secuencia (frecuencias, nombres y pulsos)
+let scheduledTransports = []; // Transportes de la partida: { transport, startTime }
+let listeningTransport = null; // Reproducción de la secuencia en la fase PLAYING_NOTES
+let playingTransport = null; // Reloj de la secuencia en bucle durante PLAYING (sin sonido)
+let countdownStartTime = null; // Instante (reloj de audio) en que empieza la cuenta de entrada
+let pausedAudioTime = null; // Instante (reloj de audio) en que se pausó la partida (null = no pausada)
+let playingStartTime = null; // Instante (reloj de audio) en que empieza el bucle del juego
+let accompaniment = { guide: DEFAULT_GUIDE_MODE, guideVolume: 0.3, drone: false, droneVolume: 0.3 };
+let guideTransport = null; // Melodía guía durante el juego (en el mismo reloj que el bucle)
+let drone = null; // Bordón de la tónica (ver startDrone)
+let metronome = { enabled: false, volume: 0.5, bpm: DEFAULT_BPM };
+let metronomeTransport = null; // Pulso en bucle durante el juego (alineado con la melodía)
+let gameBpm = DEFAULT_BPM; // Tempo de la partida en curso (el cambio se aplica en la siguiente)
+let chordNotes = []; // Pista de acordes colocada bajo la melodía: { chord, frequencies, duration }
+let harmony = { listening: true, singing: false, style: DEFAULT_CHORD_STYLE, volume: 0.4 };
+let harmonyTransport = null; // Acordes en bucle durante el juego (alineados con la melodía)
+let latencyCompensation = 0; // ms que tarda en llegar la voz del jugador (ver latencyCalibration.js)
 let audioContext = null; // Contexto de audio para síntesis
+let playbackOptions = {}; // Voz y volumen del sintetizador al escuchar la secuencia (ver synthVoices.js)
 
 // Estados del juego: 'PLAYING_NOTES' | 'COUNTDOWN' | 'PLAYING' | 'GAME_OVER'
 let gamePhase = 'PLAYING_NOTES'; // Fase actual del juego
-let initialPlaybackTimer = 0; // Timer para la reproducción inicial de notas
 let initialPlaybackNoteIndex = 0; // Índice de la nota que se está reproduciendo durante PLAYING_NOTES
-let countdownTimer = 0; // Timer para la cuenta atrás
-let countdownNumber = 3; // Número actual del countdown (3, 2, 1)
+let countdownNumber = BEATS_PER_BAR; // Pulso de la cuenta de entrada que falta (4, 3, 2, 1)
 
 // Sistema de vida y puntuación
 let life = INITIAL_LIFE; // Vida del jugador (0.0 - 1.0)
@@ -80,8 +139,7 @@ let particles = [];
  */
 function frequencyToMidi(freq) {
     if (!freq || freq <= 0) return null;
-    // A4 = 440 Hz = MIDI 69
-    return 69 + 12 * Math.log2(freq / 440);
+    return toMidi(freq);
 }
 
 /**
@@ -91,44 +149,7 @@ function frequencyToMidi(freq) {
  */
 function midiToFrequency(midi) {
     if (midi === null || midi === undefined || isNaN(midi)) return null;
-    // A4 = 440 Hz = MIDI 69
-    return 440 * Math.pow(2, (midi - 69) / 12);
-}
-
-/**
- * Convierte nombre de nota a frecuencia
- * @param {string} noteName - Nombre de nota (ej: "A4")
- * @returns {number} Frecuencia en Hz
- */
-function noteNameToFrequency(noteName) {
-    const A4 = 440;
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    
-    const match = noteName.match(/^([A-G]#?)(\d+)$/);
-    if (!match) return null;
-    
-    const [, note, octaveStr] = match;
-    const octave = parseInt(octaveStr, 10);
-    const noteIndex = noteNames.indexOf(note);
-    
-    if (noteIndex === -1) return null;
-    
-    const semitones = (octave - 4) * 12 + (noteIndex - 9);
-    return A4 * Math.pow(2, semitones / 12);
-}
-
-/**
- * Convierte MIDI a nombre de nota musical
- * @param {number} midi - Nota MIDI (float)
- * @returns {string} Nombre de nota (ej: "E4", "C#3")
- */
-function midiToNoteName(midi) {
-    if (midi === null || midi === undefined || isNaN(midi)) return null;
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const noteNumber = Math.round(midi);
-    const octave = Math.floor(noteNumber / 12) - 1;
-    const noteIndex = ((noteNumber % 12) + 12) % 12;
-    return `${noteNames[noteIndex]}${octave}`;
+    return toFrequency(midi);
 }
 
 /**
@@ -153,22 +174,6 @@ function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
-/**
- * Filtra frecuencias válidas
- * @param {Array<number>} freqsHz - Array de frecuencias en Hz
- * @returns {Array<number>} Frecuencias válidas
- */
-function filterValidFrequencies(freqsHz) {
-    if (!Array.isArray(freqsHz)) return [];
-    return freqsHz.filter(freq => 
-        freq && 
-        !isNaN(freq) && 
-        isFinite(freq) && 
-        freq >= FREQ_MIN && 
-        freq <= FREQ_MAX
-    );
-}
-
 /**
  * Calcula el error máximo en semitonos respecto al objetivo
  * @param {Array<number>} freqsHz - Array de frecuencias en Hz
@@ -203,16 +208,254 @@ function getCurrentTarget() {
     return sequenceNotes[currentNoteIndex];
 }
 
+/**
+ * Obtiene la nota con la que se juzga al jugador: la que tocaba hace latencyCompensation ms,
+ * porque la frecuencia que llega ahora se cantó entonces
+ * @returns {Object} { frequency, noteName } o null si no hay nota actual
+ */
+function getJudgedTarget() {
+    if (latencyCompensation <= 0 || !playingTransport) {
+        return getCurrentTarget();
+    }
+    // Antes del inicio del bucle el transporte da la primera nota: al empezar todavía
+    // no ha llegado nada cantado antes de ella
+    const index = playingTransport.getNoteIndex(audioContext.currentTime - latencyCompensation / 1000);
+    return sequenceNotes[index] || null;
+}
+
+/**
+ * Programa un transporte de la partida (se reprograma igual al reanudar tras una pausa)
+ * @param {Transport} transport - Transporte
+ * @param {number} startTime - Instante de inicio (reloj de audio)
+ * @returns {Transport} El mismo transporte
+ */
+function scheduleTransport(transport, startTime) {
+    scheduledTransports.push({ transport, startTime });
+    transport.play(startTime);
+    return transport;
+}
+
+/**
+ * Detiene y descarta los transportes de la partida (y el acompañamiento)
+ */
+function stopTransports() {
+    scheduledTransports.forEach(({ transport }) => transport.dispose());
+    [guideTransport, metronomeTransport, harmonyTransport].forEach(transport => {
+        if (transport) {
+            transport.dispose();
+        }
+    });
+    scheduledTransports = [];
+    listeningTransport = null;
+    playingTransport = null;
+    guideTransport = null;
+    metronomeTransport = null;
+    harmonyTransport = null;
+    stopDrone();
+}
+
+/**
+ * Duración de un pulso en la partida en curso
+ * @returns {number} Segundos
+ */
+function getBeatDuration() {
+    return 60 / gameBpm;
+}
+
+/**
+ * Duración de la melodía en pulsos
+ * @returns {number}
+ */
+function getSequenceBeats() {
+    return sequenceNotes.reduce((total, note) => total + note.duration, 0);
+}
+
+/**
+ * Frecuencia del bordón: la tónica de la afinación, en la octava justo por debajo
+ * (o en) la nota más grave de la melodía
+ * @returns {number} Hz
+ */
+function getDroneFrequency() {
+    const lowest = Math.round(Math.min(...sequenceNotes.map(note => frequencyToMidi(note.frequency))));
+    const { tonic } = getTuning();
+    const tonicMidi = lowest - (((lowest - tonic) % 12) + 12) % 12;
+    return frequencyToScaleNote(midiToFrequency(tonicMidi)).frequency;
+}
+
+/**
+ * Empieza el bordón
+ * @param {number} when - Instante de inicio (reloj de audio)
+ */
+function playDrone(when) {
+    stopDrone();
+    drone = startDrone(audioContext, getDroneFrequency(), { volume: accompaniment.droneVolume, startTime: when });
+}
+
+/**
+ * Para el bordón si está sonando
+ */
+function stopDrone() {
+    if (drone) {
+        drone.stop();
+        drone = null;
+    }
+}
+
+/**
+ * Empieza la guía alineada con el bucle del juego
+ * @param {number} when - Instante de inicio (reloj de audio)
+ * @param {number} position - Posición del bucle en ese instante (pulsos)
+ */
+function playGuide(when, position = 0) {
+    if (guideTransport) {
+        guideTransport.dispose();
+    }
+    guideTransport = new Transport(audioContext, sequenceNotes, {
+        voice: playbackOptions.voice,
+        volume: accompaniment.guideVolume,
+        tempo: gameBpm / 60,
+        loop: accompaniment.guide === 'always'
+    });
+    guideTransport.seek(position);
+    guideTransport.play(when);
+}
+
+/**
+ * Empieza el metrónomo en bucle alineado con el bucle del juego
+ * @param {number} when - Instante de inicio (reloj de audio)
+ * @param {number} position - Posición del bucle en ese instante (pulsos)
+ */
+function playMetronome(when, position = 0) {
+    if (metronomeTransport) {
+        metronomeTransport.dispose();
+    }
+    metronomeTransport = createMetronome(audioContext, getSequenceBeats(), {
+        beatsPerBar: BEATS_PER_BAR,
+        tempo: gameBpm / 60,
+        volume: metronome.volume,
+        loop: true
+    });
+    metronomeTransport.seek(position);
+    metronomeTransport.play(when);
+}
+
+/**
+ * Empieza los acordes en bucle alineados con el bucle del juego
+ * @param {number} when - Instante de inicio (reloj de audio)
+ * @param {number} position - Posición del bucle en ese instante (pulsos)
+ */
+function playHarmony(when, position = 0) {
+    if (harmonyTransport) {
+        harmonyTransport.dispose();
+    }
+    harmonyTransport = createChordBacking(audioContext, chordNotes, {
+        style: harmony.style,
+        tempo: gameBpm / 60,
+        volume: harmony.volume,
+        loop: true
+    });
+    harmonyTransport.seek(position);
+    harmonyTransport.play(when);
+}
+
+/**
+ * Ajusta los acordes de la fase de juego a las opciones actuales
+ * (los de la escucha se deciden al empezar la partida)
+ * @param {boolean} restart - Volver a crearlos aunque ya suenen (cambió el estilo)
+ */
+function applyHarmony(restart = false) {
+    if (!audioContext || (gamePhase !== 'COUNTDOWN' && gamePhase !== 'PLAYING') || pausedAudioTime !== null) {
+        return;
+    }
+
+    if (harmonyTransport && (!harmony.singing || restart)) {
+        harmonyTransport.dispose();
+        harmonyTransport = null;
+    }
+    if (!harmony.singing || chordNotes.length === 0) {
+        return;
+    }
+    if (!harmonyTransport) {
+        if (gamePhase === 'COUNTDOWN') {
+            playHarmony(playingStartTime);
+        } else {
+            playHarmony(audioContext.currentTime, playingTransport.getPosition());
+        }
+    } else {
+        harmonyTransport.setVolume(harmony.volume);
+    }
+}
+
+/**
+ * Ajusta el metrónomo de la partida en curso a las opciones actuales
+ * (el tempo se fija al empezar la partida; la cuenta de entrada suena siempre)
+ */
+function applyMetronome() {
+    if (!audioContext || (gamePhase !== 'COUNTDOWN' && gamePhase !== 'PLAYING') || pausedAudioTime !== null) {
+        return;
+    }
+
+    if (!metronome.enabled) {
+        if (metronomeTransport) {
+            metronomeTransport.dispose();
+            metronomeTransport = null;
+        }
+    } else if (!metronomeTransport) {
+        if (gamePhase === 'COUNTDOWN') {
+            playMetronome(playingStartTime);
+        } else {
+            playMetronome(audioContext.currentTime, playingTransport.getPosition());
+        }
+    } else {
+        metronomeTransport.setVolume(metronome.volume);
+    }
+}
+
+/**
+ * Ajusta el acompañamiento de la partida en curso a las opciones actuales
+ * (el bordón suena desde la cuenta de entrada; la guía, con el bucle del juego)
+ */
+function applyAccompaniment() {
+    if (!audioContext || (gamePhase !== 'COUNTDOWN' && gamePhase !== 'PLAYING') || pausedAudioTime !== null) {
+        return;
+    }
+
+    if (accompaniment.drone && !drone) {
+        playDrone(audioContext.currentTime);
+    } else if (!accompaniment.drone) {
+        stopDrone();
+    } else {
+        drone.setVolume(accompaniment.droneVolume);
+    }
+
+    if (accompaniment.guide === 'off' && guideTransport) {
+        guideTransport.dispose();
+        guideTransport = null;
+    } else if (accompaniment.guide === 'always' && !guideTransport) {
+        // Entra a mitad de partida: en la posición del bucle
+        if (gamePhase === 'COUNTDOWN') {
+            playGuide(playingStartTime);
+        } else {
+            playGuide(audioContext.currentTime, playingTransport.getPosition());
+        }
+    } else if (guideTransport) {
+        // Pasar de "siempre" a "primera vuelta" deja acabar la vuelta en curso
+        guideTransport.setLoop(accompaniment.guide === 'always' ? 0 : null);
+        guideTransport.setVolume(accompaniment.guideVolume);
+    }
+}
+
 // ============================================
 // LÓGICA DEL JUEGO
 // ============================================
 
 /**
  * Actualiza el estado del juego basado en la proximidad de las frecuencias al objetivo
- * @param {Array<number>} freqsHz - Array de frecuencias en Hz
+ * Solo cuentan las detecciones sonoras; la confianza modula cuánto se mueve la energía
+ * @param {Array<{frequency: number, confidence: number, voiced: boolean}>} detections - Detecciones de pitch
  * @param {number} dt - Delta time en ms
  */
-export function updateSequenceGame(freqsHz, dt) {
+export function updateSequenceGame(detections, dt) {
     if (isGameOver || gamePhase === 'GAME_OVER') {
         // No actualizar si el juego terminó
         return;
@@ -220,83 +463,54 @@ export function updateSequenceGame(freqsHz, dt) {
     
     time += dt;
     
-    // Manejar diferentes fases del juego
+    // Manejar diferentes fases del juego (los instantes ya están programados en el reloj de audio)
+    const now = audioContext && playingStartTime !== null ? audioContext.currentTime : null;
+    
     if (gamePhase === 'PLAYING_NOTES') {
-        // Fase de reproducción inicial: esperar a que terminen las notas
-        initialPlaybackTimer += dt;
-        
-        // Calcular qué nota se está reproduciendo actualmente
-        let accumulatedTime = 0;
-        initialPlaybackNoteIndex = 0;
-        for (let i = 0; i < NOTE_SEQUENCE.length; i++) {
-            const noteDuration = NOTE_SEQUENCE[i].duration * 1000; // en ms
-            if (initialPlaybackTimer < accumulatedTime + noteDuration) {
-                initialPlaybackNoteIndex = i;
-                break;
-            }
-            accumulatedTime += noteDuration;
-            initialPlaybackNoteIndex = i; // En caso de que sea la última nota
-        }
-        
-        // Calcular duración total de todas las notas
-        const totalDuration = NOTE_SEQUENCE.reduce((sum, note) => sum + note.duration, 0) * 1000; // en ms
-        
-        if (initialPlaybackTimer >= totalDuration) {
-            // Las notas terminaron, iniciar cuenta atrás
+        // Fase de reproducción inicial: la nota que suena la da el transporte
+        if (now !== null && now >= countdownStartTime) {
             gamePhase = 'COUNTDOWN';
-            countdownTimer = 0;
-            countdownNumber = 3;
-            initialPlaybackTimer = 0;
-            initialPlaybackNoteIndex = -1; // Resetear
-            // Resetear índices para empezar el juego
+            initialPlaybackNoteIndex = -1;
             currentNoteIndex = 0;
-            currentNoteTimer = 0;
+        } else {
+            if (listeningTransport) {
+                initialPlaybackNoteIndex = listeningTransport.getNoteIndex();
+            }
+            
+            // Durante la reproducción inicial, no hacer nada más
+            updateParticles(dt);
+            return;
         }
-        
-        // Durante la reproducción inicial, no hacer nada más
-        updateParticles(dt);
-        return;
     }
     
     if (gamePhase === 'COUNTDOWN') {
-        // Fase de cuenta atrás: 3, 2, 1
-        countdownTimer += dt;
-        const countdownInterval = 1000; // 1 segundo por número
+        // Cuenta de entrada: un compás del metrónomo (4, 3, 2, 1), un número por pulso
+        const elapsed = now - countdownStartTime;
+        countdownNumber = clamp(BEATS_PER_BAR - Math.floor(elapsed / getBeatDuration()), 0, BEATS_PER_BAR);
         
-        if (countdownTimer >= countdownInterval) {
-            countdownNumber--;
-            countdownTimer = 0;
-            
-            if (countdownNumber <= 0) {
-                // Countdown terminado, empezar el juego
-                gamePhase = 'PLAYING';
-                countdownTimer = 0;
-                countdownNumber = 0;
-            }
+        if (now >= playingStartTime) {
+            // Cuenta terminada, empezar el juego (el bucle ya está en marcha desde este instante)
+            gamePhase = 'PLAYING';
+            countdownNumber = 0;
+        } else {
+            // Durante la cuenta, no hacer nada más
+            updateParticles(dt);
+            return;
         }
-        
-        // Durante el countdown, no hacer nada más
-        updateParticles(dt);
-        return;
     }
     
     // Fase PLAYING: el juego está activo
-    // Avanzar timer de la nota actual
-    currentNoteTimer += dt;
-    const currentTarget = getCurrentTarget();
-    
-    if (currentTarget) {
-        const noteDuration = NOTE_SEQUENCE[currentNoteIndex].duration * 1000; // Convertir a ms
-        
-        // Si el timer excede la duración, pasar a la siguiente nota
-        if (currentNoteTimer >= noteDuration) {
-            currentNoteTimer = 0;
-            currentNoteIndex = (currentNoteIndex + 1) % NOTE_SEQUENCE.length;
-        }
+    // La nota actual es la que marca el bucle en el reloj de audio
+    if (playingTransport) {
+        currentNoteIndex = playingTransport.getNoteIndex();
     }
     
-    // Filtrar frecuencias válidas
-    const validFreqs = filterValidFrequencies(freqsHz);
+    // Juzgar con la nota que tocaba cuando se cantó lo que llega ahora (compensa la latencia)
+    const currentTarget = getJudgedTarget();
+    
+    // Filtrar detecciones sonoras con frecuencia válida
+    const voicedDetections = filterVoicedDetections(detections);
+    const validFreqs = voicedDetections.map(getJudgedFrequency);
     const validFreqsCount = validFreqs.length;
     
     // Si no hay objetivo, no podemos calcular
@@ -307,6 +521,7 @@ export function updateSequenceGame(freqsHz, dt) {
     
     let maxError = null;
     let proximity = 0;
+    let confidence = 1; // El silencio prolongado cuenta con confianza plena
     
     if (validFreqsCount === 0) {
         // No hay frecuencias: aplicar grace period
@@ -323,6 +538,7 @@ export function updateSequenceGame(freqsHz, dt) {
         // Hay frecuencias: calcular error máximo respecto al objetivo
         graceSilenceTimer = 0;
         maxError = calculateMaxError(validFreqs, currentTarget.frequency);
+        confidence = Math.min(...voicedDetections.map(detection => detection.confidence));
     }
     
     // Si maxError es null, mantener el estado anterior (grace period activo)
@@ -334,8 +550,8 @@ export function updateSequenceGame(freqsHz, dt) {
     // Calcular proximidad (1 = perfecto, 0 = muy lejos)
     proximity = 1 - clamp(maxError / 2.0, 0, 1);
     
-    // Aplicar filtro exponencial a la energía
-    energy = lerp(energy, proximity, ENERGY_LERP);
+    // Aplicar filtro exponencial a la energía (una estimación dudosa la mueve menos)
+    energy = lerp(energy, proximity, ENERGY_LERP * confidence);
     
     // Determinar estado basado en error máximo
     const prevState = currentState;
@@ -379,6 +595,7 @@ export function updateSequenceGame(freqsHz, dt) {
     if (life <= 0) {
         isGameOver = true;
         gamePhase = 'GAME_OVER';
+        stopTransports();
     }
     
     // Actualizar partículas según estado
@@ -425,30 +642,88 @@ function updateParticles(dt) {
 }
 
 /**
- * Inicializa el juego: prepara la secuencia y reproduce las notas
- * @param {AudioContext} audioCtx - Contexto de audio (opcional, se crea uno nuevo si no se proporciona)
+ * Prepara la secuencia de notas con sus frecuencias
+ * La melodía está escrita en temperamento igual: se sube o baja de octava para que quepa
+ * en el rango del instrumento y cada nota se lleva a la más cercana del sistema de
+ * afinación elegido (con el La de referencia actual)
+ * @returns {Array<Object>} Notas: { note, frequency, noteName, duration } (duración en pulsos)
  */
-export function startSequenceGame(audioCtx = null) {
-    // Crear o usar contexto de audio
-    audioContext = audioCtx || createAudioContext();
+function buildSequenceNotes() {
+    const midis = NOTE_SEQUENCE.map(noteData => noteNameToMidi(noteData.note));
+    const octaves = getOctaveShift(Math.min(...midis), Math.max(...midis));
     
-    // Preparar secuencia de notas con frecuencias
-    sequenceNotes = NOTE_SEQUENCE.map(noteData => {
-        const frequency = noteNameToFrequency(noteData.note);
-        const midi = frequencyToMidi(frequency);
-        const noteName = midiToNoteName(midi);
+    return NOTE_SEQUENCE.map((noteData, index) => {
+        const scaleNote = frequencyToScaleNote(midiToFrequency(midis[index] + 12 * octaves));
         
         return {
             note: noteData.note,
-            frequency: frequency,
-            noteName: noteName,
-            duration: noteData.duration
+            frequency: scaleNote.frequency,
+            noteName: scaleNote.name,
+            duration: noteData.beats
+        };
+    });
+}
+
+/**
+ * Coloca la pista de acordes bajo la melodía ya preparada
+ * Cada acorde va por debajo de la nota más grave de la melodía (ver voiceChord) y sus
+ * notas se llevan, como las de la melodía, al sistema de afinación elegido. Si al
+ * afinarlas alguna llega a la melodía se quita (se confundiría con ella al enmascarar)
+ * @returns {Array<Object>} Acordes: { chord, frequencies, duration } (duración en pulsos;
+ *          sin frecuencias = silencio)
+ */
+function buildChordNotes() {
+    const lowestFrequency = Math.min(...sequenceNotes.map(note => note.frequency));
+    const lowest = Math.round(frequencyToMidi(lowestFrequency));
+    
+    return CHORD_TRACK.map(chordData => {
+        const chord = parseChordSymbol(chordData.chord);
+        if (chordData.chord && !chord) {
+            console.warn(`Cifrado de acorde no válido: "${chordData.chord}"`);
+        }
+        const frequencies = chord
+            ? voiceChord(chord, lowest).map(midi => frequencyToScaleNote(midiToFrequency(midi)).frequency)
+            : [];
+        const belowMelody = frequencies.filter(frequency => frequency < lowestFrequency);
+        if (belowMelody.length < frequencies.length) {
+            console.warn(`El acorde "${chordData.chord}" llega a la melodía: se quitan sus notas más agudas`);
+        }
+        return {
+            chord: chordData.chord,
+            frequencies: belowMelody,
+            duration: chordData.beats
         };
     });
+}
+
+/**
+ * Reafina los objetivos de la partida en curso (cambio de La de referencia, de afinación o de rango)
+ */
+function retuneSequence() {
+    if (sequenceNotes.length > 0) {
+        sequenceNotes = buildSequenceNotes();
+        chordNotes = buildChordNotes();
+    }
+}
+
+onReferencePitchChange(retuneSequence);
+onTuningChange(retuneSequence);
+onRangeChange(retuneSequence);
+
+/**
+ * Inicializa el juego: prepara la secuencia y reproduce las notas
+ * @param {AudioContext} audioCtx - Contexto de audio (opcional, se crea uno nuevo si no se proporciona)
+ */
+export function startSequenceGame(audioCtx = null) {
+    // Crear o usar contexto de audio
+    audioContext = audioCtx || createAudioContext();
+    
+    // Preparar secuencia de notas con frecuencias (y los acordes bajo ella)
+    sequenceNotes = buildSequenceNotes();
+    chordNotes = buildChordNotes();
     
     // Resetear contadores
     currentNoteIndex = 0;
-    currentNoteTimer = 0;
     life = INITIAL_LIFE;
     survivalTime = 0;
     isGameOver = false;
@@ -459,16 +734,254 @@ export function startSequenceGame(audioCtx = null) {
     
     // Resetear fases del juego
     gamePhase = 'PLAYING_NOTES';
-    initialPlaybackTimer = 0;
     initialPlaybackNoteIndex = 0;
-    countdownTimer = 0;
-    countdownNumber = 3;
+    countdownStartTime = null;
+    pausedAudioTime = null;
+    playingStartTime = null;
+    countdownNumber = BEATS_PER_BAR;
     
     // Limpiar partículas
     particles = [];
     
-    // Reproducir secuencia de notas al inicio (solo una vez al inicio del juego)
-    playSequence(audioContext, NOTE_SEQUENCE, null, null);
+    // Reproducir secuencia de notas al inicio (solo una vez al inicio del juego), ya afinada
+    stopTransports();
+    // Con el contexto cerrado (juego detenido) no hay reloj: la partida espera a empezar de nuevo
+    if (audioContext.state === 'closed') {
+        return;
+    }
+    
+    // Línea de tiempo de la partida, toda en el reloj de audio y al tempo elegido:
+    // escucha → un compás de cuenta de entrada → bucle del juego
+    gameBpm = metronome.bpm;
+    const tempo = gameBpm / 60;
+    const beatDuration = getBeatDuration();
+    const startTime = audioContext.currentTime;
+    countdownStartTime = startTime + getSequenceBeats() * beatDuration;
+    playingStartTime = countdownStartTime + BEATS_PER_BAR * beatDuration;
+    
+    listeningTransport = scheduleTransport(
+        new Transport(audioContext, sequenceNotes, { ...playbackOptions, tempo }),
+        startTime
+    );
+    if (harmony.listening && chordNotes.length > 0) {
+        scheduleTransport(
+            createChordBacking(audioContext, chordNotes, { style: harmony.style, tempo, volume: harmony.volume }),
+            startTime
+        );
+    }
+    scheduleTransport(
+        createMetronome(audioContext, BEATS_PER_BAR, { beatsPerBar: BEATS_PER_BAR, tempo, volume: metronome.volume }),
+        countdownStartTime
+    );
+    playingTransport = scheduleTransport(
+        new Transport(audioContext, sequenceNotes, { volume: 0, tempo, loop: true }),
+        playingStartTime
+    );
+    
+    // Acompañamiento: el bordón da la tónica ya en la cuenta de entrada; la guía, los
+    // acordes y el metrónomo van con el bucle
+    if (accompaniment.drone) {
+        playDrone(countdownStartTime);
+    }
+    if (accompaniment.guide !== 'off') {
+        playGuide(playingStartTime);
+    }
+    if (harmony.singing && chordNotes.length > 0) {
+        playHarmony(playingStartTime);
+    }
+    if (metronome.enabled) {
+        playMetronome(playingStartTime);
+    }
+}
+
+/**
+ * Pausa la secuencia (escucha, cuenta de entrada o bucle) mientras el juego está congelado
+ */
+export function pauseSequenceGame() {
+    if (!audioContext || pausedAudioTime !== null) {
+        return;
+    }
+    pausedAudioTime = audioContext.currentTime;
+    [...scheduledTransports.map(entry => entry.transport), guideTransport, metronomeTransport, harmonyTransport].forEach(transport => {
+        if (transport) {
+            transport.pause();
+        }
+    });
+    // El bordón programado para la cuenta de entrada no debe empezar en plena pausa
+    if (drone && pausedAudioTime < countdownStartTime) {
+        stopDrone();
+    }
+}
+
+/**
+ * Reanuda la secuencia donde se pausó: toda la línea de tiempo se retrasa lo que duró la pausa
+ */
+export function resumeSequenceGame() {
+    if (pausedAudioTime === null) {
+        return;
+    }
+    const pausedFor = audioContext.currentTime - pausedAudioTime;
+    pausedAudioTime = null;
+    if (playingStartTime === null) {
+        return;
+    }
+
+    countdownStartTime += pausedFor;
+    playingStartTime += pausedFor;
+    // Lo que aún no había empezado se reprograma más tarde; lo que sonaba sigue ya
+    // (play no programa nada en el pasado). Lo que ya había terminado no se toca
+    scheduledTransports.forEach(entry => {
+        entry.startTime += pausedFor;
+        if (entry.transport.getState() === 'paused') {
+            entry.transport.play(entry.startTime);
+        }
+    });
+    [guideTransport, metronomeTransport, harmonyTransport].forEach(transport => {
+        // La guía de la primera vuelta puede haber terminado ya
+        if (transport && transport.getState() === 'paused') {
+            transport.play(playingStartTime);
+        }
+    });
+    if (accompaniment.drone && !drone) {
+        playDrone(Math.max(countdownStartTime, audioContext.currentTime));
+    }
+}
+
+/**
+ * Elige el acompañamiento mientras se canta (se aplica también a la partida en curso)
+ * @param {Object} options - Cualquier combinación de:
+ * @param {string} options.guide - Modo de la guía (ver GUIDE_MODES)
+ * @param {number} options.guideVolume - Volumen de la guía (0-1)
+ * @param {boolean} options.drone - Bordón de la tónica
+ * @param {number} options.droneVolume - Volumen del bordón (0-1)
+ */
+export function setAccompaniment(options) {
+    accompaniment = { ...accompaniment, ...options };
+    if (!GUIDE_MODES[accompaniment.guide]) {
+        accompaniment.guide = DEFAULT_GUIDE_MODE;
+    }
+    applyAccompaniment();
+}
+
+/**
+ * Elige los acordes que acompañan a la melodía (ver CHORD_STYLES)
+ * Los de la fase de juego se aplican también a la partida en curso
+ * @param {Object} options - Cualquier combinación de:
+ * @param {boolean} options.listening - Acordes bajo la melodía al escucharla
+ * @param {boolean} options.singing - Acordes en bucle mientras se canta
+ * @param {string} options.style - Cómo suenan (ver CHORD_STYLES)
+ * @param {number} options.volume - Volumen (0-1)
+ */
+export function setHarmony(options) {
+    const previousStyle = harmony.style;
+    harmony = { ...harmony, ...options };
+    if (!CHORD_STYLES[harmony.style]) {
+        harmony.style = DEFAULT_CHORD_STYLE;
+    }
+    applyHarmony(harmony.style !== previousStyle);
+}
+
+/**
+ * Configura el metrónomo: el volumen vale también para la cuenta de entrada, que
+ * suena siempre; el pulso durante el juego se enciende y apaga en la partida en curso
+ * y el tempo se aplica desde la siguiente
+ * @param {Object} options - Cualquier combinación de:
+ * @param {boolean} options.enabled - Marcar el pulso mientras se canta
+ * @param {number} options.volume - Volumen (0-1)
+ * @param {number} options.bpm - Tempo en pulsos por minuto (MIN_BPM-MAX_BPM)
+ */
+export function setMetronome(options) {
+    metronome = { ...metronome, ...options };
+    metronome.bpm = clamp(Math.round(Number(metronome.bpm)) || DEFAULT_BPM, MIN_BPM, MAX_BPM);
+    applyMetronome();
+}
+
+/**
+ * Partitura de la siguiente partida: la melodía escrita y el tempo al que sonará
+ * (para fuentes que cantan junto al juego, como la demo sintética)
+ * @returns {{notes: Array<{note: string, beats: number}>, bpm: number, leadInBeats: number}}
+ *          Melodía en pulsos, tempo elegido y pulsos de la cuenta de entrada
+ */
+export function getSequenceScore() {
+    return {
+        notes: NOTE_SEQUENCE.map(({ note, beats }) => ({ note, beats })),
+        bpm: metronome.bpm,
+        leadInBeats: BEATS_PER_BAR
+    };
+}
+
+/**
+ * Rejilla de pulsos de la partida en curso, para dibujarla bajo la traza
+ * @returns {{startTime: number, beatDuration: number, beatsPerBar: number, beatsPerLoop: number}|null}
+ *          startTime: instante (reloj de audio) de la primera parte del bucle del juego;
+ *          beatDuration en segundos; beatsPerLoop: pulsos de cada vuelta (la melodía no tiene
+ *          por qué completar el último compás). null si la partida no ha programado el juego
+ */
+export function getBeatGrid() {
+    if (playingStartTime === null) {
+        return null;
+    }
+    return {
+        startTime: playingStartTime,
+        beatDuration: getBeatDuration(),
+        beatsPerBar: BEATS_PER_BAR,
+        beatsPerLoop: getSequenceBeats()
+    };
+}
+
+/**
+ * Frecuencias del acompañamiento que pueden estar sonando en un frame del micrófono
+ * Lo que se captura llega latencyCompensation ms después de sonar
+ * @param {number} startTime - Instante (reloj de audio) de la primera muestra del frame
+ * @param {number} endTime - Instante de la última muestra
+ * @returns {Array<number>} Frecuencias en Hz (vacío si no suena nada)
+ */
+export function getAccompanimentFrequencies(startTime, endTime) {
+    const frequencies = [];
+    const latency = latencyCompensation / 1000;
+    if (drone) {
+        frequencies.push(...drone.frequencies);
+    }
+    if (guideTransport && guideTransport.getState() === 'playing') {
+        [startTime - latency, endTime - latency].forEach(time => {
+            if (time < playingStartTime) {
+                return;
+            }
+            const note = sequenceNotes[guideTransport.getNoteIndex(time)];
+            if (note && !frequencies.includes(note.frequency)) {
+                frequencies.push(note.frequency);
+            }
+        });
+    }
+    if (harmonyTransport && harmonyTransport.getState() === 'playing') {
+        [startTime - latency, endTime - latency].forEach(time => {
+            if (time < playingStartTime) {
+                return;
+            }
+            const chord = chordNotes[harmonyTransport.getNoteIndex(time)];
+            if (chord) {
+                frequencies.push(...chord.frequencies.filter(frequency => !frequencies.includes(frequency)));
+            }
+        });
+    }
+    return frequencies;
+}
+
+/**
+ * Elige la voz y el volumen con los que se reproduce la secuencia en la fase de escucha
+ * @param {string} voice - Voz del sintetizador (ver SYNTH_VOICES)
+ * @param {number} volume - Volumen relativo (0-1)
+ */
+export function setPlaybackVoice(voice, volume = 1) {
+    playbackOptions = { voice, volume };
+}
+
+/**
+ * Fija la latencia de entrada que se compensa al juzgar las notas
+ * @param {number} ms - Latencia en ms (0 = sin compensación)
+ */
+export function setLatencyCompensation(ms) {
+    latencyCompensation = Math.max(0, ms || 0);
 }
 
 /**
@@ -2,14 +2,83 @@
  * Archivo principal - Orquesta todos los módulos
  */
 import { AudioCapture } from './audio/audioCapture.js';
+import { AUDIO_SOURCES, DEFAULT_AUDIO_SOURCE, createAudioSource } from './audio/audioSources.js';
+import { createDemoScript } from './audio/syntheticSource.js';
 import { PitchDetection } from './audio/pitchDetection.js';
+import { PolyphonicDetection } from './audio/polyphonicDetection.js';
+import { PITCH_ALGORITHMS, DEFAULT_PITCH_ALGORITHM } from './audio/pitchAlgorithms.js';
+import { runPitchBenchmark } from './audio/pitchBenchmark.js';
+import { PitchTracker, SMOOTHING_MODES, DEFAULT_SMOOTHING } from './audio/pitchTracker.js';
+import { VibratoDetector } from './audio/vibratoDetector.js';
+import { HOP_SIZE } from './audio/audioSource.js';
+import { INPUT_PROFILES, DEFAULT_INPUT_PROFILE } from './audio/inputProfiles.js';
+import { calibrateInput, getInputCalibration } from './audio/inputCalibration.js';
+import { measureLatency, getLatencyCalibration } from './audio/latencyCalibration.js';
+import { isAudioFile, decodeAudioFile, analyzeAudioBuffer } from './audio/fileAnalysis.js';
+import { linearToDb } from './audio/signalLevel.js';
+import { RunRecorder } from './audio/runRecorder.js';
+import { SYNTH_VOICES, DEFAULT_SYNTH_VOICE, normalizeSynthVoice } from './audio/synthVoices.js';
+import { BLEED_HANDLING_MODES, DEFAULT_BLEED_HANDLING, maskAccompaniment } from './audio/accompanimentMask.js';
+import { CHORD_STYLES, DEFAULT_CHORD_STYLE } from './audio/chordBacking.js';
+import { playSequence, createAudioContext } from './audio/noteSynthesizer.js';
 import { GraphRenderer } from './visualization/graphRenderer.js';
-import { updateSequenceGame, renderSequenceGame, getSequenceGameState, startSequenceGame, resetSequenceGame, updateAnimationTimeOnly } from './game/sequenceGame.js';
+import { loadSetting, saveSetting } from './config/settings.js';
+import { REFERENCE_PITCH_PRESETS, MIN_REFERENCE_PITCH, MAX_REFERENCE_PITCH, getReferencePitch, setReferencePitch, formatNote, midiToNoteName } from './music/pitch.js';
+import { NOTATIONS, getNoteNotation, setNoteNotation, formatPitchClass } from './music/noteNames.js';
+import { segmentNotes } from './music/noteSegmentation.js';
+import { RANGE_PRESETS, MIN_RANGE_MIDI, MAX_RANGE_MIDI, getRange, getCustomRange, setRangePreset, setCustomRange, onRangeChange } from './music/rangePresets.js';
+import { TUNING_SYSTEMS, getTuning, getCustomScale, setTuningSystem, setTuningTonic, loadCustomScale, frequencyToScaleNote } from './music/tuningSystems.js';
+import { updateSequenceGame, renderSequenceGame, getSequenceGameState, startSequenceGame, resetSequenceGame, updateAnimationTimeOnly, setLatencyCompensation, setPlaybackVoice, pauseSequenceGame, resumeSequenceGame, setAccompaniment, getAccompanimentFrequencies, GUIDE_MODES, DEFAULT_GUIDE_MODE, setMetronome, getBeatGrid, getSequenceScore, DEFAULT_BPM, MIN_BPM, MAX_BPM, setHarmony } from './game/sequenceGame.js';
+import { setVibratoCenterJudging } from './game/detections.js';
 import html2canvas from 'html2canvas';
 
+// Voces simultáneas que se pueden detectar (con más de una se usa la detección polifónica)
+const VOICE_COUNTS = [1, 2, 3];
+
+// Panel de estado del audio: qué decir y qué ofrecer en cada estado de la fuente
+// (los estados que no aparecen, como 'running' o 'idle', ocultan el panel)
+const AUDIO_STATUS_MESSAGES = {
+    requesting: {
+        title: 'Esperando el micrófono',
+        message: 'Acepta el permiso del navegador para usar el micrófono.',
+        action: null
+    },
+    denied: {
+        title: 'Micrófono bloqueado',
+        message: 'El navegador no deja usar el micrófono. Permítelo desde el icono junto a la barra de direcciones y pulsa Reintentar.',
+        action: 'Reintentar'
+    },
+    'no-device': {
+        title: 'No hay micrófono',
+        message: 'No se encontró ningún micrófono. Conecta uno y pulsa Reintentar.',
+        action: 'Reintentar'
+    },
+    'device-lost': {
+        title: 'Micrófono desconectado',
+        message: 'Se perdió la señal del micrófono y el juego está en pausa. Vuelve a conectarlo o pulsa Reintentar.',
+        action: 'Reintentar'
+    },
+    suspended: {
+        title: 'Audio en pausa',
+        message: 'El navegador ha pausado el audio. Pulsa Continuar (o cualquier tecla) para seguir jugando.',
+        action: 'Continuar'
+    },
+    error: {
+        title: 'No se pudo iniciar el audio',
+        message: 'Ha ocurrido un error con la entrada de audio.',
+        action: 'Reintentar'
+    }
+};
+
 class VoicePitchGame {
     constructor() {
-        this.audioCapture = new AudioCapture();
+        // El micrófono se conserva aunque se use otra fuente (guarda el dispositivo y el perfil elegidos)
+        this.microphoneCapture = new AudioCapture();
+        this.audioSource = this.microphoneCapture; // Fuente activa (micrófono, archivo o señal sintética)
+        this.audioSourceType = DEFAULT_AUDIO_SOURCE;
+        this.unsubscribeFrames = null;
+        this.unsubscribeState = null;
+        this.pausedAt = null; // Momento en que se pausó el juego por falta de audio (null = no pausado)
         this.pitchDetection = null;
         this.graphRenderer = null;
         this.isRunning = false;
@@ -18,14 +87,107 @@ class VoicePitchGame {
         
         // Historial completo de frecuencias desde el inicio del juego
         this.fullFrequencyHistory = []; // Array de arrays: [[freq1, freq2], ...]
+        this.fullRawFrequencyHistory = []; // Igual, pero sin corregir octavas ni suavizar
         this.fullTimeHistory = []; // Array de timestamps relativos al inicio
+        this.sungNotes = []; // Notas cantadas en la partida (segmentNotes del historial completo)
         this.gameStartTime = null; // Timestamp del inicio del juego
         this.hasReplacedHistoryOnGameOver = false; // Bandera para evitar reemplazar múltiples veces
         this.isFirstStart = true; // Bandera para controlar la pantalla de bienvenida
         this.welcomeAnimationId = null; // ID del frame de animación de bienvenida
         
+        // Última detección obtenida de los frames de audio (se consume en cada frame de animación):
+        // detecciones completas para el juego y frecuencias sonoras para el gráfico y el historial
+        this.latestDetections = [];
+        this.latestFrequencies = [];
+        this.latestRawFrequencies = [];
+        
+        // Micrófono elegido por el jugador (persistido entre sesiones)
+        this.preferredDeviceId = loadSetting('inputDeviceId', null);
+        this.microphoneCapture.setInputDevice(this.preferredDeviceId);
+        this.microphoneCapture.onDevicesChange((change) => this.handleDevicesChange(change));
+        
+        // Perfil de entrada (procesado del navegador) y calibración
+        this.microphoneCapture.setInputProfile(loadSetting('inputProfile', DEFAULT_INPUT_PROFILE));
+        this.isCalibrating = false;
+        this.isAnalyzingFile = false; // Bandera del análisis offline de archivos
+        
+        // Algoritmo de detección de pitch (persistido entre sesiones)
+        const savedAlgorithm = loadSetting('pitchAlgorithm', DEFAULT_PITCH_ALGORITHM);
+        this.pitchAlgorithm = PITCH_ALGORITHMS[savedAlgorithm] ? savedAlgorithm : DEFAULT_PITCH_ALGORITHM;
+        this.isBenchmarking = false;
+        
+        // Seguimiento de pitch entre la detección y el juego (corrección de octavas y suavizado)
+        const savedSmoothing = loadSetting('pitchSmoothing', DEFAULT_SMOOTHING);
+        this.pitchSmoothing = SMOOTHING_MODES[savedSmoothing] ? savedSmoothing : DEFAULT_SMOOTHING;
+        this.pitchTrackers = []; // Uno por voz (se crean al detectar cada voz)
+        this.showRawPitch = loadSetting('showRawPitch', false);
+        
+        // Voz del sintetizador con la que se escucha la secuencia
+        this.synthVoice = normalizeSynthVoice(loadSetting('synthVoice', DEFAULT_SYNTH_VOICE));
+        this.synthVolume = Math.max(0, Math.min(1, Number(loadSetting('synthVolume', 1)) || 0));
+        this.previewAudioContext = null; // Se crea al escuchar una voz en los ajustes
+        this.previewTransport = null; // Reproducción de la voz de prueba (ver audio/transport.js)
+        setPlaybackVoice(this.synthVoice, this.synthVolume);
+        
+        // Acompañamiento mientras se canta (guía y bordón) y cómo se evita que lo detecte el micrófono
+        const savedAccompaniment = { guideVolume: 0.3, droneVolume: 0.3, ...loadSetting('accompaniment', {}) };
+        this.accompaniment = {
+            guide: GUIDE_MODES[savedAccompaniment.guide] ? savedAccompaniment.guide : DEFAULT_GUIDE_MODE,
+            guideVolume: Math.max(0, Math.min(1, Number(savedAccompaniment.guideVolume) || 0)),
+            drone: Boolean(savedAccompaniment.drone),
+            droneVolume: Math.max(0, Math.min(1, Number(savedAccompaniment.droneVolume) || 0))
+        };
+        setAccompaniment(this.accompaniment);
+        // Acordes bajo la melodía: al escucharla y, si se quiere, mientras se canta
+        const savedHarmony = { listening: true, volume: 0.4, ...loadSetting('harmony', {}) };
+        this.harmony = {
+            listening: Boolean(savedHarmony.listening),
+            singing: Boolean(savedHarmony.singing),
+            style: CHORD_STYLES[savedHarmony.style] ? savedHarmony.style : DEFAULT_CHORD_STYLE,
+            volume: Math.max(0, Math.min(1, Number(savedHarmony.volume) || 0))
+        };
+        setHarmony(this.harmony);
+        const savedBleedHandling = loadSetting('bleedHandling', DEFAULT_BLEED_HANDLING);
+        this.bleedHandling = BLEED_HANDLING_MODES[savedBleedHandling] ? savedBleedHandling : DEFAULT_BLEED_HANDLING;
+        
+        // Metrónomo: volumen de la cuenta de entrada y del pulso, pulso al cantar y tempo
+        const savedMetronome = { volume: 0.5, bpm: DEFAULT_BPM, ...loadSetting('metronome', {}) };
+        this.metronome = {
+            enabled: Boolean(savedMetronome.enabled),
+            volume: Math.max(0, Math.min(1, Number(savedMetronome.volume) || 0)),
+            bpm: Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(Number(savedMetronome.bpm)) || DEFAULT_BPM))
+        };
+        setMetronome(this.metronome);
+        this.beatGridAnchors = null; // Instante del primer pulso en las bases de tiempo de la gráfica
+        
+        // Vibrato: se analiza sobre la traza de cada voz; el juego puede juzgar su centro
+        this.vibratoDetectors = []; // Uno por voz, como los trackers
+        this.judgeVibratoCenter = loadSetting('judgeVibratoCenter', false);
+        setVibratoCenterJudging(this.judgeVibratoCenter);
+        
+        // Número de voces: con más de una se usa la detección polifónica
+        const savedVoiceCount = loadSetting('voiceCount', 1);
+        this.voiceCount = VOICE_COUNTS.includes(savedVoiceCount) ? savedVoiceCount : 1;
+        this.polyphonicDetection = null;
+        
+        // Grabación de la voz durante la partida (para escucharla en Game Over)
+        this.runRecorder = new RunRecorder();
+        this.hasStartedRecording = false;
+        this.recordingUrl = null;
+        this.recordingSession = 0; // Se incrementa al descartar, para ignorar grabaciones que terminan tarde
+        
         this.initializeElements();
         this.setupEventListeners();
+        
+        // Fuente de audio: ?source=synthetic (y opcionalmente &seed=N) tiene prioridad sobre la guardada,
+        // para poder lanzar el juego completo sin micrófono (navegadores headless, demos)
+        const params = new URLSearchParams(window.location.search);
+        const seed = params.has('seed') ? parseInt(params.get('seed'), 10) : null;
+        const sourceType = params.get('source') || loadSetting('audioSource', DEFAULT_AUDIO_SOURCE);
+        this.setAudioSource(sourceType === 'file' ? DEFAULT_AUDIO_SOURCE : sourceType, {
+            seed: Number.isNaN(seed) ? null : seed
+        });
+        
         this.startWelcomeAnimation();
     }
 
@@ -33,17 +195,303 @@ class VoicePitchGame {
         this.startBtn = document.getElementById('startBtn');
         this.helpBtn = document.getElementById('helpBtn');
         this.helpModal = document.getElementById('helpModal');
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.settingsModal = document.getElementById('settingsModal');
+        this.audioSourceSelect = document.getElementById('audioSourceSelect');
+        this.audioSourceHint = document.getElementById('audioSourceHint');
+        this.sourceFileField = document.getElementById('sourceFileField');
+        this.sourceFileInput = document.getElementById('sourceFileInput');
+        this.inputDeviceSelect = document.getElementById('inputDeviceSelect');
+        this.inputDeviceHint = document.getElementById('inputDeviceHint');
+        this.inputProfileSelect = document.getElementById('inputProfileSelect');
+        this.inputProfileHint = document.getElementById('inputProfileHint');
+        this.calibrateBtn = document.getElementById('calibrateBtn');
+        this.calibrationStatus = document.getElementById('calibrationStatus');
+        this.latencyBtn = document.getElementById('latencyBtn');
+        this.synthVoiceSelect = document.getElementById('synthVoiceSelect');
+        this.synthVolumeInput = document.getElementById('synthVolumeInput');
+        this.synthPreviewBtn = document.getElementById('synthPreviewBtn');
+        this.synthVoiceHint = document.getElementById('synthVoiceHint');
+        this.guideModeSelect = document.getElementById('guideModeSelect');
+        this.guideVolumeInput = document.getElementById('guideVolumeInput');
+        this.guideModeHint = document.getElementById('guideModeHint');
+        this.droneCheckbox = document.getElementById('droneCheckbox');
+        this.droneVolumeInput = document.getElementById('droneVolumeInput');
+        this.harmonyListeningCheckbox = document.getElementById('harmonyListeningCheckbox');
+        this.harmonySingingCheckbox = document.getElementById('harmonySingingCheckbox');
+        this.harmonyStyleSelect = document.getElementById('harmonyStyleSelect');
+        this.harmonyVolumeInput = document.getElementById('harmonyVolumeInput');
+        this.harmonyStyleHint = document.getElementById('harmonyStyleHint');
+        this.bleedHandlingSelect = document.getElementById('bleedHandlingSelect');
+        this.bleedHandlingHint = document.getElementById('bleedHandlingHint');
+        this.metronomeCheckbox = document.getElementById('metronomeCheckbox');
+        this.metronomeVolumeInput = document.getElementById('metronomeVolumeInput');
+        this.metronomeBpmInput = document.getElementById('metronomeBpmInput');
+        this.metronomeHint = document.getElementById('metronomeHint');
+        this.latencyStatus = document.getElementById('latencyStatus');
+        this.pitchAlgorithmSelect = document.getElementById('pitchAlgorithmSelect');
+        this.pitchAlgorithmHint = document.getElementById('pitchAlgorithmHint');
+        this.benchmarkBtn = document.getElementById('benchmarkBtn');
+        this.benchmarkResults = document.getElementById('benchmarkResults');
+        this.pitchSmoothingSelect = document.getElementById('pitchSmoothingSelect');
+        this.pitchSmoothingHint = document.getElementById('pitchSmoothingHint');
+        this.showRawPitchCheckbox = document.getElementById('showRawPitchCheckbox');
+        this.judgeVibratoCheckbox = document.getElementById('judgeVibratoCheckbox');
+        this.vibratoSummary = document.getElementById('vibratoSummary');
+        this.transcriptionSummary = document.getElementById('transcriptionSummary');
+        this.voiceCountSelect = document.getElementById('voiceCountSelect');
+        this.voiceCountHint = document.getElementById('voiceCountHint');
+        this.referencePitchSelect = document.getElementById('referencePitchSelect');
+        this.referencePitchField = document.getElementById('referencePitchField');
+        this.referencePitchInput = document.getElementById('referencePitchInput');
+        this.referencePitchHint = document.getElementById('referencePitchHint');
+        this.tuningSystemSelect = document.getElementById('tuningSystemSelect');
+        this.tuningTonicSelect = document.getElementById('tuningTonicSelect');
+        this.scaleFileField = document.getElementById('scaleFileField');
+        this.scaleFileInput = document.getElementById('scaleFileInput');
+        this.tuningSystemHint = document.getElementById('tuningSystemHint');
+        this.noteNotationSelect = document.getElementById('noteNotationSelect');
+        this.rangePresetSelect = document.getElementById('rangePresetSelect');
+        this.customRangeField = document.getElementById('customRangeField');
+        this.rangeLowestSelect = document.getElementById('rangeLowestSelect');
+        this.rangeHighestSelect = document.getElementById('rangeHighestSelect');
+        this.rangePresetHint = document.getElementById('rangePresetHint');
+        this.audioFileInput = document.getElementById('audioFileInput');
+        this.dropOverlay = document.getElementById('dropOverlay');
+        this.audioStatus = document.getElementById('audioStatus');
+        this.audioStatusTitle = document.getElementById('audioStatusTitle');
+        this.audioStatusMessage = document.getElementById('audioStatusMessage');
+        this.audioStatusAction = document.getElementById('audioStatusAction');
+        this.audioStatusDemo = document.getElementById('audioStatusDemo');
+        
+        // Rellenar fuentes de audio
+        if (this.audioSourceSelect) {
+            Object.entries(AUDIO_SOURCES).forEach(([type, source]) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = source.label;
+                this.audioSourceSelect.appendChild(option);
+            });
+        }
+        
+        // Rellenar perfiles de entrada
+        if (this.inputProfileSelect) {
+            Object.entries(INPUT_PROFILES).forEach(([name, profile]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = profile.label;
+                this.inputProfileSelect.appendChild(option);
+            });
+            this.inputProfileSelect.value = this.microphoneCapture.inputProfile;
+            this.updateInputProfileHint();
+        }
+        this.updateCalibrationStatus(getInputCalibration());
+        this.updateLatencyStatus(getLatencyCalibration());
+        
+        // Rellenar algoritmos de detección
+        if (this.pitchAlgorithmSelect) {
+            Object.entries(PITCH_ALGORITHMS).forEach(([name, algorithm]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = algorithm.label;
+                this.pitchAlgorithmSelect.appendChild(option);
+            });
+            this.pitchAlgorithmSelect.value = this.pitchAlgorithm;
+            this.updatePitchAlgorithmHint();
+        }
+        
+        // Rellenar modos de suavizado
+        if (this.pitchSmoothingSelect) {
+            Object.entries(SMOOTHING_MODES).forEach(([name, mode]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = mode.label;
+                this.pitchSmoothingSelect.appendChild(option);
+            });
+            this.pitchSmoothingSelect.value = this.pitchSmoothing;
+            this.updatePitchSmoothingHint();
+        }
+        if (this.showRawPitchCheckbox) {
+            this.showRawPitchCheckbox.checked = this.showRawPitch;
+        }
+        if (this.judgeVibratoCheckbox) {
+            this.judgeVibratoCheckbox.checked = this.judgeVibratoCenter;
+        }
+        
+        // Rellenar número de voces
+        if (this.voiceCountSelect) {
+            VOICE_COUNTS.forEach(count => {
+                const option = document.createElement('option');
+                option.value = String(count);
+                option.textContent = count === 1 ? '1 voz' : `${count} voces`;
+                this.voiceCountSelect.appendChild(option);
+            });
+            this.voiceCountSelect.value = String(this.voiceCount);
+            this.updateVoiceCountHint();
+        }
+        
+        // Rellenar afinaciones de referencia (más una personalizada)
+        if (this.referencePitchSelect) {
+            REFERENCE_PITCH_PRESETS.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = String(preset.value);
+                option.textContent = preset.label;
+                this.referencePitchSelect.appendChild(option);
+            });
+            const customOption = document.createElement('option');
+            customOption.value = 'custom';
+            customOption.textContent = 'Otra...';
+            this.referencePitchSelect.appendChild(customOption);
+        }
+        if (this.referencePitchInput) {
+            this.referencePitchInput.min = String(MIN_REFERENCE_PITCH);
+            this.referencePitchInput.max = String(MAX_REFERENCE_PITCH);
+        }
+        this.updateReferencePitchUI();
+        
+        // Rellenar sistemas de afinación y tónicas
+        if (this.tuningSystemSelect) {
+            Object.entries(TUNING_SYSTEMS).forEach(([name, system]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = system.label;
+                this.tuningSystemSelect.appendChild(option);
+            });
+        }
+        if (this.tuningTonicSelect) {
+            for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+                const option = document.createElement('option');
+                option.value = String(pitchClass);
+                this.tuningTonicSelect.appendChild(option);
+            }
+        }
+        if (this.noteNotationSelect) {
+            Object.entries(NOTATIONS).forEach(([name, notation]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = notation.label;
+                this.noteNotationSelect.appendChild(option);
+            });
+            this.noteNotationSelect.value = getNoteNotation();
+        }
+        this.updateTuningUI();
+        
+        // Rellenar voces del sintetizador
+        if (this.synthVoiceSelect) {
+            Object.entries(SYNTH_VOICES).forEach(([name, voice]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = voice.label;
+                this.synthVoiceSelect.appendChild(option);
+            });
+            this.synthVoiceSelect.value = this.synthVoice;
+        }
+        if (this.synthVolumeInput) {
+            this.synthVolumeInput.value = String(Math.round(this.synthVolume * 100));
+        }
+        this.updateSynthVoiceHint();
+        
+        // Rellenar modos de acompañamiento
+        if (this.guideModeSelect) {
+            Object.entries(GUIDE_MODES).forEach(([name, mode]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = mode.label;
+                this.guideModeSelect.appendChild(option);
+            });
+            this.guideModeSelect.value = this.accompaniment.guide;
+        }
+        if (this.guideVolumeInput) {
+            this.guideVolumeInput.value = String(Math.round(this.accompaniment.guideVolume * 100));
+        }
+        if (this.droneCheckbox) {
+            this.droneCheckbox.checked = this.accompaniment.drone;
+        }
+        if (this.droneVolumeInput) {
+            this.droneVolumeInput.value = String(Math.round(this.accompaniment.droneVolume * 100));
+        }
+        if (this.harmonyListeningCheckbox) {
+            this.harmonyListeningCheckbox.checked = this.harmony.listening;
+        }
+        if (this.harmonySingingCheckbox) {
+            this.harmonySingingCheckbox.checked = this.harmony.singing;
+        }
+        if (this.harmonyStyleSelect) {
+            Object.entries(CHORD_STYLES).forEach(([name, style]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = style.label;
+                this.harmonyStyleSelect.appendChild(option);
+            });
+            this.harmonyStyleSelect.value = this.harmony.style;
+        }
+        if (this.harmonyVolumeInput) {
+            this.harmonyVolumeInput.value = String(Math.round(this.harmony.volume * 100));
+        }
+        if (this.bleedHandlingSelect) {
+            Object.entries(BLEED_HANDLING_MODES).forEach(([name, mode]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = mode.label;
+                this.bleedHandlingSelect.appendChild(option);
+            });
+            this.bleedHandlingSelect.value = this.bleedHandling;
+        }
+        this.updateAccompanimentHints();
+        
+        // Metrónomo
+        if (this.metronomeCheckbox) {
+            this.metronomeCheckbox.checked = this.metronome.enabled;
+        }
+        if (this.metronomeVolumeInput) {
+            this.metronomeVolumeInput.value = String(Math.round(this.metronome.volume * 100));
+        }
+        if (this.metronomeBpmInput) {
+            this.metronomeBpmInput.min = String(MIN_BPM);
+            this.metronomeBpmInput.max = String(MAX_BPM);
+            this.metronomeBpmInput.value = String(this.metronome.bpm);
+        }
+        this.updateMetronomeHint();
+        
+        // Rellenar rangos de instrumento y las notas del rango personalizado
+        if (this.rangePresetSelect) {
+            Object.entries(RANGE_PRESETS).forEach(([name, preset]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = preset.label;
+                this.rangePresetSelect.appendChild(option);
+            });
+        }
+        [this.rangeLowestSelect, this.rangeHighestSelect].forEach(select => {
+            if (!select) {
+                return;
+            }
+            for (let midi = MIN_RANGE_MIDI; midi <= MAX_RANGE_MIDI; midi++) {
+                const option = document.createElement('option');
+                option.value = String(midi);
+                select.appendChild(option);
+            }
+        });
+        this.updateNoteNameOptions();
+        this.updateRangeUI();
         this.statusText = document.getElementById('statusText');
+        this.pitchReadout = document.getElementById('pitchReadout');
         this.energyBar = document.getElementById('energyBar');
         this.energyBarDesktop = document.getElementById('energyBarDesktop');
         this.lifeValue = document.getElementById('lifeValue');
         this.lifeValueDesktop = document.getElementById('lifeValueDesktop');
         this.timeValue = document.getElementById('timeValue');
         this.creatureStatus = document.getElementById('creatureStatus');
+        this.levelMeterFill = document.getElementById('levelMeterFill');
+        this.levelMeterPeak = document.getElementById('levelMeterPeak');
+        this.levelMeterGate = document.getElementById('levelMeterGate');
+        this.levelMeterLabel = document.getElementById('levelMeterLabel');
         this.gameOverText = document.getElementById('gameOverText');
         this.gameOverSection = document.querySelector('.game-over-section');
         this.shareBtn = document.getElementById('shareBtn');
         this.shareText = document.getElementById('shareText');
+        this.playbackSection = document.getElementById('playbackSection');
+        this.runPlayback = document.getElementById('runPlayback');
         this.container = document.querySelector('.container');
         
         // Elementos de bienvenida
@@ -57,6 +505,7 @@ class VoicePitchGame {
         
         const canvas = document.getElementById('frequencyCanvas');
         this.graphRenderer = new GraphRenderer(canvas);
+        this.graphRenderer.setShowRawTrack(this.showRawPitch);
         
         const creatureCanvas = document.getElementById('creatureCanvas');
         this.creatureCanvas = creatureCanvas;
@@ -103,100 +552,1369 @@ class VoicePitchGame {
         this.creatureCanvas.height = rect.height;
     }
 
-    resizeWelcomeCreatureCanvas() {
-        if (this.welcomeCreatureCanvas) {
-            const rect = this.welcomeCreatureCanvas.getBoundingClientRect();
-            this.welcomeCreatureCanvas.width = rect.width;
-            this.welcomeCreatureCanvas.height = rect.height;
+    resizeWelcomeCreatureCanvas() {
+        if (this.welcomeCreatureCanvas) {
+            const rect = this.welcomeCreatureCanvas.getBoundingClientRect();
+            this.welcomeCreatureCanvas.width = rect.width;
+            this.welcomeCreatureCanvas.height = rect.height;
+        }
+    }
+
+    startWelcomeAnimation() {
+        if (!this.welcomeCreatureCanvas || !this.welcomeCreatureCtx) {
+            return;
+        }
+
+        let lastFrameTime = performance.now();
+
+        const animate = (currentTime) => {
+            // Solo animar si la pantalla de bienvenida está visible
+            if (this.welcomeScreen && !this.welcomeScreen.classList.contains('hidden')) {
+                // Solo animar si el juego NO está corriendo
+                if (!this.isRunning) {
+                    // Calcular delta time
+                    const deltaTime = currentTime - lastFrameTime;
+                    lastFrameTime = currentTime;
+                    
+                    // Actualizar solo el tiempo de animación sin avanzar el juego
+                    // Esto permite que la criatura se anime sin iniciar el countdown
+                    updateAnimationTimeOnly(deltaTime);
+                }
+                
+                // Limpiar canvas
+                this.welcomeCreatureCtx.clearRect(0, 0, this.welcomeCreatureCanvas.width, this.welcomeCreatureCanvas.height);
+                
+                // Renderizar la criatura usando el mismo renderer del juego
+                // La criatura se animará porque el tiempo se está actualizando
+                renderSequenceGame(this.welcomeCreatureCtx, this.welcomeCreatureCanvas.width, this.welcomeCreatureCanvas.height);
+                
+                this.welcomeAnimationId = requestAnimationFrame(animate);
+            } else {
+                // Si la bienvenida está oculta, detener la animación
+                if (this.welcomeAnimationId) {
+                    cancelAnimationFrame(this.welcomeAnimationId);
+                    this.welcomeAnimationId = null;
+                }
+            }
+        };
+        
+        this.welcomeAnimationId = requestAnimationFrame(animate);
+    }
+
+    setupEventListeners() {
+        this.startBtn.addEventListener('click', () => this.start());
+        
+        // Botón de compartir
+        if (this.shareBtn) {
+            this.shareBtn.addEventListener('click', () => this.shareGameOver());
+        }
+        
+        // Modal de ayuda
+        if (this.helpBtn && this.helpModal) {
+            this.helpBtn.addEventListener('click', () => this.openHelpModal());
+            
+            const closeBtn = this.helpModal.querySelector('.modal-close');
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.closeHelpModal());
+            }
+            
+            // Cerrar al hacer clic fuera del modal
+            this.helpModal.addEventListener('click', (e) => {
+                if (e.target === this.helpModal) {
+                    this.closeHelpModal();
+                }
+            });
+            
+            // Cerrar con tecla Escape
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.helpModal.classList.contains('show')) {
+                    this.closeHelpModal();
+                }
+            });
+        }
+        
+        // Modal de ajustes
+        if (this.settingsBtn && this.settingsModal) {
+            this.settingsBtn.addEventListener('click', () => this.openSettingsModal());
+            
+            const closeBtn = this.settingsModal.querySelector('.modal-close');
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.closeSettingsModal());
+            }
+            
+            this.settingsModal.addEventListener('click', (e) => {
+                if (e.target === this.settingsModal) {
+                    this.closeSettingsModal();
+                }
+            });
+            
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.settingsModal.classList.contains('show')) {
+                    this.closeSettingsModal();
+                }
+            });
+        }
+        
+        // Panel de estado del audio: reintentar o jugar sin micrófono
+        if (this.audioStatusAction) {
+            this.audioStatusAction.addEventListener('click', () => this.retryAudio());
+        }
+        if (this.audioStatusDemo) {
+            this.audioStatusDemo.addEventListener('click', () => {
+                this.setAudioSource('synthetic');
+                this.start();
+            });
+        }
+        
+        // Los navegadores solo dejan reanudar un AudioContext suspendido desde un gesto del usuario
+        const resumeSuspendedAudio = () => {
+            if (this.audioSource.getState() === 'suspended') {
+                this.audioSource.resume();
+            }
+        };
+        document.addEventListener('pointerdown', resumeSuspendedAudio);
+        document.addEventListener('keydown', resumeSuspendedAudio);
+        
+        // Fuente de audio (el archivo se aplica al elegirlo)
+        if (this.audioSourceSelect) {
+            this.audioSourceSelect.addEventListener('change', () => {
+                this.changeAudioSource(this.audioSourceSelect.value);
+            });
+        }
+        if (this.sourceFileInput) {
+            this.sourceFileInput.addEventListener('change', () => {
+                const [file] = this.sourceFileInput.files;
+                if (file) {
+                    this.setAudioSource('file', { file });
+                }
+                this.sourceFileInput.value = '';
+            });
+        }
+        
+        // Selector de micrófono
+        if (this.inputDeviceSelect) {
+            this.inputDeviceSelect.addEventListener('change', () => {
+                this.changeInputDevice(this.inputDeviceSelect.value || null);
+            });
+        }
+        
+        // Perfil de entrada y calibración
+        if (this.inputProfileSelect) {
+            this.inputProfileSelect.addEventListener('change', () => {
+                this.changeInputProfile(this.inputProfileSelect.value);
+            });
+        }
+        if (this.calibrateBtn) {
+            this.calibrateBtn.addEventListener('click', () => this.runCalibration());
+        }
+        // Voz y volumen del sintetizador
+        if (this.synthVoiceSelect) {
+            this.synthVoiceSelect.addEventListener('change', () => {
+                this.synthVoice = normalizeSynthVoice(this.synthVoiceSelect.value);
+                saveSetting('synthVoice', this.synthVoice);
+                setPlaybackVoice(this.synthVoice, this.synthVolume);
+                this.updateSynthVoiceHint();
+            });
+        }
+        if (this.synthVolumeInput) {
+            this.synthVolumeInput.addEventListener('input', () => {
+                this.synthVolume = parseInt(this.synthVolumeInput.value, 10) / 100;
+                saveSetting('synthVolume', this.synthVolume);
+                setPlaybackVoice(this.synthVoice, this.synthVolume);
+            });
+        }
+        if (this.synthPreviewBtn) {
+            this.synthPreviewBtn.addEventListener('click', () => this.previewSynthVoice());
+        }
+        // Acompañamiento (se aplica también a la partida en curso)
+        if (this.guideModeSelect) {
+            this.guideModeSelect.addEventListener('change', () => {
+                this.changeAccompaniment({ guide: this.guideModeSelect.value });
+            });
+        }
+        if (this.guideVolumeInput) {
+            this.guideVolumeInput.addEventListener('input', () => {
+                this.changeAccompaniment({ guideVolume: parseInt(this.guideVolumeInput.value, 10) / 100 });
+            });
+        }
+        if (this.droneCheckbox) {
+            this.droneCheckbox.addEventListener('change', () => {
+                this.changeAccompaniment({ drone: this.droneCheckbox.checked });
+            });
+        }
+        if (this.droneVolumeInput) {
+            this.droneVolumeInput.addEventListener('input', () => {
+                this.changeAccompaniment({ droneVolume: parseInt(this.droneVolumeInput.value, 10) / 100 });
+            });
+        }
+        if (this.harmonyListeningCheckbox) {
+            this.harmonyListeningCheckbox.addEventListener('change', () => {
+                this.changeHarmony({ listening: this.harmonyListeningCheckbox.checked });
+            });
+        }
+        if (this.harmonySingingCheckbox) {
+            this.harmonySingingCheckbox.addEventListener('change', () => {
+                this.changeHarmony({ singing: this.harmonySingingCheckbox.checked });
+            });
+        }
+        if (this.harmonyStyleSelect) {
+            this.harmonyStyleSelect.addEventListener('change', () => {
+                this.changeHarmony({ style: this.harmonyStyleSelect.value });
+            });
+        }
+        if (this.harmonyVolumeInput) {
+            this.harmonyVolumeInput.addEventListener('input', () => {
+                this.changeHarmony({ volume: parseInt(this.harmonyVolumeInput.value, 10) / 100 });
+            });
+        }
+        if (this.bleedHandlingSelect) {
+            this.bleedHandlingSelect.addEventListener('change', () => {
+                this.bleedHandling = BLEED_HANDLING_MODES[this.bleedHandlingSelect.value]
+                    ? this.bleedHandlingSelect.value
+                    : DEFAULT_BLEED_HANDLING;
+                saveSetting('bleedHandling', this.bleedHandling);
+                this.updateAccompanimentHints();
+            });
+        }
+        // Metrónomo (el tempo se aplica desde la siguiente partida)
+        if (this.metronomeCheckbox) {
+            this.metronomeCheckbox.addEventListener('change', () => {
+                this.changeMetronome({ enabled: this.metronomeCheckbox.checked });
+            });
+        }
+        if (this.metronomeVolumeInput) {
+            this.metronomeVolumeInput.addEventListener('input', () => {
+                this.changeMetronome({ volume: parseInt(this.metronomeVolumeInput.value, 10) / 100 });
+            });
+        }
+        if (this.metronomeBpmInput) {
+            this.metronomeBpmInput.addEventListener('input', () => {
+                this.changeMetronome({ bpm: parseInt(this.metronomeBpmInput.value, 10) });
+            });
+        }
+        
+        if (this.latencyBtn) {
+            this.latencyBtn.addEventListener('click', () => this.runLatencyCalibration());
+        }
+        
+        // Algoritmo de detección y banco de pruebas
+        if (this.pitchAlgorithmSelect) {
+            this.pitchAlgorithmSelect.addEventListener('change', () => {
+                this.changePitchAlgorithm(this.pitchAlgorithmSelect.value);
+            });
+        }
+        if (this.benchmarkBtn) {
+            this.benchmarkBtn.addEventListener('click', () => this.runBenchmark());
+        }
+        
+        // Suavizado de la traza y traza sin procesar
+        if (this.pitchSmoothingSelect) {
+            this.pitchSmoothingSelect.addEventListener('change', () => {
+                this.changePitchSmoothing(this.pitchSmoothingSelect.value);
+            });
+        }
+        if (this.voiceCountSelect) {
+            this.voiceCountSelect.addEventListener('change', () => {
+                this.changeVoiceCount(parseInt(this.voiceCountSelect.value, 10));
+            });
+        }
+        if (this.showRawPitchCheckbox) {
+            this.showRawPitchCheckbox.addEventListener('change', () => {
+                this.showRawPitch = this.showRawPitchCheckbox.checked;
+                saveSetting('showRawPitch', this.showRawPitch);
+                this.graphRenderer.setShowRawTrack(this.showRawPitch);
+            });
+        }
+        if (this.judgeVibratoCheckbox) {
+            this.judgeVibratoCheckbox.addEventListener('change', () => {
+                this.judgeVibratoCenter = this.judgeVibratoCheckbox.checked;
+                saveSetting('judgeVibratoCenter', this.judgeVibratoCenter);
+                setVibratoCenterJudging(this.judgeVibratoCenter);
+            });
+        }
+        
+        // Afinación de referencia: una de la lista o una frecuencia a mano
+        if (this.referencePitchSelect) {
+            this.referencePitchSelect.addEventListener('change', () => {
+                if (this.referencePitchSelect.value === 'custom') {
+                    this.referencePitchField.classList.remove('hidden');
+                    this.referencePitchInput.focus();
+                    return;
+                }
+                this.changeReferencePitch(parseFloat(this.referencePitchSelect.value));
+            });
+        }
+        if (this.referencePitchInput) {
+            this.referencePitchInput.addEventListener('change', () => {
+                this.changeReferencePitch(parseFloat(this.referencePitchInput.value));
+            });
+        }
+        
+        // Sistema de afinación, tónica y escala personalizada
+        if (this.tuningSystemSelect) {
+            this.tuningSystemSelect.addEventListener('change', () => {
+                this.changeTuningSystem(this.tuningSystemSelect.value);
+            });
+        }
+        if (this.tuningTonicSelect) {
+            this.tuningTonicSelect.addEventListener('change', () => {
+                setTuningTonic(parseInt(this.tuningTonicSelect.value, 10));
+                this.updateTuningUI();
+            });
+        }
+        if (this.noteNotationSelect) {
+            this.noteNotationSelect.addEventListener('change', () => {
+                setNoteNotation(this.noteNotationSelect.value);
+                this.updateNoteNameOptions();
+            });
+        }
+        if (this.scaleFileInput) {
+            this.scaleFileInput.addEventListener('change', () => {
+                const file = this.scaleFileInput.files[0];
+                if (file) {
+                    this.loadScaleFile(file);
+                }
+                this.scaleFileInput.value = '';
+            });
+        }
+        
+        // Rango de instrumento (detector, juegos y gráfica)
+        if (this.rangePresetSelect) {
+            this.rangePresetSelect.addEventListener('change', () => {
+                setRangePreset(this.rangePresetSelect.value);
+                this.updateRangeUI();
+            });
+        }
+        [this.rangeLowestSelect, this.rangeHighestSelect].forEach(select => {
+            if (select) {
+                select.addEventListener('change', () => this.changeCustomRange());
+            }
+        });
+        onRangeChange(() => this.applyDetectionRange());
+        
+        // Análisis de archivos: selector en ajustes y arrastrar y soltar sobre la página
+        if (this.audioFileInput) {
+            this.audioFileInput.addEventListener('change', () => {
+                const [file] = this.audioFileInput.files;
+                if (file) {
+                    this.closeSettingsModal();
+                    this.analyzeFile(file);
+                }
+                this.audioFileInput.value = '';
+            });
+        }
+        
+        document.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+                e.preventDefault();
+                if (this.dropOverlay) {
+                    this.dropOverlay.classList.add('show');
+                }
+            }
+        });
+        
+        document.addEventListener('dragleave', (e) => {
+            // Solo ocultar al salir de la ventana (relatedTarget null)
+            if (!e.relatedTarget && this.dropOverlay) {
+                this.dropOverlay.classList.remove('show');
+            }
+        });
+        
+        document.addEventListener('drop', (e) => {
+            if (this.dropOverlay) {
+                this.dropOverlay.classList.remove('show');
+            }
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) {
+                e.preventDefault();
+                this.analyzeFile(file);
+            }
+        });
+    }
+    
+    openHelpModal() {
+        if (this.helpModal) {
+            this.helpModal.classList.add('show');
+            document.body.style.overflow = 'hidden';
+        }
+    }
+    
+    closeHelpModal() {
+        if (this.helpModal) {
+            this.helpModal.classList.remove('show');
+            document.body.style.overflow = '';
+        }
+    }
+    
+    openSettingsModal() {
+        if (this.settingsModal) {
+            this.settingsModal.classList.add('show');
+            document.body.style.overflow = 'hidden';
+            this.refreshInputDevices();
+        }
+    }
+    
+    closeSettingsModal() {
+        if (this.settingsModal) {
+            this.settingsModal.classList.remove('show');
+            document.body.style.overflow = '';
+        }
+    }
+
+    /**
+     * Cambia la fuente de audio desde el selector de ajustes y la recuerda
+     * (la fuente de archivo espera a que se elija el archivo)
+     * @param {string} type - Tipo de fuente (ver AUDIO_SOURCES)
+     */
+    changeAudioSource(type) {
+        if (type === 'file') {
+            this.updateAudioSourceUI(type);
+            if (this.audioSourceHint) {
+                this.audioSourceHint.textContent = 'Elige el archivo que quieres reproducir.';
+            }
+            return;
+        }
+
+        saveSetting('audioSource', type);
+        this.setAudioSource(type);
+    }
+
+    /**
+     * Sustituye la fuente de audio activa (detiene la partida en curso)
+     * @param {string} type - Tipo de fuente (ver AUDIO_SOURCES)
+     * @param {Object} options - Opciones de la fuente (file: { file }, synthetic: { seed })
+     */
+    setAudioSource(type, options = {}) {
+        if (this.isRunning) {
+            this.stop();
+        } else if (this.audioSource !== this.microphoneCapture && this.audioSource.isActive()) {
+            this.audioSource.stop();
+        }
+
+        if (this.unsubscribeFrames) {
+            this.unsubscribeFrames();
+        }
+        if (this.unsubscribeState) {
+            this.unsubscribeState();
+        }
+
+        this.audioSourceType = AUDIO_SOURCES[type] ? type : DEFAULT_AUDIO_SOURCE;
+        this.audioSource = this.audioSourceType === 'microphone'
+            ? this.microphoneCapture
+            : createAudioSource(this.audioSourceType, { script: createDemoScript(getSequenceScore()), ...options });
+        this.unsubscribeFrames = this.audioSource.onFrame((frame) => this.handleAudioFrame(frame));
+        this.unsubscribeState = this.audioSource.onStateChange((change) => this.handleAudioStateChange(change));
+        this.updateAudioStatus(this.audioSource.getState(), null);
+
+        this.updateAudioSourceUI(this.audioSourceType);
+        if (this.audioSourceHint) {
+            const source = AUDIO_SOURCES[this.audioSourceType];
+            const fileName = options.file && options.file.name ? ` (${options.file.name})` : '';
+            this.audioSourceHint.textContent = source.description + fileName;
+        }
+    }
+
+    /**
+     * Ajusta la demo sintética a la melodía y al tempo de la partida que va a empezar
+     */
+    updateDemoScript() {
+        if (this.audioSourceType === 'synthetic') {
+            this.audioSource.setScript(createDemoScript(getSequenceScore()));
+        }
+    }
+
+    /**
+     * Reacciona a los cambios de estado de la fuente de audio: muestra el panel de estado
+     * y pausa el juego mientras no llega audio
+     * @param {{state: string, error: string|null}} change - Nuevo estado de la fuente
+     */
+    handleAudioStateChange({ state, error }) {
+        this.updateAudioStatus(state, error);
+
+        if (!this.isRunning) {
+            return;
+        }
+        if (state === 'running') {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+
+    /**
+     * Muestra u oculta el panel de estado del audio
+     * @param {string} state - Estado de la fuente
+     * @param {string|null} error - Mensaje de error de la fuente
+     */
+    updateAudioStatus(state, error) {
+        if (!this.audioStatus) {
+            return;
+        }
+
+        // Durante la calibración los errores se muestran en los ajustes
+        const status = this.isCalibrating ? null : AUDIO_STATUS_MESSAGES[state];
+        this.audioStatus.classList.toggle('hidden', !status);
+        if (!status) {
+            return;
+        }
+
+        this.audioStatusTitle.textContent = status.title;
+        this.audioStatusMessage.textContent = state === 'error' && error
+            ? `${status.message} (${error})`
+            : status.message;
+        this.audioStatusAction.textContent = status.action || '';
+        this.audioStatusAction.classList.toggle('hidden', !status.action);
+
+        // Alternativa sin micrófono cuando el problema es el micrófono
+        const canUseDemo = this.audioSource === this.microphoneCapture && state !== 'requesting' && state !== 'suspended';
+        this.audioStatusDemo.classList.toggle('hidden', !canUseDemo);
+    }
+
+    /**
+     * Acción del panel de estado: reanudar el audio, recuperar el micrófono o volver a empezar
+     */
+    async retryAudio() {
+        const state = this.audioSource.getState();
+
+        if (state === 'suspended') {
+            await this.audioSource.resume();
+        } else if (this.audioSource === this.microphoneCapture && this.microphoneCapture.isActive()) {
+            // Micrófono perdido (o permiso retirado) en mitad de la partida
+            await this.microphoneCapture.recoverInput();
+        } else {
+            await this.start();
+        }
+    }
+
+    /**
+     * Congela el juego mientras no llega audio (no avanza el tiempo ni la grabación)
+     */
+    pauseGame() {
+        if (this.pausedAt !== null) {
+            return;
+        }
+        this.pausedAt = performance.now();
+        this.runRecorder.pause();
+        pauseSequenceGame();
+    }
+
+    /**
+     * Reanuda el juego tras una pausa por falta de audio
+     * El tiempo en pausa no cuenta en el historial ni en la grabación
+     */
+    resumeGame() {
+        if (this.pausedAt === null) {
+            return;
+        }
+        if (this.gameStartTime !== null) {
+            this.gameStartTime += performance.now() - this.pausedAt;
+        }
+        this.pausedAt = null;
+        this.lastFrameTime = null;
+        this.beatGridAnchors = null;
+        this.runRecorder.resume();
+        resumeSequenceGame();
+    }
+
+    /**
+     * Sincroniza el selector de fuente y muestra el selector de archivo si hace falta
+     * @param {string} type - Tipo de fuente seleccionado
+     */
+    updateAudioSourceUI(type) {
+        if (this.audioSourceSelect) {
+            this.audioSourceSelect.value = type;
+        }
+        if (this.sourceFileField) {
+            this.sourceFileField.classList.toggle('hidden', type !== 'file');
+        }
+    }
+
+    /**
+     * Rellena el selector de micrófono con los dispositivos disponibles
+     */
+    async refreshInputDevices() {
+        if (!this.inputDeviceSelect) {
+            return;
+        }
+
+        try {
+            const devices = await this.microphoneCapture.getInputDevices();
+            const selectedId = this.preferredDeviceId && devices.some(d => d.deviceId === this.preferredDeviceId)
+                ? this.preferredDeviceId
+                : '';
+
+            this.inputDeviceSelect.innerHTML = '';
+            const defaultOption = document.createElement('option');
+            defaultOption.value = '';
+            defaultOption.textContent = 'Por defecto';
+            this.inputDeviceSelect.appendChild(defaultOption);
+
+            devices
+                .filter(device => device.deviceId && device.deviceId !== 'default')
+                .forEach(device => {
+                    const option = document.createElement('option');
+                    option.value = device.deviceId;
+                    option.textContent = device.label;
+                    this.inputDeviceSelect.appendChild(option);
+                });
+
+            this.inputDeviceSelect.value = selectedId;
+        } catch (error) {
+            console.error('Error al listar micrófonos:', error);
+        }
+    }
+
+    /**
+     * Cambia el micrófono (en caliente si el juego está en marcha) y lo recuerda
+     * @param {string|null} deviceId - deviceId elegido, o null para el de por defecto
+     */
+    async changeInputDevice(deviceId) {
+        this.preferredDeviceId = deviceId;
+        saveSetting('inputDeviceId', deviceId);
+
+        const result = await this.microphoneCapture.setInputDevice(deviceId);
+        if (this.inputDeviceHint) {
+            this.inputDeviceHint.textContent = result.success ? '' : `No se pudo cambiar de micrófono: ${result.error}`;
+        }
+    }
+
+    /**
+     * Cambia el perfil de entrada (en caliente si el juego está en marcha) y lo recuerda
+     * @param {string} profileName - Nombre del perfil
+     */
+    async changeInputProfile(profileName) {
+        saveSetting('inputProfile', profileName);
+        const result = await this.microphoneCapture.setInputProfile(profileName);
+        this.updateInputProfileHint(result.success ? null : `No se pudo cambiar el perfil: ${result.error}`);
+        // La calibración solo vale para el perfil con el que se midió
+        this.applyCalibration();
+        this.updateCalibrationStatus(getInputCalibration());
+    }
+
+    /**
+     * Muestra la descripción del perfil de entrada actual (o un error)
+     * @param {string|null} errorText - Error a mostrar en lugar de la descripción
+     */
+    updateInputProfileHint(errorText = null) {
+        if (!this.inputProfileHint) {
+            return;
+        }
+        const profile = INPUT_PROFILES[this.microphoneCapture.inputProfile];
+        this.inputProfileHint.textContent = errorText || (profile ? profile.description : '');
+    }
+
+    /**
+     * Cambia el algoritmo de detección de pitch (en caliente si el juego está en marcha) y lo recuerda
+     * @param {string} name - Nombre del algoritmo
+     */
+    changePitchAlgorithm(name) {
+        if (!PITCH_ALGORITHMS[name]) {
+            return;
+        }
+        this.pitchAlgorithm = name;
+        saveSetting('pitchAlgorithm', name);
+        if (this.pitchDetection) {
+            this.pitchDetection.setAlgorithm(name);
+        }
+        this.updatePitchAlgorithmHint();
+    }
+
+    /**
+     * Muestra la descripción del algoritmo de detección actual
+     */
+    updatePitchAlgorithmHint() {
+        if (!this.pitchAlgorithmHint) {
+            return;
+        }
+        const algorithm = PITCH_ALGORITHMS[this.pitchAlgorithm];
+        this.pitchAlgorithmHint.textContent = algorithm ? algorithm.description : '';
+    }
+
+    /**
+     * Cambia el suavizado de la traza de pitch y lo recuerda
+     * @param {string} name - Modo de suavizado (ver SMOOTHING_MODES)
+     */
+    changePitchSmoothing(name) {
+        if (!SMOOTHING_MODES[name]) {
+            return;
+        }
+        this.pitchSmoothing = name;
+        saveSetting('pitchSmoothing', name);
+        this.pitchTrackers.forEach(tracker => tracker.setSmoothing(name));
+        this.updatePitchSmoothingHint();
+    }
+
+    /**
+     * Muestra la descripción del modo de suavizado actual
+     */
+    updatePitchSmoothingHint() {
+        if (!this.pitchSmoothingHint) {
+            return;
+        }
+        const mode = SMOOTHING_MODES[this.pitchSmoothing];
+        this.pitchSmoothingHint.textContent = mode ? mode.description : '';
+    }
+
+    /**
+     * Cambia el número de voces que se detectan (en caliente si el juego está en marcha) y lo recuerda
+     * @param {number} count - Voces simultáneas
+     */
+    changeVoiceCount(count) {
+        if (!VOICE_COUNTS.includes(count)) {
+            return;
+        }
+        this.voiceCount = count;
+        saveSetting('voiceCount', count);
+        this.setupPolyphonicDetection();
+        this.updateVoiceCountHint();
+    }
+
+    /**
+     * Explica cómo se detectan las voces con el número elegido
+     */
+    updateVoiceCountHint() {
+        if (!this.voiceCountHint) {
+            return;
+        }
+        this.voiceCountHint.textContent = this.voiceCount === 1
+            ? 'Un jugador: se usa el algoritmo elegido arriba.'
+            : `Hasta ${this.voiceCount} personas cantando a la vez en el mismo micrófono (suma de armónicos). ` +
+              'Todas deben afinar la nota. Dos voces a una octava exacta se detectan como una sola.';
+    }
+
+    /**
+     * Cambia el La de referencia (se guarda y lo usan todas las conversiones de notas)
+     * La gráfica y las notas objetivo se reafinan solas; las trazas empiezan de nuevo
+     * @param {number} hz - Frecuencia del La4
+     */
+    changeReferencePitch(hz) {
+        if (!Number.isFinite(hz) || hz < MIN_REFERENCE_PITCH || hz > MAX_REFERENCE_PITCH) {
+            if (this.referencePitchHint) {
+                this.referencePitchHint.textContent =
+                    `La frecuencia debe estar entre ${MIN_REFERENCE_PITCH} y ${MAX_REFERENCE_PITCH} Hz.`;
+            }
+            return;
+        }
+        setReferencePitch(hz);
+        this.resetPitchTracking();
+        this.updateReferencePitchUI();
+    }
+
+    /**
+     * Refleja la afinación de referencia actual en el selector, el campo y la pista
+     */
+    updateReferencePitchUI() {
+        const hz = getReferencePitch();
+        const isPreset = REFERENCE_PITCH_PRESETS.some(preset => preset.value === hz);
+
+        if (this.referencePitchSelect) {
+            this.referencePitchSelect.value = isPreset ? String(hz) : 'custom';
+        }
+        if (this.referencePitchField) {
+            this.referencePitchField.classList.toggle('hidden', isPreset);
+        }
+        if (this.referencePitchInput) {
+            this.referencePitchInput.value = String(hz);
+        }
+        if (this.referencePitchHint) {
+            this.referencePitchHint.textContent =
+                `La4 = ${hz} Hz. Las notas objetivo, la rejilla de la gráfica y los nombres de las notas ` +
+                'detectadas (con su desviación en cents) usan esta afinación.';
+        }
+    }
+
+    /**
+     * Muestra la descripción de la voz del sintetizador elegida
+     */
+    updateSynthVoiceHint() {
+        if (this.synthVoiceHint) {
+            this.synthVoiceHint.textContent = SYNTH_VOICES[this.synthVoice].description;
+        }
+    }
+
+    /**
+     * Cambia (y guarda) el acompañamiento mientras se canta
+     * @param {Object} options - { guide, guideVolume, drone, droneVolume } (ver setAccompaniment)
+     */
+    changeAccompaniment(options) {
+        this.accompaniment = { ...this.accompaniment, ...options };
+        saveSetting('accompaniment', this.accompaniment);
+        setAccompaniment(this.accompaniment);
+        this.updateAccompanimentHints();
+    }
+
+    /**
+     * Cambia (y guarda) los acordes bajo la melodía
+     * @param {Object} options - { listening, singing, style, volume } (ver setHarmony)
+     */
+    changeHarmony(options) {
+        this.harmony = { ...this.harmony, ...options };
+        saveSetting('harmony', this.harmony);
+        setHarmony(this.harmony);
+        this.updateAccompanimentHints();
+    }
+
+    /**
+     * Muestra la descripción del modo de guía, del estilo de los acordes y del filtro del acompañamiento
+     */
+    updateAccompanimentHints() {
+        if (this.guideModeHint) {
+            this.guideModeHint.textContent = GUIDE_MODES[this.accompaniment.guide].description;
+        }
+        if (this.harmonyStyleHint) {
+            this.harmonyStyleHint.textContent = CHORD_STYLES[this.harmony.style].description;
+        }
+        if (this.bleedHandlingHint) {
+            this.bleedHandlingHint.textContent = BLEED_HANDLING_MODES[this.bleedHandling].description;
+        }
+    }
+
+    /**
+     * Cambia (y guarda) el metrónomo
+     * @param {Object} options - { enabled, volume, bpm } (ver setMetronome)
+     */
+    changeMetronome(options) {
+        this.metronome = { ...this.metronome, ...options };
+        saveSetting('metronome', this.metronome);
+        setMetronome(this.metronome);
+        this.updateMetronomeHint();
+    }
+
+    /**
+     * Muestra el tempo elegido
+     */
+    updateMetronomeHint() {
+        if (this.metronomeHint) {
+            this.metronomeHint.textContent = `${this.metronome.bpm} BPM · el tempo se aplica en la siguiente partida. La cuenta de entrada suena siempre.`;
+        }
+    }
+
+    /**
+     * Pasa a la gráfica la rejilla de pulsos de la partida
+     * Los pulsos van por el reloj de audio; la gráfica en vivo mide con Date.now() y el
+     * historial completo en ms desde el inicio de la partida. La traducción se calcula una
+     * vez (y otra tras cada pausa, que retrasa el bucle)
+     * @param {string} base - 'live' (gráfica en vivo) o 'history' (historial completo)
+     */
+    syncBeatGrid(base) {
+        const grid = getBeatGrid();
+        const audioContext = this.audioSource.audioContext;
+        if (!grid || !audioContext || this.gameStartTime === null) {
+            this.graphRenderer.setBeatGrid(null);
+            return;
+        }
+        if (!this.beatGridAnchors) {
+            const sinceFirstBeat = (audioContext.currentTime - grid.startTime) * 1000;
+            this.beatGridAnchors = {
+                live: Date.now() - sinceFirstBeat,
+                history: performance.now() - this.gameStartTime - sinceFirstBeat
+            };
+        }
+        this.graphRenderer.setBeatGrid({
+            time: this.beatGridAnchors[base],
+            interval: grid.beatDuration * 1000,
+            beatsPerBar: grid.beatsPerBar,
+            beatsPerLoop: grid.beatsPerLoop
+        });
+    }
+
+    /**
+     * Toca un arpegio corto (do-mi-sol-do en la tesitura elegida) con la voz y el volumen elegidos
+     */
+    previewSynthVoice() {
+        if (!this.previewAudioContext) {
+            this.previewAudioContext = createAudioContext();
+        }
+        if (this.previewAudioContext.state === 'suspended') {
+            this.previewAudioContext.resume();
+        }
+
+        const { lowest, highest } = getRange();
+        const tonic = Math.floor((lowest + highest) / 2 / 12) * 12; // El Do justo por debajo del centro
+        const notes = [0, 4, 7, 12].map(interval => ({ note: tonic + interval, duration: 0.45 }));
+        // Pulsar otra vez vuelve a empezar en lugar de solapar dos arpegios
+        if (this.previewTransport) {
+            this.previewTransport.dispose();
+        }
+        this.previewTransport = playSequence(this.previewAudioContext, notes, null, null, { voice: this.synthVoice, volume: this.synthVolume });
+    }
+
+    /**
+     * Escribe los nombres de nota de los selectores en la notación elegida
+     * (las tónicas con la ortografía de su tonalidad: Bb, Eb, F#...)
+     */
+    updateNoteNameOptions() {
+        if (this.tuningTonicSelect) {
+            Array.from(this.tuningTonicSelect.options).forEach(option => {
+                const pitchClass = parseInt(option.value, 10);
+                option.textContent = formatPitchClass(pitchClass, { key: pitchClass });
+            });
+        }
+        [this.rangeLowestSelect, this.rangeHighestSelect].forEach(select => {
+            if (select) {
+                Array.from(select.options).forEach(option => {
+                    option.textContent = midiToNoteName(parseInt(option.value, 10));
+                });
+            }
+        });
+    }
+
+    /**
+     * Aplica los extremos elegidos del rango personalizado
+     */
+    changeCustomRange() {
+        const lowest = parseInt(this.rangeLowestSelect.value, 10);
+        const highest = parseInt(this.rangeHighestSelect.value, 10);
+        if (!setCustomRange(lowest, highest)) {
+            this.updateRangeUI('La nota más aguda debe estar al menos una octava por encima de la más grave.');
+            return;
+        }
+        this.updateRangeUI();
+    }
+
+    /**
+     * Refleja el rango de instrumento actual en los selectores y la pista
+     * @param {string|null} errorText - Error a mostrar en lugar de la descripción
+     */
+    updateRangeUI(errorText = null) {
+        const range = getRange();
+        const customRange = getCustomRange();
+
+        if (this.rangePresetSelect) {
+            this.rangePresetSelect.value = range.preset;
+        }
+        if (this.customRangeField) {
+            this.customRangeField.classList.toggle('hidden', range.preset !== 'custom');
+        }
+        if (this.rangeLowestSelect && !errorText) {
+            this.rangeLowestSelect.value = String(customRange.lowest);
+        }
+        if (this.rangeHighestSelect && !errorText) {
+            this.rangeHighestSelect.value = String(customRange.highest);
+        }
+        if (this.rangePresetHint) {
+            this.rangePresetHint.textContent = errorText ||
+                `${RANGE_PRESETS[range.preset].description} El detector escucha de ` +
+                `${range.minFrequency} a ${range.maxFrequency} Hz.`;
+        }
+    }
+
+    /**
+     * Aplica los límites del rango de instrumento al detector en marcha
+     * (el detector polifónico se recrea con los nuevos límites)
+     */
+    applyDetectionRange() {
+        if (!this.pitchDetection) {
+            return;
+        }
+        const { minFrequency, maxFrequency } = getRange();
+        this.pitchDetection.setFrequencyRange(minFrequency, maxFrequency);
+        this.setupPolyphonicDetection();
+    }
+
+    /**
+     * Cambia el sistema de afinación (la escala personalizada necesita un archivo .scl)
+     * @param {string} system - Nombre del sistema (ver TUNING_SYSTEMS)
+     */
+    changeTuningSystem(system) {
+        if (system === 'custom' && !getCustomScale()) {
+            // Esperar al archivo: mientras tanto sigue la afinación anterior
+            this.scaleFileField.classList.remove('hidden');
+            this.tuningSystemHint.textContent = 'Elige un archivo .scl para usar la escala.';
+            return;
+        }
+        setTuningSystem(system);
+        this.updateTuningUI();
+    }
+
+    /**
+     * Carga una escala de Scala (.scl) y la activa
+     * @param {File} file - Archivo elegido por el usuario
+     */
+    async loadScaleFile(file) {
+        try {
+            loadCustomScale(await file.text());
+            this.updateTuningUI();
+        } catch (error) {
+            this.updateTuningUI(`No se pudo cargar la escala: ${error.message}`);
+            this.scaleFileField.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Refleja el sistema de afinación actual en los selectores y la pista
+     * @param {string|null} errorText - Error a mostrar en lugar de la descripción
+     */
+    updateTuningUI(errorText = null) {
+        const tuning = getTuning();
+        const customScale = getCustomScale();
+
+        if (this.tuningSystemSelect) {
+            this.tuningSystemSelect.value = tuning.system;
+        }
+        if (this.tuningTonicSelect) {
+            this.tuningTonicSelect.value = String(tuning.tonic);
+        }
+        if (this.scaleFileField) {
+            this.scaleFileField.classList.toggle('hidden', tuning.system !== 'custom');
+        }
+        if (this.tuningSystemHint) {
+            let text = TUNING_SYSTEMS[tuning.system].description;
+            if (tuning.system === 'custom' && customScale) {
+                text += ` Escala actual: ${customScale.description || 'sin nombre'} (${customScale.degrees.length} notas).`;
+            }
+            this.tuningSystemHint.textContent = errorText || text;
+        }
+    }
+
+    /**
+     * Compara todos los algoritmos de detección con las grabaciones de prueba
+     * y muestra una tabla con precisión, errores de octava, falsos positivos y coste
+     */
+    async runBenchmark() {
+        if (this.isBenchmarking || !this.benchmarkResults) {
+            return;
+        }
+
+        this.isBenchmarking = true;
+        if (this.benchmarkBtn) {
+            this.benchmarkBtn.disabled = true;
+        }
+        this.benchmarkResults.textContent = 'Comparando... 0%';
+
+        try {
+            const results = await runPitchBenchmark({
+                onProgress: (progress) => {
+                    this.benchmarkResults.textContent = `Comparando... ${Math.round(progress * 100)}%`;
+                }
+            });
+            this.renderBenchmarkResults(results);
+        } catch (error) {
+            console.error('Error en el banco de pruebas:', error);
+            this.benchmarkResults.textContent = `No se pudo completar la comparación: ${error.message}`;
+        } finally {
+            this.isBenchmarking = false;
+            if (this.benchmarkBtn) {
+                this.benchmarkBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Dibuja una tabla de resultados por conjunto de grabaciones (resalta el algoritmo en uso)
+     * @param {Array<Object>} sets - Resultados de runPitchBenchmark
+     */
+    renderBenchmarkResults(sets) {
+        this.benchmarkResults.replaceChildren(...sets.map(set => this.createBenchmarkTable(set)));
+    }
+
+    /**
+     * Tabla de resultados del banco de pruebas para un conjunto de grabaciones
+     * @param {{label: string, results: Array<Object>}} set - Conjunto de runPitchBenchmark
+     * @returns {HTMLTableElement} Tabla con el nombre del conjunto como título
+     */
+    createBenchmarkTable({ label, results }) {
+        const percent = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+        const table = document.createElement('table');
+        table.className = 'benchmark-table';
+        table.createCaption().textContent = label;
+
+        const header = table.createTHead().insertRow();
+        ['Algoritmo', 'Precisión', 'Octava', 'Falsos +', 'ms/frame'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        results.forEach(result => {
+            const row = body.insertRow();
+            if (result.algorithm === this.pitchAlgorithm) {
+                row.className = 'current';
+            }
+            [
+                result.label,
+                percent(result.accuracy),
+                percent(result.octaveErrorRate),
+                percent(result.falsePositiveRate),
+                result.msPerFrame.toFixed(2)
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+
+        return table;
+    }
+
+    /**
+     * Calibra la entrada: mide el ruido de fondo y el nivel de la voz
+     * Si el micrófono no está activo, lo abre solo para la calibración
+     */
+    async runCalibration() {
+        if (this.isCalibrating) {
+            return;
+        }
+
+        this.isCalibrating = true;
+        if (this.calibrateBtn) {
+            this.calibrateBtn.disabled = true;
+        }
+
+        const openedForCalibration = !this.microphoneCapture.isActive();
+
+        try {
+            if (openedForCalibration) {
+                const result = await this.microphoneCapture.initialize();
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+
+            const calibration = await calibrateInput(this.microphoneCapture, (step) => {
+                if (this.calibrationStatus) {
+                    this.calibrationStatus.textContent = step === 'silence'
+                        ? 'Silencio, por favor... midiendo el ruido de fondo'
+                        : 'Ahora canta una nota cómoda y mantenla...';
+                }
+            });
+
+            this.applyCalibration();
+            this.updateCalibrationStatus(calibration);
+        } catch (error) {
+            console.error('Error al calibrar:', error);
+            if (this.calibrationStatus) {
+                this.calibrationStatus.textContent = `No se pudo calibrar: ${error.message}`;
+            }
+        } finally {
+            // Cerrar el micrófono si solo se abrió para calibrar y no ha empezado una partida con él
+            if (openedForCalibration && !(this.isRunning && this.audioSource === this.microphoneCapture)) {
+                this.microphoneCapture.stop();
+            }
+            this.isCalibrating = false;
+            if (this.calibrateBtn) {
+                this.calibrateBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Aplica la calibración guardada al detector de pitch: el ruido de fondo y el nivel de la
+     * voz colocan los umbrales de la puerta de ruido
+     */
+    applyCalibration() {
+        // La calibración y la latencia solo describen el micrófono
+        const isMicrophone = this.audioSource === this.microphoneCapture;
+        const latency = isMicrophone ? getLatencyCalibration() : null;
+        setLatencyCompensation(latency ? latency.latencyMs : 0);
+
+        if (!this.pitchDetection) {
+            return;
+        }
+        const calibration = isMicrophone ? this.getCurrentCalibration() : null;
+        if (calibration) {
+            this.pitchDetection.setNoiseFloor(calibration.noiseFloorRms, calibration.signalRms);
+        } else {
+            this.pitchDetection.setNoiseFloor(0);
         }
     }
 
-    startWelcomeAnimation() {
-        if (!this.welcomeCreatureCanvas || !this.welcomeCreatureCtx) {
+    /**
+     * Calibración guardada, si se midió con el perfil de entrada actual
+     * (con otro perfil el procesado del navegador cambia los niveles: no sirve)
+     * @returns {Object|null}
+     */
+    getCurrentCalibration() {
+        const calibration = getInputCalibration();
+        return calibration && calibration.profile === this.microphoneCapture.inputProfile ? calibration : null;
+    }
+
+    /**
+     * Mide la latencia de ida y vuelta con clics por los altavoces
+     * Usa el perfil sin procesado durante la medida (la cancelación de eco borraría los clics)
+     * y, como la calibración, abre el micrófono solo para medir si no está activo
+     */
+    async runLatencyCalibration() {
+        if (this.isCalibrating) {
             return;
         }
 
-        let lastFrameTime = performance.now();
+        this.isCalibrating = true;
+        if (this.latencyBtn) {
+            this.latencyBtn.disabled = true;
+        }
 
-        const animate = (currentTime) => {
-            // Solo animar si la pantalla de bienvenida está visible
-            if (this.welcomeScreen && !this.welcomeScreen.classList.contains('hidden')) {
-                // Solo animar si el juego NO está corriendo
-                if (!this.isRunning) {
-                    // Calcular delta time
-                    const deltaTime = currentTime - lastFrameTime;
-                    lastFrameTime = currentTime;
-                    
-                    // Actualizar solo el tiempo de animación sin avanzar el juego
-                    // Esto permite que la criatura se anime sin iniciar el countdown
-                    updateAnimationTimeOnly(deltaTime);
-                }
-                
-                // Limpiar canvas
-                this.welcomeCreatureCtx.clearRect(0, 0, this.welcomeCreatureCanvas.width, this.welcomeCreatureCanvas.height);
-                
-                // Renderizar la criatura usando el mismo renderer del juego
-                // La criatura se animará porque el tiempo se está actualizando
-                renderSequenceGame(this.welcomeCreatureCtx, this.welcomeCreatureCanvas.width, this.welcomeCreatureCanvas.height);
-                
-                this.welcomeAnimationId = requestAnimationFrame(animate);
-            } else {
-                // Si la bienvenida está oculta, detener la animación
-                if (this.welcomeAnimationId) {
-                    cancelAnimationFrame(this.welcomeAnimationId);
-                    this.welcomeAnimationId = null;
+        const microphone = this.microphoneCapture;
+        const openedForMeasurement = !microphone.isActive();
+        const previousProfile = microphone.inputProfile;
+
+        try {
+            await microphone.setInputProfile('raw');
+            if (openedForMeasurement) {
+                const result = await microphone.initialize();
+                if (!result.success) {
+                    throw new Error(result.error);
                 }
             }
-        };
-        
-        this.welcomeAnimationId = requestAnimationFrame(animate);
+
+            if (this.latencyStatus) {
+                this.latencyStatus.textContent = 'Midiendo... sube el volumen de los altavoces y no hagas ruido';
+            }
+            const measurement = await measureLatency(microphone);
+            this.updateLatencyStatus(measurement);
+        } catch (error) {
+            console.error('Error al medir la latencia:', error);
+            if (this.latencyStatus) {
+                this.latencyStatus.textContent = `No se pudo medir la latencia: ${error.message}`;
+            }
+        } finally {
+            if (openedForMeasurement && !(this.isRunning && this.audioSource === microphone)) {
+                microphone.stop();
+            }
+            await microphone.setInputProfile(previousProfile);
+            this.applyCalibration();
+            this.isCalibrating = false;
+            if (this.latencyBtn) {
+                this.latencyBtn.disabled = false;
+            }
+        }
     }
 
-    setupEventListeners() {
-        this.startBtn.addEventListener('click', () => this.start());
-        
-        // Botón de compartir
-        if (this.shareBtn) {
-            this.shareBtn.addEventListener('click', () => this.shareGameOver());
+    /**
+     * Muestra la última latencia medida
+     * @param {Object|null} measurement - Medida guardada (o null si no hay)
+     */
+    updateLatencyStatus(measurement) {
+        if (!this.latencyStatus) {
+            return;
         }
-        
-        // Modal de ayuda
-        if (this.helpBtn && this.helpModal) {
-            this.helpBtn.addEventListener('click', () => this.openHelpModal());
-            
-            const closeBtn = this.helpModal.querySelector('.modal-close');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => this.closeHelpModal());
-            }
-            
-            // Cerrar al hacer clic fuera del modal
-            this.helpModal.addEventListener('click', (e) => {
-                if (e.target === this.helpModal) {
-                    this.closeHelpModal();
-                }
-            });
-            
-            // Cerrar con tecla Escape
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && this.helpModal.classList.contains('show')) {
-                    this.closeHelpModal();
-                }
-            });
+        if (!measurement) {
+            this.latencyStatus.textContent = 'Sin medir: el juego no compensa el retraso de la entrada. La medida tarda 5 segundos.';
+            return;
         }
+        this.latencyStatus.textContent =
+            `Latencia: ${measurement.latencyMs} ms (variación ${measurement.spreadMs} ms, ` +
+            `${measurement.clicksDetected} clics detectados)`;
     }
-    
-    openHelpModal() {
-        if (this.helpModal) {
-            this.helpModal.classList.add('show');
-            document.body.style.overflow = 'hidden';
+
+    /**
+     * Muestra el resultado de la última calibración
+     * @param {Object|null} calibration - Calibración guardada
+     */
+    updateCalibrationStatus(calibration) {
+        if (!this.calibrationStatus) {
+            return;
+        }
+        if (!calibration) {
+            this.calibrationStatus.textContent = 'Sin calibrar. La calibración tarda 5 segundos: 2 en silencio y 3 cantando.';
+            return;
+        }
+        const profile = INPUT_PROFILES[calibration.profile];
+        if (calibration.profile !== this.microphoneCapture.inputProfile) {
+            this.calibrationStatus.textContent =
+                `Calibración desactualizada: se midió con el perfil ${profile ? profile.label : calibration.profile} ` +
+                'y no se usa con el actual. Vuelve a calibrar.';
+            return;
         }
+        this.calibrationStatus.textContent =
+            `Ruido de fondo: ${calibration.noiseFloorDb.toFixed(0)} dBFS · ` +
+            `Voz: ${calibration.signalDb.toFixed(0)} dBFS · ` +
+            `Margen: ${calibration.snrDb.toFixed(0)} dB` +
+            (profile ? ` (perfil ${profile.label})` : '');
     }
-    
-    closeHelpModal() {
-        if (this.helpModal) {
-            this.helpModal.classList.remove('show');
-            document.body.style.overflow = '';
+
+    /**
+     * Analiza un archivo de audio con el mismo detector de pitch y dibuja la traza completa
+     * Detiene la partida en curso, si la hay
+     * @param {File} file - Archivo de audio
+     */
+    async analyzeFile(file) {
+        if (this.isAnalyzingFile) {
+            return;
+        }
+
+        if (!isAudioFile(file)) {
+            if (this.statusText) {
+                this.statusText.textContent = 'ARCHIVO NO VÁLIDO';
+            }
+            return;
+        }
+
+        this.isAnalyzingFile = true;
+
+        if (this.isRunning) {
+            this.stop();
+        }
+
+        // Mostrar la zona de juego (como al pulsar Iniciar por primera vez)
+        if (this.isFirstStart) {
+            if (this.welcomeScreen) {
+                this.welcomeScreen.classList.add('hidden');
+            }
+            if (this.contentRow) {
+                this.contentRow.classList.remove('hidden');
+            }
+            this.isFirstStart = false;
+            this.graphRenderer.resize();
+        }
+
+        this.startBtn.disabled = true;
+
+        try {
+            if (this.statusText) {
+                this.statusText.textContent = 'DECODIFICANDO';
+            }
+            const audioBuffer = await decodeAudioFile(file);
+
+            // Detector con la frecuencia de muestreo del archivo (sin la calibración del micrófono)
+            const { minFrequency, maxFrequency } = getRange();
+            const fileDetection = new PitchDetection(audioBuffer.sampleRate, this.pitchAlgorithm, { minFrequency, maxFrequency });
+            const fileTracker = new PitchTracker({ smoothing: this.pitchSmoothing });
+            const { frequencyHistory, rawFrequencyHistory, timeHistory } = await analyzeAudioBuffer(audioBuffer, fileDetection, (progress) => {
+                if (this.statusText) {
+                    this.statusText.textContent = `ANALIZANDO ${Math.round(progress * 100)}%`;
+                }
+            }, fileTracker);
+
+            this.graphRenderer.clearTargets();
+            this.graphRenderer.replaceHistory(frequencyHistory, timeHistory, rawFrequencyHistory);
+
+            if (this.statusText) {
+                this.statusText.textContent = 'GRABACIÓN';
+            }
+            if (this.timeValue) {
+                this.timeValue.textContent = `${audioBuffer.duration.toFixed(1)}s`;
+            }
+        } catch (error) {
+            console.error('Error al analizar el archivo:', error);
+            if (this.statusText) {
+                this.statusText.textContent = 'ERROR AL DECODIFICAR';
+            }
+        } finally {
+            this.isAnalyzingFile = false;
+            this.startBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Reacciona a micrófonos conectados o desconectados durante la partida
+     * @param {{devices: Array<{deviceId: string, label: string}>, lostDevice: boolean}} change - Cambio de dispositivos
+     */
+    async handleDevicesChange({ devices, lostDevice }) {
+        if (lostDevice) {
+            if (this.inputDeviceHint) {
+                this.inputDeviceHint.textContent = 'Se desconectó el micrófono. Usando el micrófono por defecto.';
+            }
+        } else if (this.preferredDeviceId &&
+                   this.microphoneCapture.getActiveDeviceId() !== this.preferredDeviceId &&
+                   devices.some(device => device.deviceId === this.preferredDeviceId)) {
+            // El micrófono elegido se ha vuelto a conectar: volver a usarlo
+            const result = await this.microphoneCapture.setInputDevice(this.preferredDeviceId);
+            if (result.success && this.inputDeviceHint) {
+                this.inputDeviceHint.textContent = '';
+            }
         }
+
+        this.refreshInputDevices();
     }
 
     async start() {
@@ -224,18 +1942,27 @@ class VoicePitchGame {
             // Si es Game Over, reiniciar el juego directamente sin detener el audio
             if (this.isRunning && isGameOver) {
                 // Reiniciar juego sin detener el sistema de audio
-                const audioContext = this.audioCapture.audioContext || null;
+                // (las fuentes grabadas o sintéticas vuelven a empezar para seguir al juego)
+                this.updateDemoScript();
+                this.audioSource.rewind();
+                const audioContext = this.audioSource.audioContext || null;
                 startSequenceGame(audioContext);
+                this.resetPitchTracking();
                 
                 // Resetear historial completo
                 this.fullFrequencyHistory = [];
+                this.fullRawFrequencyHistory = [];
                 this.fullTimeHistory = [];
                 this.gameStartTime = performance.now();
+                this.beatGridAnchors = null;
                 this.hasReplacedHistoryOnGameOver = false;
+                this.resetRecording();
+                this.clearGameSummaries();
                 
                 // Limpiar gráfico y visualización
                 this.graphRenderer.clear();
                 this.graphRenderer.clearTargets();
+                this.graphRenderer.setBeatGrid(null);
                 
                 // Ocultar Game Over
                 if (this.gameOverSection) {
@@ -252,29 +1979,57 @@ class VoicePitchGame {
             }
 
             // Inicialización normal (primera vez o después de stop)
-            const result = await this.audioCapture.initialize();
-            
-            if (!result.success) {
-                console.error('Error al inicializar micrófono:', result.error);
-                return;
+            // Si la calibración dejó el micrófono abierto, reutilizarlo
+            if (!this.audioSource.isActive()) {
+                this.updateDemoScript();
+                const result = await this.audioSource.initialize();
+                
+                if (!result.success) {
+                    // El panel de estado explica el problema y ofrece reintentar
+                    console.error('Error al inicializar la fuente de audio:', result.error);
+                    return;
+                }
             }
 
+            // Con permiso concedido ya hay nombres de dispositivos
+            this.refreshInputDevices();
+
             // Inicializar detector de pitch con la frecuencia de muestreo correcta
-            const sampleRate = this.audioCapture.getSampleRate();
-            this.pitchDetection = new PitchDetection(sampleRate);
+            // (en un worker si el navegador lo permite, para no competir con el dibujo)
+            const sampleRate = this.audioSource.getSampleRate();
+            if (this.pitchDetection) {
+                this.pitchDetection.dispose();
+            }
+            const { minFrequency, maxFrequency } = getRange();
+            this.pitchDetection = new PitchDetection(sampleRate, this.pitchAlgorithm, { useWorker: true, minFrequency, maxFrequency });
+            this.setupPolyphonicDetection();
+            this.applyCalibration();
             
             this.isRunning = true;
             this.startBtn.disabled = true;
             
             // Inicializar juego
-            const audioContext = this.audioCapture.audioContext || null;
+            const audioContext = this.audioSource.audioContext || null;
             startSequenceGame(audioContext);
+            this.resetPitchTracking();
             
             // Resetear historial completo al iniciar nuevo juego
             this.fullFrequencyHistory = [];
+            this.fullRawFrequencyHistory = [];
             this.fullTimeHistory = [];
             this.gameStartTime = performance.now();
+            this.beatGridAnchors = null;
             this.hasReplacedHistoryOnGameOver = false;
+            this.resetRecording();
+            this.clearGameSummaries();
+            
+            // Si el audio ya está suspendido, empezar en pausa hasta que se reanude
+            if (this.audioSource.getState() !== 'running') {
+                this.pauseGame();
+            }
+            
+            // Limpiar la gráfica (puede contener la traza de un archivo analizado)
+            this.graphRenderer.clear();
             
             // Iniciar loop de análisis
             this.analyze();
@@ -291,22 +2046,31 @@ class VoicePitchGame {
     stop() {
         this.isRunning = false;
         this.lastFrameTime = null;
+        this.pausedAt = null;
         
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
         }
         
-        this.audioCapture.stop();
+        this.audioSource.stop();
+        if (this.pitchDetection) {
+            this.pitchDetection.dispose();
+        }
         this.graphRenderer.clear();
         
-        // Limpiar visualización de objetivo
+        // Limpiar visualización de objetivo y pulsos
         this.graphRenderer.clearTargets();
+        this.graphRenderer.setBeatGrid(null);
         
         // Limpiar historial completo
         this.fullFrequencyHistory = [];
+        this.fullRawFrequencyHistory = [];
         this.fullTimeHistory = [];
         this.gameStartTime = null;
+        this.beatGridAnchors = null;
         this.hasReplacedHistoryOnGameOver = false;
+        this.resetRecording();
+        this.clearGameSummaries();
         
         // Reiniciar juego
         resetSequenceGame();
@@ -317,6 +2081,9 @@ class VoicePitchGame {
         if (this.statusText) {
             this.statusText.textContent = 'CALMA';
         }
+        if (this.pitchReadout) {
+            this.pitchReadout.textContent = '--';
+        }
         if (this.energyBar) {
             this.energyBar.style.width = '100%';
         }
@@ -332,6 +2099,7 @@ class VoicePitchGame {
         if (this.timeValue) {
             this.timeValue.textContent = '0.0s';
         }
+        this.updateLevelMeter();
         
         // Ocultar Game Over
         if (this.gameOverSection) {
@@ -468,41 +2236,193 @@ class VoicePitchGame {
         }
     }
 
+    /**
+     * Procesa cada frame de audio capturado (a salto fijo, independiente de requestAnimationFrame)
+     * Con una voz la detección llega de forma asíncrona desde el worker; el bucle de
+     * dibujo nunca la espera y usa siempre la última detección disponible
+     * @param {{samples: Float32Array, time: number, index: number}} frame - Frame de audio
+     */
+    async handleAudioFrame(frame) {
+        if (!this.isRunning || !this.pitchDetection) {
+            return;
+        }
+
+        // Solo detectar durante la fase PLAYING
+        if (!this.isDetectingPitch()) {
+            this.latestDetections = [];
+            this.latestFrequencies = [];
+            this.latestRawFrequencies = [];
+            return;
+        }
+
+        // Con altavoces, quitar lo que el micrófono recoge de la guía y del bordón. Solo para
+        // el estimador: la puerta y el RMS miden el frame original, porque con la guía en la
+        // nota objetivo la máscara se lleva casi toda la voz afinada (la confianza ya descarta
+        // los frames en los que solo queda el resto de la guía)
+        const samples = this.removeAccompaniment(frame);
+
+        // Varias voces: detector polifónico (en el hilo principal, un análisis cada pocos frames),
+        // con la misma puerta de ruido
+        if (this.polyphonicDetection) {
+            const gateOpen = this.pitchDetection.passesNoiseGate(frame.samples);
+            this.applyDetections(this.polyphonicDetection.detectPitches(gateOpen ? samples : null), frame.time);
+            return;
+        }
+
+        // Una voz: detector monofónico (en el worker si está disponible)
+        const pitchDetection = this.pitchDetection;
+        const detection = await pitchDetection.detectPitchAsync(samples, frame.samples);
+
+        // Frame descartado por retraso del worker, o la partida cambió mientras se detectaba
+        if (!detection || pitchDetection !== this.pitchDetection || !this.isRunning ||
+            this.polyphonicDetection || !this.isDetectingPitch()) {
+            return;
+        }
+        this.applyDetections([detection], frame.time);
+    }
+
+    /**
+     * Quita de un frame del micrófono las frecuencias que está tocando el acompañamiento
+     * (solo con altavoces: con auriculares, o con otras fuentes, el frame llega intacto)
+     * @param {{samples: Float32Array, time: number}} frame - Frame de audio
+     * @returns {Float32Array} Muestras para el detector
+     */
+    removeAccompaniment(frame) {
+        if (this.bleedHandling !== 'mask' || this.audioSource !== this.microphoneCapture) {
+            return frame.samples;
+        }
+        const sampleRate = this.pitchDetection.sampleRate;
+        const startTime = frame.time - frame.samples.length / sampleRate;
+        return maskAccompaniment(frame.samples, getAccompanimentFrequencies(startTime, frame.time), sampleRate);
+    }
+
+    /**
+     * Indica si el juego está en la fase en la que se escucha al jugador
+     * @returns {boolean}
+     */
+    isDetectingPitch() {
+        const gameState = getSequenceGameState();
+        return gameState.gamePhase === 'PLAYING' && !gameState.isGameOver;
+    }
+
+    /**
+     * Pasa las detecciones de un frame por los trackers y las deja listas para el juego y la gráfica
+     * @param {Array<Object>} detections - Una detección por voz
+     * @param {number} time - Instante del frame (reloj de audio): el vibrato rellena los frames perdidos
+     */
+    applyDetections(detections, time) {
+        // Cada voz pasa por su tracker: el juego y la traza principal usan la frecuencia
+        // corregida y suavizada. El índice de cada voz es estable (una línea por voz en la gráfica).
+        // Después se analiza el vibrato de la traza (el juego puede juzgar su centro).
+        // Una detección polifónica que repite el último análisis (stale) no es una medida nueva:
+        // se mantiene la ya procesada, y el vibrato rellena el hueco por el instante del frame
+        detections = detections.map((detection, index) => {
+            if (detection.stale && this.latestDetections[index]) {
+                return this.latestDetections[index];
+            }
+            return this.getVibratoDetector(index).process(this.getPitchTracker(index).process(detection), time);
+        });
+        this.latestDetections = detections;
+        this.latestFrequencies = detections.some(detection => detection.frequency)
+            ? detections.map(detection => detection.frequency)
+            : [];
+        this.latestRawFrequencies = detections.some(detection => detection.rawFrequency)
+            ? detections.map(detection => detection.rawFrequency)
+            : [];
+    }
+
+    /**
+     * Tracker de pitch de una voz (se crea la primera vez que se pide)
+     * @param {number} index - Índice de la voz
+     * @returns {PitchTracker}
+     */
+    getPitchTracker(index) {
+        if (!this.pitchTrackers[index]) {
+            this.pitchTrackers[index] = new PitchTracker({ smoothing: this.pitchSmoothing });
+        }
+        return this.pitchTrackers[index];
+    }
+
+    /**
+     * Detector de vibrato de una voz (se crea la primera vez que se pide)
+     * @param {number} index - Índice de la voz
+     * @returns {VibratoDetector}
+     */
+    getVibratoDetector(index) {
+        if (!this.vibratoDetectors[index]) {
+            this.vibratoDetectors[index] = new VibratoDetector({ frameRate: this.pitchDetection.sampleRate / HOP_SIZE });
+        }
+        return this.vibratoDetectors[index];
+    }
+
+    /**
+     * Olvida las trazas anteriores (nueva partida)
+     */
+    resetPitchTracking() {
+        this.pitchTrackers.forEach(tracker => tracker.reset());
+        this.vibratoDetectors = []; // Se recrean con la frecuencia de muestreo de la partida
+        if (this.polyphonicDetection) {
+            this.polyphonicDetection.reset();
+        }
+    }
+
+    /**
+     * Crea (o quita) el detector polifónico según el número de voces elegido
+     */
+    setupPolyphonicDetection() {
+        if (this.voiceCount > 1 && this.pitchDetection) {
+            this.polyphonicDetection = new PolyphonicDetection(this.pitchDetection.sampleRate, {
+                maxVoices: this.voiceCount,
+                minFrequency: this.pitchDetection.minFrequency,
+                maxFrequency: this.pitchDetection.maxFrequency
+            });
+        } else {
+            this.polyphonicDetection = null;
+        }
+        this.pitchTrackers = [];
+    }
+
     analyze() {
         if (!this.isRunning) {
             return;
         }
 
+        // Sin audio (contexto suspendido, micrófono perdido...) el juego queda congelado
+        if (this.pausedAt !== null) {
+            this.animationFrameId = requestAnimationFrame(() => this.analyze());
+            return;
+        }
+
         // Calcular delta time
         const now = performance.now();
         const dt = this.lastFrameTime ? now - this.lastFrameTime : 16.67; // Aproximado para primer frame
         this.lastFrameTime = now;
 
-        // Obtener datos de tiempo para análisis de pitch
-        const timeData = this.audioCapture.getTimeData();
-        
-        if (timeData && this.pitchDetection) {
+        if (this.audioSource.isActive() && this.pitchDetection) {
             // Verificar la fase del juego
             const gameState = getSequenceGameState();
             
             // Solo detectar y visualizar frecuencias durante la fase PLAYING
             if (gameState.gamePhase === 'PLAYING' && !gameState.isGameOver) {
-                // Detectar solo una frecuencia (un solo pitch)
-                let frequencies = [];
-                const frequency = this.pitchDetection.detectPitch(timeData);
-                if (frequency) {
-                    frequencies = [frequency];
+                // Usar la última detección entregada por los frames de audio
+                const frequencies = this.latestFrequencies;
+                
+                // Empezar a grabar la voz al comenzar la fase de canto
+                if (!this.hasStartedRecording && this.gameStartTime !== null) {
+                    this.runRecorder.start(this.audioSource.getRecordingStream(), performance.now() - this.gameStartTime);
+                    this.hasStartedRecording = true;
                 }
                 
                 // Registrar en historial completo (desde el inicio)
                 if (this.gameStartTime !== null) {
                     const relativeTime = performance.now() - this.gameStartTime;
                     this.fullFrequencyHistory.push(frequencies);
+                    this.fullRawFrequencyHistory.push(this.latestRawFrequencies);
                     this.fullTimeHistory.push(relativeTime);
                 }
                 
-                // Actualizar secuencia
-                updateSequenceGame(frequencies, dt);
+                // Actualizar secuencia (el juego decide con la sonoridad y la confianza de cada detección)
+                updateSequenceGame(this.latestDetections, dt);
                 
                 // Actualizar visualización de notas objetivo en el gráfico
                 if (gameState.allTargets && gameState.allTargets.length > 0) {
@@ -513,8 +2433,11 @@ class VoicePitchGame {
                     this.graphRenderer.clearTargets();
                 }
                 
+                // Pulsos del metrónomo bajo la traza
+                this.syncBeatGrid('live');
+                
                 // Añadir datos al gráfico y dibujarlo (con las notas objetivo visibles)
-                this.graphRenderer.addDataPoint(frequencies);
+                this.graphRenderer.addDataPoint(frequencies, this.latestRawFrequencies);
                 this.graphRenderer.draw();
             } else {
                 // Durante PLAYING_NOTES o COUNTDOWN: no detectar ni visualizar frecuencias del jugador
@@ -535,6 +2458,9 @@ class VoicePitchGame {
                     this.graphRenderer.setTargetTolerance(0.5);
                 }
                 
+                // Sincronizar el cursor de la gráfica con la reproducción de la grabación
+                this.updatePlaybackPlayhead();
+                
                 // NO añadir datos de frecuencia al gráfico (no mostrar línea del jugador)
                 // Solo dibujar el gráfico con las notas objetivo
                 this.graphRenderer.draw();
@@ -548,12 +2474,227 @@ class VoicePitchGame {
             
             // Actualizar UI de estado
             this.updateCreatureUI();
+            this.updateLevelMeter();
+            this.updatePitchReadout();
         }
         
         // Continuar el loop
         this.animationFrameId = requestAnimationFrame(() => this.analyze());
     }
 
+    /**
+     * Detiene la grabación de la partida y la prepara para escucharla
+     */
+    async finishRecording() {
+        const session = this.recordingSession;
+        const blob = await this.runRecorder.stop();
+        if (!blob || !this.runPlayback || session !== this.recordingSession) {
+            return;
+        }
+
+        this.recordingUrl = URL.createObjectURL(blob);
+        this.runPlayback.src = this.recordingUrl;
+        if (this.playbackSection) {
+            this.playbackSection.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Muestra en Game Over el vibrato de la partida: frecuencia, amplitud y cuánto se usó
+     */
+    showVibratoSummary() {
+        if (!this.vibratoSummary) {
+            return;
+        }
+
+        const voices = this.vibratoDetectors.filter(Boolean);
+        const lines = voices.map((detector, index) => {
+            const summary = detector.getSummary();
+            if (!summary) {
+                return null;
+            }
+            const prefix = voices.length > 1 ? `Voz ${index + 1}: ` : '';
+            if (summary.vibratoSeconds === 0) {
+                return `${prefix}sin vibrato en las notas sostenidas`;
+            }
+            return `${prefix}${summary.rate.toFixed(1)} Hz · ±${Math.round(summary.extent)}¢ · ` +
+                `en el ${Math.round(summary.share * 100)}% del tiempo sostenido`;
+        }).filter(Boolean);
+
+        this.fillGameSummary(this.vibratoSummary, 'Vibrato', lines);
+    }
+
+    /**
+     * Muestra en Game Over las notas cantadas (nombre y desviación de cada nota, por voz)
+     */
+    showTranscription() {
+        if (!this.transcriptionSummary) {
+            return;
+        }
+
+        const voiceCount = this.sungNotes.reduce((count, note) => Math.max(count, note.voice + 1), 0);
+        const lines = [];
+        for (let voice = 0; voice < voiceCount; voice++) {
+            const notes = this.sungNotes.filter(note => note.voice === voice);
+            if (notes.length === 0) {
+                continue;
+            }
+            const prefix = voiceCount > 1 ? `Voz ${voice + 1}: ` : '';
+            lines.push(prefix + notes.map(note => formatNote(note)).join(' · '));
+        }
+
+        this.fillGameSummary(this.transcriptionSummary, 'Notas cantadas', lines);
+    }
+
+    /**
+     * Rellena un resumen de Game Over (se oculta si no hay líneas)
+     * @param {HTMLElement} container - Contenedor del resumen
+     * @param {string} title - Título
+     * @param {Array<string>} lines - Líneas de texto
+     */
+    fillGameSummary(container, title, lines) {
+        container.replaceChildren();
+        if (lines.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const label = document.createElement('div');
+        label.className = 'playback-label';
+        label.textContent = title;
+        container.appendChild(label);
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'game-summary-line';
+            line.textContent = text;
+            container.appendChild(line);
+        });
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Oculta los resúmenes de Game Over (al reiniciar o detener el juego)
+     */
+    clearGameSummaries() {
+        this.sungNotes = [];
+        [this.vibratoSummary, this.transcriptionSummary].forEach(container => {
+            if (container) {
+                container.classList.add('hidden');
+                container.replaceChildren();
+            }
+        });
+    }
+
+    /**
+     * Descarta la grabación anterior (al reiniciar o detener el juego)
+     */
+    resetRecording() {
+        this.runRecorder.discard();
+        this.hasStartedRecording = false;
+        this.recordingSession++;
+
+        if (this.runPlayback) {
+            this.runPlayback.pause();
+            this.runPlayback.removeAttribute('src');
+            this.runPlayback.load();
+        }
+        if (this.recordingUrl) {
+            URL.revokeObjectURL(this.recordingUrl);
+            this.recordingUrl = null;
+        }
+        if (this.playbackSection) {
+            this.playbackSection.classList.add('hidden');
+        }
+        this.graphRenderer.setPlayheadTime(null);
+    }
+
+    /**
+     * Mueve el cursor de la gráfica a la posición de la grabación que se está escuchando
+     */
+    updatePlaybackPlayhead() {
+        if (!this.runPlayback || !this.recordingUrl) {
+            return;
+        }
+
+        const isListening = !this.runPlayback.paused || this.runPlayback.currentTime > 0;
+        this.graphRenderer.setPlayheadTime(
+            isListening ? this.runRecorder.startOffset + this.runPlayback.currentTime * 1000 : null
+        );
+    }
+
+    /**
+     * Actualiza el medidor de nivel de entrada y explica por qué no se detecta pitch
+     * (demasiado bajo, saturando o ruido sin tono)
+     */
+    updateLevelMeter() {
+        if (!this.levelMeterFill || !this.levelMeterLabel) {
+            return;
+        }
+
+        // Escala del medidor: -60 dBFS .. 0 dBFS
+        const toPercent = (db) => `${Math.max(0, Math.min(100, ((db + 60) / 60) * 100))}%`;
+
+        if (!this.isRunning || !this.audioSource.isActive()) {
+            this.levelMeterFill.style.width = '0%';
+            this.levelMeterFill.classList.remove('clipping');
+            if (this.levelMeterPeak) this.levelMeterPeak.style.left = '0%';
+            if (this.levelMeterGate) this.levelMeterGate.style.display = 'none';
+            this.levelMeterLabel.textContent = 'Nivel de entrada';
+            this.levelMeterLabel.classList.remove('warning', 'clipping');
+            return;
+        }
+
+        const level = this.audioSource.getLevel();
+        this.levelMeterFill.style.width = toPercent(level.rmsDb);
+        this.levelMeterFill.classList.toggle('clipping', level.clipping);
+        if (this.levelMeterPeak) {
+            this.levelMeterPeak.style.left = toPercent(level.peakDb);
+        }
+
+        // El estado de la puerta de ruido solo es relevante mientras se detecta pitch
+        const gameState = getSequenceGameState();
+        const isDetecting = gameState.gamePhase === 'PLAYING' && !gameState.isGameOver && this.pitchDetection;
+        const gate = isDetecting ? this.pitchDetection.getNoiseGateState() : null;
+
+        if (this.levelMeterGate) {
+            this.levelMeterGate.style.display = gate ? 'block' : 'none';
+            if (gate) {
+                this.levelMeterGate.style.left = toPercent(linearToDb(gate.threshold));
+            }
+        }
+
+        let label = 'Nivel de entrada';
+        let labelClass = null;
+        if (level.clipping) {
+            label = '¡Satura! Aléjate o baja la ganancia';
+            labelClass = 'clipping';
+        } else if (gate && !gate.open) {
+            label = 'Muy bajo: canta más fuerte';
+            labelClass = 'warning';
+        } else if (gate && !this.latestFrequencies.some(frequency => frequency)) {
+            label = 'Ruido sin tono';
+            labelClass = 'warning';
+        }
+
+        this.levelMeterLabel.textContent = label;
+        this.levelMeterLabel.classList.toggle('warning', labelClass === 'warning');
+        this.levelMeterLabel.classList.toggle('clipping', labelClass === 'clipping');
+    }
+
+    /**
+     * Muestra la nota detectada y su desviación (ej: "E4 −12¢"), una por voz
+     */
+    updatePitchReadout() {
+        if (!this.pitchReadout) {
+            return;
+        }
+
+        const notes = this.latestFrequencies
+            .filter(frequency => frequency)
+            .map(frequency => formatNote(frequencyToScaleNote(frequency)));
+        this.pitchReadout.textContent = notes.length > 0 ? notes.join(' · ') : '--';
+    }
+
     updateCreatureUI() {
         const gameState = getSequenceGameState();
         
@@ -561,9 +2702,17 @@ class VoicePitchGame {
         if ((gameState.gamePhase === 'GAME_OVER' || gameState.isGameOver) && 
             this.fullFrequencyHistory.length > 0 && 
             !this.hasReplacedHistoryOnGameOver) {
+            // Segmentar la partida en notas y dibujarlas junto con toda la historia completa
+            this.sungNotes = segmentNotes(this.fullFrequencyHistory, this.fullTimeHistory);
+            this.graphRenderer.setNoteSegments(this.sungNotes);
+            // Los pulsos pasan a la base de tiempo del historial completo
+            this.syncBeatGrid('history');
             // Reemplazar el historial limitado del gráfico con toda la historia completa
-            this.graphRenderer.replaceHistory(this.fullFrequencyHistory, this.fullTimeHistory);
+            this.graphRenderer.replaceHistory(this.fullFrequencyHistory, this.fullTimeHistory, this.fullRawFrequencyHistory);
             this.hasReplacedHistoryOnGameOver = true; // Marcar como hecho para evitar hacerlo múltiples veces
+            this.finishRecording();
+            this.showVibratoSummary();
+            this.showTranscription();
         }
         
         // Actualizar texto de estado según la fase
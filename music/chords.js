@@ -0,0 +1,127 @@
+/**
+ * Cifrado de acordes: lectura y disposición
+ * Lee cifrados americanos ("C", "Am7", "G/B", "F#m7b5", "Bbmaj7", "Dsus4", "E°7") y
+ * también con la fundamental en solfeo ("Lam7", "Sol/Si"). Un acorde es su fundamental,
+ * los intervalos de su especie y el bajo (la fundamental si no hay barra).
+ * voiceChord() lo coloca en notas MIDI por debajo de la melodía: el bajo abajo y el
+ * resto en posición cerrada en la octava de encima del bajo, todo bajo el techo.
+ */
+import { parseNoteName } from './noteNames.js';
+
+// Especies de acorde: intervalos en semitonos desde la fundamental y sufijos que las escriben
+const CHORD_QUALITIES = [
+    { name: 'major', intervals: [0, 4, 7], suffixes: ['', 'M', 'maj'] },
+    { name: 'minor', intervals: [0, 3, 7], suffixes: ['m', 'min', '-'] },
+    { name: 'diminished', intervals: [0, 3, 6], suffixes: ['dim', '°', 'o'] },
+    { name: 'augmented', intervals: [0, 4, 8], suffixes: ['aug', '+'] },
+    { name: 'sus2', intervals: [0, 2, 7], suffixes: ['sus2'] },
+    { name: 'sus4', intervals: [0, 5, 7], suffixes: ['sus4', 'sus'] },
+    { name: 'power', intervals: [0, 7], suffixes: ['5'] },
+    { name: 'sixth', intervals: [0, 4, 7, 9], suffixes: ['6'] },
+    { name: 'minorSixth', intervals: [0, 3, 7, 9], suffixes: ['m6', 'min6', '-6'] },
+    { name: 'dominant7', intervals: [0, 4, 7, 10], suffixes: ['7'] },
+    { name: 'major7', intervals: [0, 4, 7, 11], suffixes: ['maj7', 'M7', 'Δ', 'Δ7'] },
+    { name: 'minor7', intervals: [0, 3, 7, 10], suffixes: ['m7', 'min7', '-7'] },
+    { name: 'minorMajor7', intervals: [0, 3, 7, 11], suffixes: ['mMaj7', 'mM7', 'm(maj7)'] },
+    { name: 'halfDiminished7', intervals: [0, 3, 6, 10], suffixes: ['m7b5', 'm7♭5', 'ø', 'ø7'] },
+    { name: 'diminished7', intervals: [0, 3, 6, 9], suffixes: ['dim7', '°7', 'o7'] },
+    { name: 'dominant7sus4', intervals: [0, 5, 7, 10], suffixes: ['7sus4', '7sus'] },
+    { name: 'add9', intervals: [0, 4, 7, 14], suffixes: ['add9', 'add2'] },
+    { name: 'dominant9', intervals: [0, 4, 7, 10, 14], suffixes: ['9'] },
+    { name: 'major9', intervals: [0, 4, 7, 11, 14], suffixes: ['maj9', 'M9', 'Δ9'] },
+    { name: 'minor9', intervals: [0, 3, 7, 10, 14], suffixes: ['m9', 'min9', '-9'] }
+];
+
+const QUALITIES_BY_SUFFIX = new Map();
+CHORD_QUALITIES.forEach(quality => {
+    quality.suffixes.forEach(suffix => QUALITIES_BY_SUFFIX.set(suffix, quality));
+});
+
+// Fundamental (letra o sílaba de solfeo con su alteración), especie y bajo opcional tras "/"
+const ROOT_PATTERN = /^((?:sol|so|do|ut|re|mi|fa|la|si|ti|[a-g])(?:𝄪|𝄫|##|bb|#|b|♯♯|♭♭|♯|♭|x)?)/i;
+
+const MIN_BASS_MIDI = 36; // C2: por debajo, el bajo se sube de octava si el acorde sigue cabiendo
+
+/**
+ * Lee una fundamental o un bajo sin octava
+ * @param {string} text - Nombre de nota (ver parseNoteName)
+ * @returns {number|null} Clase de altura, o null si no es una nota sin octava
+ */
+function parsePitchClass(text) {
+    const note = parseNoteName(text);
+    return note && note.octave === null ? note.pitchClass : null;
+}
+
+/**
+ * Lee un cifrado de acorde
+ * @param {string} text - Cifrado (ej: "C", "Am7", "G/B", "Bbmaj7", "F#m7b5", "Lam")
+ * @returns {{symbol: string, root: number, quality: string, intervals: Array<number>,
+ *            bass: number}|null} Fundamental y bajo como clases de altura (0 = C ... 11 = B),
+ *          especie e intervalos desde la fundamental; null si no es un cifrado válido
+ */
+export function parseChordSymbol(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    const trimmed = text.trim();
+    const [body, bassText, extra] = trimmed.split('/');
+    if (extra !== undefined) {
+        return null;
+    }
+
+    // La fundamental más larga que deje un sufijo conocido ("Bb" + "m" y no "B" + "bm")
+    const rootMatch = body.match(ROOT_PATTERN);
+    if (!rootMatch) {
+        return null;
+    }
+    for (let length = rootMatch[1].length; length > 0; length--) {
+        const root = parsePitchClass(body.slice(0, length));
+        const quality = QUALITIES_BY_SUFFIX.get(body.slice(length));
+        if (root === null || !quality) {
+            continue;
+        }
+        const bass = bassText !== undefined ? parsePitchClass(bassText) : root;
+        if (bass === null) {
+            return null;
+        }
+        return { symbol: trimmed, root, quality: quality.name, intervals: [...quality.intervals], bass };
+    }
+    return null;
+}
+
+/**
+ * Notas de un acorde con el bajo dado: el resto en posición cerrada justo por encima
+ * @param {Object} chord - Acorde de parseChordSymbol
+ * @param {number} bass - Nota MIDI del bajo
+ * @returns {Array<number>} Notas MIDI de grave a agudo, empezando por el bajo
+ */
+function voiceAboveBass(chord, bass) {
+    const upper = [...new Set(chord.intervals.map(interval => (chord.root + interval) % 12))]
+        .map(pitchClass => bass + 1 + ((((pitchClass - bass - 1) % 12) + 12) % 12));
+    return [bass, ...upper.sort((a, b) => a - b)];
+}
+
+/**
+ * Coloca un acorde en notas MIDI por debajo de la melodía
+ * El bajo va en la octava que acaba una octava por debajo del techo y las notas del acorde,
+ * en posición cerrada justo por encima del bajo: como mucho una octava sobre él, así que
+ * todas quedan por debajo del techo. Un bajo por debajo de C2 sube de octava solo si el
+ * acorde sigue cabiendo entero bajo el techo (si no, se queda grave)
+ * @param {Object} chord - Acorde de parseChordSymbol
+ * @param {number} ceiling - Nota MIDI que ninguna nota del acorde alcanza (normalmente,
+ *        la más grave de la melodía)
+ * @returns {Array<number>} Notas MIDI de grave a agudo, empezando por el bajo
+ */
+export function voiceChord(chord, ceiling) {
+    const limit = Math.round(ceiling) - 12;
+    let bass = limit - 1 - ((((limit - 1 - chord.bass) % 12) + 12) % 12);
+    while (bass < MIN_BASS_MIDI) {
+        const raised = voiceAboveBass(chord, bass + 12);
+        if (raised[raised.length - 1] >= ceiling) {
+            break;
+        }
+        bass += 12;
+    }
+    return voiceAboveBass(chord, bass);
+}
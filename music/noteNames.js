@@ -0,0 +1,265 @@
+/**
+ * Nombres de nota: lectura y escritura
+ * Lee nombres en letras o en solfeo, con sostenidos, bemoles, dobles alteraciones y
+ * becuadros, en ASCII o con los símbolos Unicode: "A4", "Bb3", "E♭4", "Cx4", "F##2",
+ * "Sol3", "do#4", "Si♭2". Escribe una nota MIDI con la ortografía de una tonalidad
+ * (en Fa mayor, Bb y no A#) y en la notación elegida por el jugador (letras o solfeo).
+ *
+ * Internamente cada nota es una letra (0 = C ... 6 = B) más una alteración en semitonos.
+ * Para la ortografía se usa la posición en el círculo de quintas: C = 0, G = 1, F = -1...;
+ * subir una posición es añadir un sostenido a la tónica de la tonalidad.
+ */
+import { loadSetting, saveSetting } from '../config/settings.js';
+
+export const NOTATIONS = {
+    letter: {
+        label: 'Letras (C D E)',
+        names: ['C', 'D', 'E', 'F', 'G', 'A', 'B']
+    },
+    solfege: {
+        label: 'Solfeo (Do Re Mi)',
+        names: ['Do', 'Re', 'Mi', 'Fa', 'Sol', 'La', 'Si']
+    }
+};
+
+export const DEFAULT_NOTATION = 'letter';
+
+const LETTER_PITCH_CLASSES = [0, 2, 4, 5, 7, 9, 11];
+const LETTER_FIFTHS = [0, 2, 4, -1, 1, 3, 5]; // Posición de cada letra natural en el círculo de quintas
+const MINOR_FIFTHS_OFFSET = -3; // La menor tiene la armadura de Do mayor
+// Armadura preferida para cada tónica mayor dada como clase de altura (Db mejor que C#, F# igual que Gb)
+const KEY_FIFTHS_BY_PITCH_CLASS = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+
+// Nombres aceptados al leer (en minúsculas): letras y sílabas de solfeo (latinas y anglosajonas)
+const NAME_PATTERN = /^(sol|so|do|ut|re|mi|fa|la|si|ti|[a-g])/i;
+const SOLFEGE_LETTERS = { do: 0, ut: 0, re: 1, mi: 2, fa: 3, sol: 4, so: 4, la: 5, si: 6, ti: 6 };
+// Alteración y octava (opcional, puede ser negativa); sensible a mayúsculas: "b" es bemol, "B" no
+const REST_PATTERN = /^\s*(𝄪|𝄫|#{1,2}|♯{1,2}|b{1,2}|♭{1,2}|x|♮)?\s*(-?\d+)?\s*$/u;
+const ACCIDENTALS = {
+    '#': 1, '♯': 1, '##': 2, '♯♯': 2, 'x': 2, '𝄪': 2,
+    'b': -1, '♭': -1, 'bb': -2, '♭♭': -2, '𝄫': -2, '♮': 0
+};
+const ACCIDENTAL_SYMBOLS = {
+    ascii: { '-2': 'bb', '-1': 'b', '0': '', '1': '#', '2': 'x' },
+    unicode: { '-2': '𝄫', '-1': '♭', '0': '', '1': '♯', '2': '𝄪' }
+};
+
+const NOTATION_SETTING = 'noteNotation';
+
+const listeners = new Set();
+let notation = normalizeNotation(loadSetting(NOTATION_SETTING, DEFAULT_NOTATION));
+
+/**
+ * Valida una notación
+ * @param {*} value - Nombre de la notación
+ * @returns {string} Notación válida
+ */
+function normalizeNotation(value) {
+    return NOTATIONS[value] ? value : DEFAULT_NOTATION;
+}
+
+/**
+ * Notación con la que se escriben las notas
+ * @returns {string} 'letter' o 'solfege'
+ */
+export function getNoteNotation() {
+    return notation;
+}
+
+/**
+ * Cambia (y guarda) la notación con la que se escriben las notas
+ * @param {string} value - 'letter' o 'solfege' (ver NOTATIONS)
+ */
+export function setNoteNotation(value) {
+    const normalized = normalizeNotation(value);
+    if (normalized !== notation) {
+        notation = normalized;
+        saveSetting(NOTATION_SETTING, normalized);
+        listeners.forEach(listener => listener(normalized));
+    }
+}
+
+/**
+ * Se suscribe a los cambios de notación
+ * @param {Function} listener - Recibe la notación nueva
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function onNoteNotationChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Lee un nombre de nota
+ * @param {string} text - Nombre (ej: "Bb3", "E♭4", "Cx4", "Sol3", "do#4"); la octava es opcional
+ * @returns {{letter: number, accidental: number, octave: number|null, pitchClass: number,
+ *            midi: number|null}|null} Letra (0 = C ... 6 = B), alteración en semitonos,
+ *          octava, clase de altura y nota MIDI (null sin octava); null si no es un nombre de nota
+ */
+export function parseNoteName(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    const trimmed = text.trim();
+    const nameMatch = trimmed.match(NAME_PATTERN);
+    if (!nameMatch) {
+        return null;
+    }
+    const restMatch = trimmed.slice(nameMatch[0].length).match(REST_PATTERN);
+    if (!restMatch) {
+        return null;
+    }
+
+    const name = nameMatch[1].toLowerCase();
+    const letter = name.length === 1 ? 'cdefgab'.indexOf(name) : SOLFEGE_LETTERS[name];
+    const accidental = restMatch[1] ? ACCIDENTALS[restMatch[1]] : 0;
+    const octave = restMatch[2] !== undefined ? parseInt(restMatch[2], 10) : null;
+    const semitones = LETTER_PITCH_CLASSES[letter] + accidental;
+
+    return {
+        letter,
+        accidental,
+        octave,
+        pitchClass: ((semitones % 12) + 12) % 12,
+        midi: octave !== null ? (octave + 1) * 12 + semitones : null
+    };
+}
+
+/**
+ * Nota MIDI de un nombre de nota con octava
+ * @param {string} text - Nombre (ver parseNoteName)
+ * @returns {number|null} Nota MIDI (C4 = 60, Cb4 = 59), o null si no es válido o no tiene octava
+ */
+export function noteNameToMidi(text) {
+    const note = parseNoteName(text);
+    return note ? note.midi : null;
+}
+
+/**
+ * Armadura de una tonalidad, en quintas (positivo: sostenidos, negativo: bemoles)
+ * @param {string|number|null} key - Nombre de la tónica con modo opcional ("F", "Bb", "Re menor",
+ *        "F#m") o clase de altura de una tónica mayor (0 = C ... 11 = B); null = Do mayor
+ * @returns {number} Quintas
+ */
+export function keyToFifths(key) {
+    if (key === null || key === undefined) {
+        return 0;
+    }
+    if (typeof key === 'number') {
+        return KEY_FIFTHS_BY_PITCH_CLASS[((Math.round(key) % 12) + 12) % 12];
+    }
+
+    const match = String(key).trim().match(/^(.*?)\s*(m|min|minor|menor|maj|major|mayor)?$/i);
+    const tonic = parseNoteName(match[1]);
+    if (!tonic || tonic.octave !== null) {
+        return 0;
+    }
+    // "m" minúscula es menor; "M" mayúscula, mayor
+    const isMinor = Boolean(match[2]) && match[2] !== 'M' && !/^ma/i.test(match[2]);
+    return LETTER_FIFTHS[tonic.letter] + 7 * tonic.accidental + (isMinor ? MINOR_FIFTHS_OFFSET : 0);
+}
+
+/**
+ * Alteración de una posición del círculo de quintas: las naturales son F C G D A E B
+ * (-1 a 5) y cada 7 posiciones se añade un sostenido (o se quita, hacia los bemoles)
+ * @param {number} position - Posición (C = 0)
+ * @returns {number} Alteración en semitonos
+ */
+function positionToAccidental(position) {
+    return Math.floor((position + 1) / 7);
+}
+
+/**
+ * Elige la ortografía de una clase de altura en una tonalidad
+ * Las notas de la tonalidad se escriben como en su armadura (en Fa# mayor, E#); las
+ * cromáticas, con la ortografía de menos alteraciones (B y no Cb en Fa mayor) y, si
+ * empatan, con sostenidos en las tonalidades con sostenidos (y Do) y bemoles en las de bemoles
+ * @param {number} pitchClass - Clase de altura (0 = C ... 11 = B)
+ * @param {string|number|null} key - Tonalidad (ver keyToFifths)
+ * @returns {{letter: number, accidental: number}}
+ */
+export function spellPitchClass(pitchClass, key = null) {
+    const fifths = keyToFifths(key);
+    // Posiciones del círculo de quintas con esta clase de altura: q ≡ 7·pc (mod 12)
+    const base = (((7 * pitchClass) % 12) + 12) % 12;
+
+    // La tonalidad mayor con armadura f contiene las posiciones f-1 ... f+5
+    let position = null;
+    for (let q = base - 24; q <= base + 24; q += 12) {
+        if (q >= fifths - 1 && q <= fifths + 5) {
+            position = q;
+        }
+    }
+    if (position === null) {
+        // Cromática: la más cercana por el lado de los sostenidos y por el de los bemoles
+        let sharpSide = base - 24;
+        while (sharpSide <= fifths + 5) sharpSide += 12;
+        const flatSide = sharpSide - 12;
+        const sharpCount = Math.abs(positionToAccidental(sharpSide));
+        const flatCount = Math.abs(positionToAccidental(flatSide));
+        if (sharpCount !== flatCount) {
+            position = sharpCount < flatCount ? sharpSide : flatSide;
+        } else {
+            position = fifths >= 0 ? sharpSide : flatSide;
+        }
+    }
+
+    const accidental = positionToAccidental(position);
+    const letter = LETTER_FIFTHS.indexOf(position - 7 * accidental);
+    return { letter, accidental };
+}
+
+/**
+ * Escribe una letra con su alteración
+ * @param {{letter: number, accidental: number}} spelling - Ortografía (ver spellPitchClass)
+ * @param {Object} options
+ * @param {string} options.notation - 'letter' o 'solfege' (por defecto la elegida por el jugador)
+ * @param {boolean} options.unicode - Usar ♯ ♭ 𝄪 𝄫 en lugar de # b x bb
+ * @returns {string}
+ */
+function formatSpelling({ letter, accidental }, { notation: noteNotation = notation, unicode = false } = {}) {
+    const names = NOTATIONS[normalizeNotation(noteNotation)].names;
+    const symbols = unicode ? ACCIDENTAL_SYMBOLS.unicode : ACCIDENTAL_SYMBOLS.ascii;
+    const symbol = symbols[accidental] !== undefined
+        ? symbols[accidental]
+        : symbols[Math.sign(accidental)].repeat(Math.abs(accidental));
+    return `${names[letter]}${symbol}`;
+}
+
+/**
+ * Escribe una clase de altura (sin octava)
+ * @param {number} pitchClass - Clase de altura (0 = C ... 11 = B)
+ * @param {Object} options - { key, notation, unicode } (ver spellPitchClass y formatSpelling)
+ * @returns {string} Ej: "Bb", "Si♭"
+ */
+export function formatPitchClass(pitchClass, { key = null, ...options } = {}) {
+    return formatSpelling(spellPitchClass(pitchClass, key), options);
+}
+
+/**
+ * Ortografía de una nota MIDI: nombre y octava por separado
+ * La octava es la de la letra: B#3 suena como C4 pero es de la octava 3
+ * @param {number} midi - Nota MIDI (se redondea)
+ * @param {Object} options - { key, notation, unicode } (ver spellPitchClass y formatSpelling)
+ * @returns {{name: string, octave: number}}
+ */
+export function spellNote(midi, { key = null, ...options } = {}) {
+    const rounded = Math.round(midi);
+    const spelling = spellPitchClass(((rounded % 12) + 12) % 12, key);
+    return {
+        name: formatSpelling(spelling, options),
+        octave: Math.floor((rounded - spelling.accidental) / 12) - 1
+    };
+}
+
+/**
+ * Escribe una nota MIDI con octava
+ * @param {number} midi - Nota MIDI (se redondea)
+ * @param {Object} options - { key, notation, unicode } (ver spellPitchClass y formatSpelling)
+ * @returns {string} Ej: "C#4", "Db4" (con key "F"), "Sol3" (en solfeo)
+ */
+export function formatNoteName(midi, options = {}) {
+    const { name, octave } = spellNote(midi, options);
+    return `${name}${octave}`;
+}
@@ -0,0 +1,169 @@
+/**
+ * Segmentación en notas: convierte la traza de pitch frame a frame en notas cantadas
+ * Trabaja sobre el historial de la partida (fullFrequencyHistory / fullTimeHistory),
+ * una voz por índice. Una nota empieza al salir del silencio y termina al volver a él
+ * o cuando el pitch se aleja de la nota durante un tiempo (un cambio de nota ligado).
+ * Los desvíos breves (un frame dudoso, el inicio de un vibrato) no parten la nota, y los
+ * trozos demasiado cortos (portamentos, golpes de glotis) no cuentan como notas.
+ * Cada nota lleva su inicio y final, el pitch mediano y lo estable que fue.
+ */
+import { frequencyToMidi, midiToFrequency } from './pitch.js';
+import { frequencyToScaleNote } from './tuningSystems.js';
+
+const MAX_GAP_MS = 80; // Silencio que se tolera dentro de una nota (consonantes, frames dudosos)
+const NOTE_CHANGE_CENTS = 70; // Distancia a la mediana de la nota a partir de la que se cambia de nota
+const NOTE_CHANGE_MS = 70; // Tiempo que debe mantenerse el cambio para partir la nota
+const MIN_NOTE_MS = 100; // Duración mínima de una nota
+const STABLE_CENTS = 25; // Margen alrededor de la mediana para considerar estable un frame
+
+/**
+ * Mediana de una lista de números
+ * @param {Array<number>} values - Valores
+ * @returns {number} Mediana
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Frecuencia de una voz en un frame del historial
+ * @param {Array<number>|number|null} frame - Frecuencias del frame (o una sola)
+ * @param {number} voice - Índice de la voz
+ * @returns {number|null} Hz, o null si la voz no suena
+ */
+function voiceFrequency(frame, voice) {
+    const frequency = Array.isArray(frame) ? frame[voice] : (voice === 0 ? frame : null);
+    return frequency > 0 ? frequency : null;
+}
+
+/**
+ * Construye una nota a partir de sus frames
+ * @param {Array<{index: number, cents: number}>} frames - Frames sonoros de la nota
+ * @param {Array<number>} timeHistory - Timestamps del historial (ms)
+ * @param {number} voice - Índice de la voz
+ * @returns {Object} Nota (ver segmentNotes)
+ */
+function buildNote(frames, timeHistory, voice) {
+    const first = frames[0].index;
+    const last = frames[frames.length - 1].index;
+    const cents = frames.map(frame => frame.cents);
+    const centerCents = median(cents);
+    const frequency = midiToFrequency(centerCents / 100);
+    const deviation = Math.sqrt(cents.reduce((sum, value) => sum + (value - centerCents) ** 2, 0) / cents.length);
+    const stableFrames = cents.filter(value => Math.abs(value - centerCents) <= STABLE_CENTS).length;
+
+    // El final es el frame siguiente al último sonoro (cuando la nota deja de sonar)
+    const onset = timeHistory[first];
+    const offset = last + 1 < timeHistory.length ? timeHistory[last + 1] : timeHistory[last];
+    const scaleNote = frequencyToScaleNote(frequency);
+
+    return {
+        voice,
+        startIndex: first,
+        endIndex: last,
+        onset,
+        offset,
+        duration: offset - onset,
+        frequency,
+        name: scaleNote ? scaleNote.name : null,
+        cents: scaleNote ? scaleNote.cents : 0,
+        deviation,
+        stability: stableFrames / cents.length
+    };
+}
+
+/**
+ * Segmenta una voz del historial en notas
+ * @param {Array<Array<number>>} frequencyHistory - Frecuencias por frame
+ * @param {Array<number>} timeHistory - Timestamps por frame (ms)
+ * @param {number} voice - Índice de la voz
+ * @returns {Array<Object>} Notas de la voz en orden (ver segmentNotes)
+ */
+function segmentVoice(frequencyHistory, timeHistory, voice) {
+    const notes = [];
+    let current = []; // Frames de la nota en curso
+    let pending = []; // Frames alejados de la nota en curso (posible nota nueva)
+    let lastVoicedTime = null;
+
+    const closeNote = (frames) => {
+        if (frames.length === 0) {
+            return;
+        }
+        const note = buildNote(frames, timeHistory, voice);
+        if (note.duration >= MIN_NOTE_MS) {
+            notes.push(note);
+        }
+    };
+
+    for (let index = 0; index < frequencyHistory.length; index++) {
+        const frequency = voiceFrequency(frequencyHistory[index], voice);
+        const time = timeHistory[index];
+
+        if (frequency === null) {
+            if (lastVoicedTime !== null && time - lastVoicedTime > MAX_GAP_MS) {
+                closeNote(current.concat(pending));
+                current = [];
+                pending = [];
+                lastVoicedTime = null;
+            }
+            continue;
+        }
+
+        const frame = { index, cents: frequencyToMidi(frequency) * 100 };
+        lastVoicedTime = time;
+
+        if (current.length === 0) {
+            current.push(frame);
+            continue;
+        }
+
+        const center = median(current.map(f => f.cents));
+        if (Math.abs(frame.cents - center) <= NOTE_CHANGE_CENTS) {
+            // Vuelve a la nota: el desvío era breve y se queda en ella
+            current.push(...pending, frame);
+            pending = [];
+            continue;
+        }
+
+        // Los frames alejados se agrupan solo si están cerca entre sí (la nota nueva es una)
+        if (pending.length > 0 && Math.abs(frame.cents - median(pending.map(f => f.cents))) > NOTE_CHANGE_CENTS) {
+            current.push(...pending);
+            pending = [];
+        }
+        pending.push(frame);
+
+        if (timeHistory[pending[pending.length - 1].index] - timeHistory[pending[0].index] >= NOTE_CHANGE_MS) {
+            closeNote(current);
+            current = pending;
+            pending = [];
+        }
+    }
+
+    closeNote(current.concat(pending));
+    return notes;
+}
+
+/**
+ * Segmenta el historial de una partida en notas cantadas
+ * @param {Array<Array<number>>} frequencyHistory - Frecuencias por frame (una por voz, null si calla)
+ * @param {Array<number>} timeHistory - Timestamps por frame (ms desde el inicio del juego)
+ * @returns {Array<Object>} Notas ordenadas por inicio: { voice, startIndex, endIndex, onset, offset,
+ *          duration, frequency, name, cents, deviation, stability }. onset/offset/duration en ms;
+ *          frequency es la mediana (Hz); name y cents, la nota más cercana del sistema de afinación y
+ *          la desviación respecto a ella; deviation, la desviación típica del pitch en cents;
+ *          stability, la fracción de frames a menos de 25 cents de la mediana (0-1)
+ */
+export function segmentNotes(frequencyHistory, timeHistory) {
+    const voiceCount = frequencyHistory.reduce(
+        (count, frame) => Math.max(count, Array.isArray(frame) ? frame.length : (frame ? 1 : 0)),
+        0
+    );
+
+    const notes = [];
+    for (let voice = 0; voice < voiceCount; voice++) {
+        notes.push(...segmentVoice(frequencyHistory, timeHistory, voice));
+    }
+    return notes.sort((a, b) => a.onset - b.onset || a.voice - b.voice);
+}
@@ -0,0 +1,144 @@
+/**
+ * Afinación de referencia (diapasón) y conversiones entre frecuencia, MIDI y notas
+ * Todas las conversiones de la aplicación pasan por aquí para que el La de
+ * referencia sea uno solo: coros que afinan a 442, conjuntos barrocos a 415...
+ */
+import { loadSetting, saveSetting } from '../config/settings.js';
+import { formatNoteName } from './noteNames.js';
+
+export const DEFAULT_REFERENCE_PITCH = 440;
+export const MIN_REFERENCE_PITCH = 400;
+export const MAX_REFERENCE_PITCH = 480;
+
+export const REFERENCE_PITCH_PRESETS = [
+    { value: 440, label: '440 Hz (estándar)' },
+    { value: 442, label: '442 Hz (coros y orquestas)' },
+    { value: 443, label: '443 Hz (orquestas centroeuropeas)' },
+    { value: 432, label: '432 Hz' },
+    { value: 415, label: '415 Hz (barroco)' }
+];
+
+const REFERENCE_MIDI = 69; // A4
+const REFERENCE_PITCH_SETTING = 'referencePitch';
+
+const listeners = new Set();
+let referencePitch = normalizeReferencePitch(loadSetting(REFERENCE_PITCH_SETTING, DEFAULT_REFERENCE_PITCH));
+
+/**
+ * Valida una frecuencia de referencia
+ * @param {*} value - Valor leído de los ajustes o de la interfaz
+ * @returns {number} Frecuencia válida (la estándar si no lo es)
+ */
+function normalizeReferencePitch(value) {
+    const hz = Number(value);
+    if (!Number.isFinite(hz) || hz < MIN_REFERENCE_PITCH || hz > MAX_REFERENCE_PITCH) {
+        return DEFAULT_REFERENCE_PITCH;
+    }
+    return hz;
+}
+
+/**
+ * Frecuencia del La4 de referencia
+ * @returns {number} Hz
+ */
+export function getReferencePitch() {
+    return referencePitch;
+}
+
+/**
+ * Cambia (y guarda) la frecuencia del La4 de referencia
+ * @param {number} hz - Frecuencia entre MIN_REFERENCE_PITCH y MAX_REFERENCE_PITCH
+ * @returns {number} Frecuencia aplicada
+ */
+export function setReferencePitch(hz) {
+    const value = normalizeReferencePitch(hz);
+    if (value === referencePitch) {
+        return value;
+    }
+
+    referencePitch = value;
+    saveSetting(REFERENCE_PITCH_SETTING, value);
+    listeners.forEach(listener => listener(value));
+    return value;
+}
+
+/**
+ * Se suscribe a los cambios de la afinación de referencia
+ * @param {Function} listener - Recibe la nueva frecuencia
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function onReferencePitchChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Convierte frecuencia a MIDI fraccionario (según la afinación de referencia)
+ * @param {number} frequency - Frecuencia en Hz
+ * @returns {number} Nota MIDI
+ */
+export function frequencyToMidi(frequency) {
+    return REFERENCE_MIDI + 12 * Math.log2(frequency / referencePitch);
+}
+
+/**
+ * Convierte MIDI (entero o fraccionario) a frecuencia (según la afinación de referencia)
+ * @param {number} midi - Nota MIDI (69 = A4)
+ * @returns {number} Frecuencia en Hz
+ */
+export function midiToFrequency(midi) {
+    return referencePitch * Math.pow(2, (midi - REFERENCE_MIDI) / 12);
+}
+
+/**
+ * Nombre de una nota MIDI entera (con sostenidos, en la notación elegida; ver noteNames.js)
+ * @param {number} midi - Nota MIDI
+ * @returns {string} Nombre con octava (ej: "C#4" o "Do#4")
+ */
+export function midiToNoteName(midi) {
+    return formatNoteName(midi);
+}
+
+/**
+ * Busca la nota más cercana a una frecuencia en temperamento igual y la desviación respecto a ella
+ * (para nombrar según el sistema de afinación elegido, ver frequencyToScaleNote en tuningSystems.js)
+ * @param {number} frequency - Frecuencia en Hz
+ * @returns {{name: string, midi: number, cents: number}|null} Nota, MIDI entero y
+ *          desviación en cents (negativa si está baja); null si no hay frecuencia
+ */
+export function frequencyToNote(frequency) {
+    if (!frequency || frequency <= 0) {
+        return null;
+    }
+
+    const exactMidi = frequencyToMidi(frequency);
+    const midi = Math.round(exactMidi);
+    return {
+        name: midiToNoteName(midi),
+        midi,
+        cents: Math.round((exactMidi - midi) * 100)
+    };
+}
+
+/**
+ * Formatea una desviación en cents con signo (ej: "−12¢", "+5¢", "±0¢")
+ * @param {number} cents - Desviación en cents
+ * @returns {string}
+ */
+export function formatCents(cents) {
+    const rounded = Math.round(cents);
+    if (rounded === 0) {
+        return '±0¢';
+    }
+    // Signo menos tipográfico (U+2212), del mismo ancho que el más
+    return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded)}¢`;
+}
+
+/**
+ * Formatea una nota con su desviación (ej: "E4 −12¢")
+ * @param {{name: string, cents: number}|null} note - Resultado de frequencyToNote
+ * @returns {string} Texto de la nota o "--" si no hay nota
+ */
+export function formatNote(note) {
+    return note ? `${note.name} ${formatCents(note.cents)}` : '--';
+}
@@ -0,0 +1,233 @@
+/**
+ * Rangos de instrumento: qué tesitura escucha la aplicación
+ * Un solo rango configura a la vez los límites del detector, el filtro de frecuencias
+ * de los juegos, las notas objetivo y la gráfica, para que sea posible jugar con un bajo
+ * eléctrico, un violín o silbando. La tesitura (notas MIDI, sigue al La de referencia) es
+ * lo que se dibuja y de donde salen los objetivos; el detector escucha un poco más
+ * (en Hz) para seguir la traza cuando el jugador se sale por los bordes.
+ */
+import { loadSetting, saveSetting } from '../config/settings.js';
+import { midiToFrequency } from './pitch.js';
+
+export const RANGE_PRESETS = {
+    voice: {
+        label: 'Voz (general)',
+        description: 'De F2 a C5: cubre casi cualquier voz sin ajustar nada.',
+        lowest: 41, // F2
+        highest: 72, // C5
+        minFrequency: 80,
+        maxFrequency: 1000
+    },
+    bass: {
+        label: 'Voz de bajo',
+        description: 'De E2 a E4.',
+        lowest: 40, // E2
+        highest: 64, // E4
+        minFrequency: 70,
+        maxFrequency: 400
+    },
+    soprano: {
+        label: 'Soprano',
+        description: 'De C4 a C6.',
+        lowest: 60, // C4
+        highest: 84, // C6
+        minFrequency: 230,
+        maxFrequency: 1200
+    },
+    whistle: {
+        label: 'Silbido',
+        description: 'De C5 a C7. El silbido es casi una senoide pura: se detecta muy bien.',
+        lowest: 72, // C5
+        highest: 96, // C7
+        minFrequency: 450,
+        maxFrequency: 2400
+    },
+    guitar: {
+        label: 'Guitarra',
+        description: 'De E2 (sexta al aire) a E6 (traste 24 de la primera).',
+        lowest: 40, // E2
+        highest: 88, // E6
+        minFrequency: 75,
+        maxFrequency: 1400
+    },
+    bassGuitar: {
+        label: 'Bajo eléctrico',
+        description: 'De E1 a C4. El Mi grave (41 Hz) está en el límite de la ventana de análisis y puede detectarse una octava arriba.',
+        lowest: 28, // E1
+        highest: 60, // C4
+        minFrequency: 38,
+        maxFrequency: 300
+    },
+    violin: {
+        label: 'Violín',
+        description: 'De G3 (cuarta al aire) a A6.',
+        lowest: 55, // G3
+        highest: 93, // A6
+        minFrequency: 180,
+        maxFrequency: 2000
+    },
+    flute: {
+        label: 'Flauta',
+        description: 'De C4 a C7.',
+        lowest: 60, // C4
+        highest: 96, // C7
+        minFrequency: 240,
+        maxFrequency: 2200
+    },
+    custom: {
+        label: 'Personalizado',
+        description: 'Elige la nota más grave y la más aguda.'
+    }
+};
+
+export const DEFAULT_RANGE_PRESET = 'voice';
+
+export const MIN_RANGE_MIDI = 24; // C1
+export const MAX_RANGE_MIDI = 108; // C8
+const MIN_RANGE_SPAN = 12; // Semitonos: al menos una octava entre los extremos
+const DETECTION_MARGIN = 2; // Semitonos que escucha el detector fuera del rango personalizado
+
+const RANGE_PRESET_SETTING = 'rangePreset';
+const CUSTOM_RANGE_SETTING = 'customRange';
+
+const listeners = new Set();
+let customRange = normalizeCustomRange(loadSetting(CUSTOM_RANGE_SETTING, null));
+let rangePreset = normalizeRangePreset(loadSetting(RANGE_PRESET_SETTING, DEFAULT_RANGE_PRESET));
+
+/**
+ * Valida un nombre de rango
+ * @param {*} value - Nombre del rango
+ * @returns {string} Rango válido
+ */
+function normalizeRangePreset(value) {
+    return RANGE_PRESETS[value] ? value : DEFAULT_RANGE_PRESET;
+}
+
+/**
+ * Valida un rango personalizado (si no lo es, se parte del rango de voz)
+ * @param {*} range - { lowest, highest } en notas MIDI
+ * @returns {{lowest: number, highest: number}} Rango válido
+ */
+function normalizeCustomRange(range) {
+    const lowest = Math.round(Number(range && range.lowest));
+    const highest = Math.round(Number(range && range.highest));
+    if (!Number.isFinite(lowest) || !Number.isFinite(highest) ||
+        lowest < MIN_RANGE_MIDI || highest > MAX_RANGE_MIDI || highest - lowest < MIN_RANGE_SPAN) {
+        return { lowest: RANGE_PRESETS.voice.lowest, highest: RANGE_PRESETS.voice.highest };
+    }
+    return { lowest, highest };
+}
+
+/**
+ * Avisa a los suscriptores de que cambió el rango
+ */
+function notifyListeners() {
+    const range = getRange();
+    listeners.forEach(listener => listener(range));
+}
+
+/**
+ * Rango activo
+ * @returns {{preset: string, label: string, lowest: number, highest: number,
+ *            minFrequency: number, maxFrequency: number}} lowest/highest: notas MIDI de la
+ *          tesitura (gráfica y objetivos); minFrequency/maxFrequency: límites del detector en Hz
+ */
+export function getRange() {
+    const definition = RANGE_PRESETS[rangePreset];
+    if (rangePreset !== 'custom') {
+        return {
+            preset: rangePreset,
+            label: definition.label,
+            lowest: definition.lowest,
+            highest: definition.highest,
+            minFrequency: definition.minFrequency,
+            maxFrequency: definition.maxFrequency
+        };
+    }
+    return {
+        preset: rangePreset,
+        label: definition.label,
+        lowest: customRange.lowest,
+        highest: customRange.highest,
+        minFrequency: Math.floor(midiToFrequency(customRange.lowest - DETECTION_MARGIN)),
+        maxFrequency: Math.ceil(midiToFrequency(customRange.highest + DETECTION_MARGIN))
+    };
+}
+
+/**
+ * Cambia (y guarda) el rango
+ * @param {string} preset - Nombre del rango (ver RANGE_PRESETS)
+ */
+export function setRangePreset(preset) {
+    const value = normalizeRangePreset(preset);
+    if (value !== rangePreset) {
+        rangePreset = value;
+        saveSetting(RANGE_PRESET_SETTING, value);
+        notifyListeners();
+    }
+}
+
+/**
+ * Cambia (y guarda) los extremos del rango personalizado y lo activa
+ * @param {number} lowest - Nota MIDI más grave
+ * @param {number} highest - Nota MIDI más aguda (al menos una octava por encima)
+ * @returns {boolean} true si el rango es válido y se aplicó
+ */
+export function setCustomRange(lowest, highest) {
+    const range = normalizeCustomRange({ lowest, highest });
+    if (range.lowest !== Math.round(lowest) || range.highest !== Math.round(highest)) {
+        return false;
+    }
+
+    customRange = range;
+    saveSetting(CUSTOM_RANGE_SETTING, customRange);
+    rangePreset = 'custom';
+    saveSetting(RANGE_PRESET_SETTING, rangePreset);
+    notifyListeners();
+    return true;
+}
+
+/**
+ * Rango personalizado guardado
+ * @returns {{lowest: number, highest: number}}
+ */
+export function getCustomRange() {
+    return { ...customRange };
+}
+
+/**
+ * Se suscribe a los cambios de rango
+ * @param {Function} listener - Recibe el rango nuevo (getRange)
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function onRangeChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Indica si una frecuencia está dentro de los límites del detector
+ * @param {number} frequency - Frecuencia en Hz
+ * @returns {boolean}
+ */
+export function isInDetectionRange(frequency) {
+    const { minFrequency, maxFrequency } = getRange();
+    return frequency >= minFrequency && frequency <= maxFrequency;
+}
+
+/**
+ * Octavas que hay que subir o bajar una melodía para que quepa en la tesitura
+ * (la más cercana a la original; si no cabe entera, la que mejor la centra)
+ * @param {number} lowestMidi - Nota más grave de la melodía
+ * @param {number} highestMidi - Nota más aguda de la melodía
+ * @returns {number} Octavas (positivo hacia arriba)
+ */
+export function getOctaveShift(lowestMidi, highestMidi) {
+    const { lowest, highest } = getRange();
+    const fits = (octaves) => lowestMidi + octaves * 12 >= lowest && highestMidi + octaves * 12 <= highest;
+    for (let distance = 0; distance <= 8; distance++) {
+        if (fits(distance)) return distance;
+        if (fits(-distance)) return -distance;
+    }
+    return Math.round(((lowest + highest) - (lowestMidi + highestMidi)) / 2 / 12);
+}
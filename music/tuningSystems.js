@@ -0,0 +1,384 @@
+/**
+ * Sistemas de afinación: qué notas existen y a qué frecuencia suenan
+ * Cada sistema es una tabla de grados en cents desde la tónica que se repite cada
+ * periodo (normalmente la octava, 1200 cents). La tónica se ancla a su frecuencia en
+ * temperamento igual según el La de referencia (ver pitch.js), así que con 12-TET
+ * todo coincide con las conversiones MIDI de siempre.
+ *
+ * Las notas se identifican por su paso: un entero que cuenta grados desde la tónica
+ * de la octava 4 (paso 0) hacia arriba o hacia abajo.
+ */
+import { loadSetting, saveSetting } from '../config/settings.js';
+import { midiToFrequency } from './pitch.js';
+import { spellNote, onNoteNotationChange } from './noteNames.js';
+
+/**
+ * Grados de un temperamento igual
+ * @param {number} divisions - Divisiones de la octava
+ * @returns {Array<number>} Cents de cada grado
+ */
+function equalDegrees(divisions) {
+    return Array.from({ length: divisions }, (_, degree) => degree * 1200 / divisions);
+}
+
+/**
+ * Convierte una proporción de frecuencias a cents
+ * @param {number} ratio - Proporción (ej: 3/2)
+ * @returns {number} Cents
+ */
+function ratioToCents(ratio) {
+    return 1200 * Math.log2(ratio);
+}
+
+export const TUNING_SYSTEMS = {
+    equal12: {
+        label: 'Temperamento igual (12-TET)',
+        description: 'Los 12 semitonos iguales del piano. Sirve para cualquier tonalidad.',
+        naming: 'chromatic',
+        degrees: equalDegrees(12)
+    },
+    just: {
+        label: 'Entonación justa',
+        description: 'Proporciones puras (5-límite) desde la tónica: terceras y quintas sin batidos, como afina un coro a cappella. Solo vale para la tonalidad de la tónica elegida.',
+        naming: 'chromatic',
+        degrees: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8].map(ratioToCents)
+    },
+    pythagorean: {
+        label: 'Pitagórica',
+        description: 'Todo a partir de quintas puras (3/2) desde la tónica. Quintas perfectas y terceras altas, como en la música medieval.',
+        naming: 'chromatic',
+        degrees: [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128].map(ratioToCents)
+    },
+    equal24: {
+        label: 'Cuartos de tono (24-TET)',
+        description: 'La octava dividida en 24 partes iguales, como en la práctica del maqam. "↑" indica un cuarto de tono por encima (ej: E↑4).',
+        naming: 'quarterTone',
+        degrees: equalDegrees(24)
+    },
+    custom: {
+        label: 'Escala personalizada (Scala)',
+        description: 'Una tabla de cents o proporciones cargada desde un archivo .scl. Las notas se nombran por su grado (1º = tónica).',
+        naming: 'degree',
+        degrees: null // Se toman de la escala cargada
+    }
+};
+
+export const DEFAULT_TUNING_SYSTEM = 'equal12';
+
+const TUNING_SYSTEM_SETTING = 'tuningSystem';
+const TUNING_TONIC_SETTING = 'tuningTonic';
+const CUSTOM_SCALE_SETTING = 'customScale';
+const TONIC_OCTAVE_MIDI = 60; // La tónica de la octava 4 es el paso 0 (C4 = MIDI 60)
+const MAX_SCALE_DEGREES = 128;
+const RANGE_TOLERANCE = 1e-9; // Margen relativo para no perder los extremos del rango por redondeo
+
+const listeners = new Set();
+let customScale = normalizeCustomScale(loadSetting(CUSTOM_SCALE_SETTING, null));
+let tuningSystem = normalizeTuningSystem(loadSetting(TUNING_SYSTEM_SETTING, DEFAULT_TUNING_SYSTEM));
+let tonic = normalizeTonic(loadSetting(TUNING_TONIC_SETTING, 0));
+
+// Cambiar de letras a solfeo cambia los nombres de los pasos: se avisa como un cambio de afinación
+onNoteNotationChange(() => notifyListeners());
+
+/**
+ * Valida un sistema de afinación (la escala personalizada solo si hay una cargada)
+ * @param {*} value - Nombre del sistema
+ * @returns {string} Sistema válido
+ */
+function normalizeTuningSystem(value) {
+    if (!TUNING_SYSTEMS[value] || (value === 'custom' && !customScale)) {
+        return DEFAULT_TUNING_SYSTEM;
+    }
+    return value;
+}
+
+/**
+ * Valida una tónica (clase de altura: 0 = C ... 11 = B)
+ * @param {*} value - Tónica
+ * @returns {number} Tónica válida (C si no lo es)
+ */
+function normalizeTonic(value) {
+    const pitchClass = Number(value);
+    return Number.isInteger(pitchClass) && pitchClass >= 0 && pitchClass < 12 ? pitchClass : 0;
+}
+
+/**
+ * Valida una escala personalizada guardada
+ * @param {*} scale - { description, degrees, period }
+ * @returns {Object|null} Escala válida o null
+ */
+function normalizeCustomScale(scale) {
+    if (!scale || !Array.isArray(scale.degrees) || scale.degrees.length === 0 ||
+        !scale.degrees.every(Number.isFinite) || !(scale.period > 0)) {
+        return null;
+    }
+    return { description: String(scale.description || ''), degrees: scale.degrees, period: scale.period };
+}
+
+/**
+ * Avisa a los suscriptores de que cambió la afinación
+ */
+function notifyListeners() {
+    const tuning = getTuning();
+    listeners.forEach(listener => listener(tuning));
+}
+
+/**
+ * Interpreta una escala en formato Scala (.scl)
+ * Líneas que empiezan por "!" son comentarios; la primera línea útil es la descripción,
+ * la segunda el número de notas y las siguientes cada nota: en cents si llevan punto
+ * (ej: "701.955") o como proporción (ej: "3/2", "2"). La última nota es el periodo
+ * (normalmente 2/1, la octava); la tónica (1/1) no se escribe.
+ * @param {string} text - Contenido del archivo
+ * @returns {{description: string, degrees: Array<number>, period: number}} Grados en cents
+ *          (el primero es 0, la tónica) y periodo en cents
+ * @throws {Error} Si el archivo no es una escala válida
+ */
+export function parseScala(text) {
+    const lines = String(text)
+        .split(/\r?\n/)
+        .filter(line => !line.startsWith('!'));
+
+    if (lines.length < 2) {
+        throw new Error('El archivo no tiene el formato de Scala (.scl)');
+    }
+
+    const description = lines[0].trim();
+    const count = parseInt(lines[1].trim(), 10);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SCALE_DEGREES) {
+        throw new Error('Número de notas no válido en la escala');
+    }
+
+    const pitches = lines
+        .slice(2)
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .slice(0, count)
+        .map(line => {
+            const value = line.split(/\s+/)[0];
+            let cents;
+            if (value.includes('.')) {
+                cents = parseFloat(value);
+            } else {
+                const [numerator, denominator = '1'] = value.split('/');
+                const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+                cents = ratio > 0 ? ratioToCents(ratio) : NaN;
+            }
+            if (!Number.isFinite(cents)) {
+                throw new Error(`Nota no válida en la escala: "${line}"`);
+            }
+            return cents;
+        });
+
+    if (pitches.length < count) {
+        throw new Error(`La escala anuncia ${count} notas pero solo trae ${pitches.length}`);
+    }
+
+    const period = pitches[count - 1];
+    const degrees = [0, ...pitches.slice(0, count - 1)];
+    if (period <= 0 || degrees.some((cents, index) => index > 0 && (cents <= degrees[index - 1] || cents >= period))) {
+        throw new Error('Las notas de la escala deben ir de grave a agudo y quedar por debajo del periodo');
+    }
+
+    return { description, degrees, period };
+}
+
+/**
+ * Afinación activa
+ * @returns {{system: string, label: string, naming: string, tonic: number,
+ *            degrees: Array<number>, period: number}} Grados en cents desde la tónica y periodo en cents
+ */
+export function getTuning() {
+    const definition = TUNING_SYSTEMS[tuningSystem];
+    const isCustom = tuningSystem === 'custom';
+    return {
+        system: tuningSystem,
+        label: isCustom && customScale.description ? customScale.description : definition.label,
+        naming: definition.naming,
+        tonic,
+        degrees: isCustom ? customScale.degrees : definition.degrees,
+        period: isCustom ? customScale.period : 1200
+    };
+}
+
+/**
+ * Cambia (y guarda) el sistema de afinación
+ * @param {string} system - Nombre del sistema (ver TUNING_SYSTEMS)
+ * @returns {boolean} true si se aplicó ('custom' necesita una escala cargada)
+ */
+export function setTuningSystem(system) {
+    if (normalizeTuningSystem(system) !== system) {
+        return false;
+    }
+    if (system !== tuningSystem) {
+        tuningSystem = system;
+        saveSetting(TUNING_SYSTEM_SETTING, system);
+        notifyListeners();
+    }
+    return true;
+}
+
+/**
+ * Cambia (y guarda) la tónica
+ * @param {number} pitchClass - Clase de altura (0 = C ... 11 = B)
+ */
+export function setTuningTonic(pitchClass) {
+    const value = normalizeTonic(pitchClass);
+    if (value !== tonic) {
+        tonic = value;
+        saveSetting(TUNING_TONIC_SETTING, value);
+        notifyListeners();
+    }
+}
+
+/**
+ * Carga (y guarda) una escala personalizada y la activa
+ * @param {string} text - Contenido de un archivo .scl
+ * @returns {Object} Escala interpretada
+ * @throws {Error} Si el archivo no es una escala válida
+ */
+export function loadCustomScale(text) {
+    customScale = parseScala(text);
+    saveSetting(CUSTOM_SCALE_SETTING, customScale);
+    tuningSystem = 'custom';
+    saveSetting(TUNING_SYSTEM_SETTING, tuningSystem);
+    notifyListeners();
+    return customScale;
+}
+
+/**
+ * Escala personalizada cargada
+ * @returns {Object|null} { description, degrees, period } o null
+ */
+export function getCustomScale() {
+    return customScale;
+}
+
+/**
+ * Se suscribe a los cambios de sistema, tónica, escala personalizada o notación de los nombres
+ * (los cambios del La de referencia se avisan en pitch.js)
+ * @param {Function} listener - Recibe la afinación nueva (getTuning)
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function onTuningChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Frecuencia de la tónica de la octava 4 (paso 0)
+ * @returns {number} Hz
+ */
+function getBaseFrequency() {
+    return midiToFrequency(TONIC_OCTAVE_MIDI + tonic);
+}
+
+/**
+ * Frecuencia de un paso de la escala
+ * @param {number} step - Paso (0 = tónica de la octava 4)
+ * @returns {number} Hz
+ */
+export function stepToFrequency(step) {
+    const { degrees, period } = getTuning();
+    const octave = Math.floor(step / degrees.length);
+    const degree = step - octave * degrees.length;
+    return getBaseFrequency() * Math.pow(2, (octave * period + degrees[degree]) / 1200);
+}
+
+/**
+ * Nombre de un paso de la escala
+ * Cromáticos: nombre de la nota (ej: "F#3"); cuartos de tono: "E↑4"; escalas
+ * personalizadas: grado y número de periodo (ej: "3º4")
+ * @param {number} step - Paso
+ * @returns {string}
+ */
+export function stepToName(step) {
+    const { naming, degrees } = getTuning();
+
+    // Las notas se escriben con la ortografía de la tonalidad de la tónica (en Fa, Bb y no A#)
+    if (naming === 'chromatic' && degrees.length === 12) {
+        const { name, octave } = spellNote(TONIC_OCTAVE_MIDI + tonic + step, { key: tonic });
+        return `${name}${octave}`;
+    }
+
+    if (naming === 'quarterTone') {
+        const quarter = 2 * (TONIC_OCTAVE_MIDI + tonic) + step;
+        const { name, octave } = spellNote(Math.floor(quarter / 2), { key: tonic });
+        const suffix = quarter % 2 !== 0 ? '↑' : '';
+        return `${name}${suffix}${octave}`;
+    }
+
+    const octave = Math.floor(step / degrees.length);
+    return `${step - octave * degrees.length + 1}º${octave + 4}`;
+}
+
+/**
+ * Busca el paso de la escala más cercano a una frecuencia
+ * @param {number} frequency - Frecuencia en Hz
+ * @returns {{step: number, name: string, frequency: number, cents: number}|null} Paso, nombre,
+ *          frecuencia exacta del paso y desviación en cents (negativa si está baja);
+ *          null si no hay frecuencia
+ */
+export function frequencyToScaleNote(frequency) {
+    if (!frequency || frequency <= 0) {
+        return null;
+    }
+
+    const { degrees, period } = getTuning();
+    const centsFromBase = 1200 * Math.log2(frequency / getBaseFrequency());
+    const octave = Math.floor(centsFromBase / period);
+    const withinPeriod = centsFromBase - octave * period;
+
+    // Grado más cercano dentro del periodo (o la tónica del periodo siguiente)
+    let bestDegree = 0;
+    let bestDistance = Infinity;
+    [...degrees, period].forEach((cents, degree) => {
+        const distance = Math.abs(withinPeriod - cents);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            bestDegree = degree;
+        }
+    });
+
+    const step = octave * degrees.length + bestDegree;
+    const stepFrequency = stepToFrequency(step);
+    return {
+        step,
+        name: stepToName(step),
+        frequency: stepFrequency,
+        cents: Math.round(1200 * Math.log2(frequency / stepFrequency))
+    };
+}
+
+/**
+ * Lleva una frecuencia a la nota de la escala más cercana
+ * (p. ej. las notas de una melodía escrita en temperamento igual)
+ * @param {number} frequency - Frecuencia en Hz
+ * @returns {number|null} Frecuencia afinada
+ */
+export function tuneFrequency(frequency) {
+    const note = frequencyToScaleNote(frequency);
+    return note ? note.frequency : null;
+}
+
+/**
+ * Pasos de la escala dentro de un rango de frecuencias
+ * @param {number} minFrequency - Hz
+ * @param {number} maxFrequency - Hz
+ * @returns {Array<{step: number, frequency: number, name: string, isTonic: boolean}>} De grave a agudo
+ */
+export function getScaleSteps(minFrequency, maxFrequency) {
+    const { degrees } = getTuning();
+    const steps = [];
+    const first = frequencyToScaleNote(minFrequency).step;
+
+    for (let step = first; ; step++) {
+        const frequency = stepToFrequency(step);
+        if (frequency > maxFrequency * (1 + RANGE_TOLERANCE)) break;
+        if (frequency >= minFrequency * (1 - RANGE_TOLERANCE)) {
+            const degree = ((step % degrees.length) + degrees.length) % degrees.length;
+            steps.push({ step, frequency, name: stepToName(step), isTonic: degree === 0 });
+        }
+    }
+    return steps;
+}
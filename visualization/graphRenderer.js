@@ -2,6 +2,10 @@
  * Módulo de renderizado de gráfica de frecuencia
  * Dibuja la gráfica en tiempo real usando Canvas
  */
+import { midiToFrequency, onReferencePitchChange } from '../music/pitch.js';
+import { getScaleSteps } from '../music/tuningSystems.js';
+import { getRange, onRangeChange } from '../music/rangePresets.js';
+
 export class GraphRenderer {
     constructor(canvas, maxHistoryLength = 200) {
         this.canvas = canvas;
@@ -9,20 +13,19 @@ export class GraphRenderer {
         this.maxHistoryLength = maxHistoryLength;
         this.frequencyHistory = []; // Array de arrays: [[freq1, freq2], ...]
         this.timeHistory = [];
+        this.rawFrequencyHistory = []; // Traza sin procesar (antes de corregir octavas y suavizar)
         
-        // Color para la frecuencia detectada
-        this.colors = ['#ef4444'];
+        // Un color por voz detectada (la primera es la del juego de un jugador)
+        this.colors = ['#ef4444', '#3b82f6', '#22c55e'];
         
-        // Rango fijo: desde F2 hasta C5
-        // F2 ≈ 87.31 Hz, C5 ≈ 523.25 Hz
-        this.minFrequency = 87.31;   // F2
-        this.maxFrequency = 523.25;  // C5
-        this.freqRange = this.maxFrequency - this.minFrequency;
+        // Traza sin procesar: puntos tenues junto a la traza suavizada (opcional)
+        this.showRawTrack = false;
+        this.rawTrackColor = 'rgba(251, 191, 36, 0.6)';
         
-        // Para escala logarítmica (hace que las notas se vean equidistantes)
-        this.logMinFreq = Math.log(this.minFrequency);
-        this.logMaxFreq = Math.log(this.maxFrequency);
-        this.logRange = this.logMaxFreq - this.logMinFreq;
+        // Tesitura del rango elegido (por defecto F2-C5, ≈ 87.31 Hz - 523.25 Hz con La a 440)
+        this.updateFrequencyRange();
+        onReferencePitchChange(() => this.updateFrequencyRange());
+        onRangeChange(() => this.updateFrequencyRange());
         
         // Nota objetivo (modo simple)
         this.targetFrequency = null;
@@ -34,6 +37,15 @@ export class GraphRenderer {
         this.currentTargetIndex = null; // Índice de la nota actual en la secuencia
         this.showOnlyCurrentTarget = false; // Si es true, solo muestra la nota actual (no todas)
         
+        // Cursor de reproducción (misma base de tiempo que timeHistory, en ms)
+        this.playheadTime = null;
+        
+        // Rejilla de pulsos: { time, interval, beatsPerBar } (time e interval en ms, base de timeHistory)
+        this.beatGrid = null;
+        
+        // Notas cantadas (ver noteSegmentation.js): barras sobre la traza al acabar la partida
+        this.noteSegments = null;
+        
         // Configurar tamaño del canvas
         this.resize();
         window.addEventListener('resize', () => this.resize());
@@ -66,23 +78,36 @@ export class GraphRenderer {
     /**
      * Añade nuevos puntos de frecuencia a la historia
      * @param {number|Array<number>} frequencies - Frecuencia única o array de frecuencias
+     * @param {number|Array<number>|null} rawFrequencies - Frecuencias sin procesar (opcional)
      */
-    addDataPoint(frequencies) {
+    addDataPoint(frequencies, rawFrequencies = null) {
         const timestamp = Date.now();
         
         // Normalizar a array
         const freqArray = Array.isArray(frequencies) ? frequencies : [frequencies];
+        const rawArray = Array.isArray(rawFrequencies) ? rawFrequencies : (rawFrequencies ? [rawFrequencies] : []);
         
         this.frequencyHistory.push(freqArray);
+        this.rawFrequencyHistory.push(rawArray);
         this.timeHistory.push(timestamp);
         
         // Mantener solo el historial más reciente
         if (this.frequencyHistory.length > this.maxHistoryLength) {
             this.frequencyHistory.shift();
+            this.rawFrequencyHistory.shift();
             this.timeHistory.shift();
         }
     }
 
+    /**
+     * Muestra u oculta la traza sin procesar
+     * @param {boolean} show - Si se dibuja
+     */
+    setShowRawTrack(show) {
+        this.showRawTrack = show;
+        this.draw();
+    }
+
     /**
      * Dibuja la gráfica
      */
@@ -108,7 +133,7 @@ export class GraphRenderer {
         const graphWidth = width - padding * 2;
         const graphHeight = height - padding * 2;
         
-        // Usar rango fijo desde F2 hasta C5
+        // Usar la tesitura del rango elegido
         const minFreq = this.minFrequency;
         const maxFreq = this.maxFrequency;
         const freqRange = this.freqRange;
@@ -142,6 +167,17 @@ export class GraphRenderer {
             this.drawTargetZone(padding, graphWidth, graphHeight, minFreq, maxFreq);
         }
         
+        // Pulsos del metrónomo debajo de todo lo cantado
+        this.drawBeatMarkers(padding, graphWidth, graphHeight);
+        
+        // Notas cantadas debajo de la traza
+        this.drawNoteSegments(padding, graphWidth, graphHeight, minFreq, maxFreq);
+        
+        // Traza sin procesar debajo de la suavizada, para comparar
+        if (this.showRawTrack) {
+            this.drawRawTrack(padding, graphWidth, graphHeight, minFreq, maxFreq);
+        }
+        
         // Determinar cuántas frecuencias diferentes hay
         const maxFreqCount = Math.max(...this.frequencyHistory.map(f => 
             Array.isArray(f) ? f.length : (f !== null ? 1 : 0)
@@ -229,30 +265,30 @@ export class GraphRenderer {
             this.drawTargetLine(padding, graphWidth, graphHeight, minFreq, maxFreq);
         }
         
+        // Dibujar cursor de reproducción (si se está escuchando la grabación)
+        this.drawPlayhead(padding, graphWidth, graphHeight);
+        
         // Dibujar rejilla y etiquetas
         this.drawGrid(minFreq, maxFreq, padding, graphHeight);
     }
 
     /**
-     * Calcula la frecuencia de una nota musical
-     * @param {string} noteName - Nombre de la nota (ej: 'C', 'C#', 'D')
-     * @param {number} octave - Octava (ej: 3, 4, 5)
-     * @returns {number} Frecuencia en Hz
+     * Recalcula el rango de frecuencias (tesitura del rango elegido) con la afinación de referencia actual
      */
-    noteToFrequency(noteName, octave) {
-        const A4 = 440; // A4 = 440 Hz
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const noteIndex = noteNames.indexOf(noteName);
-        
-        // A4 está en la octava 4, índice 9
-        // Calcular semitonos desde A4
-        const semitonesFromA4 = (octave - 4) * 12 + (noteIndex - 9);
+    updateFrequencyRange() {
+        const { lowest, highest } = getRange();
+        this.minFrequency = midiToFrequency(lowest);
+        this.maxFrequency = midiToFrequency(highest);
+        this.freqRange = this.maxFrequency - this.minFrequency;
         
-        return A4 * Math.pow(2, semitonesFromA4 / 12);
+        // Para escala logarítmica (hace que las notas se vean equidistantes)
+        this.logMinFreq = Math.log(this.minFrequency);
+        this.logMaxFreq = Math.log(this.maxFrequency);
+        this.logRange = this.logMaxFreq - this.logMinFreq;
     }
 
     /**
-     * Dibuja la rejilla y etiquetas con notas musicales
+     * Dibuja la rejilla con las notas del sistema de afinación elegido
      */
     drawGrid(minFreq, maxFreq, padding, graphHeight) {
         this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
@@ -260,32 +296,8 @@ export class GraphRenderer {
         this.ctx.font = '11px monospace';
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
         
-        // Calcular las frecuencias de las notas desde F2 hasta C5
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const notes = [];
-        
-        // Generar todas las notas desde F2 hasta C5
-        for (let octave = 2; octave <= 5; octave++) {
-            for (const noteName of noteNames) {
-                // En la octava 2, empezar desde F
-                if (octave === 2 && noteNames.indexOf(noteName) < noteNames.indexOf('F')) {
-                    continue;
-                }
-                
-                // En la octava 5, solo incluir hasta C
-                if (octave === 5 && noteNames.indexOf(noteName) > noteNames.indexOf('C')) {
-                    break;
-                }
-                
-                const octaveNote = `${noteName}${octave}`;
-                const frequency = this.noteToFrequency(noteName, octave);
-                
-                // Solo incluir notas dentro del rango
-                if (frequency >= minFreq && frequency <= maxFreq) {
-                    notes.push({ name: octaveNote, frequency: frequency, noteName: noteName });
-                }
-            }
-        }
+        // Notas de la escala dentro de la tesitura
+        const notes = getScaleSteps(minFreq, maxFreq);
         
         // Dibujar líneas y etiquetas para cada nota
         // Usar escala logarítmica para que las notas se vean equidistantes
@@ -293,9 +305,8 @@ export class GraphRenderer {
             const normalizedFreq = (Math.log(note.frequency) - this.logMinFreq) / this.logRange;
             const y = padding + graphHeight - (normalizedFreq * graphHeight);
             
-            // Línea más sutil para notas intermedias, más marcada para C de cada octava
-            const isOctaveStart = note.noteName === 'C';
-            const isImportantNote = isOctaveStart || note.noteName === 'A' || note.noteName === 'E';
+            // Línea más sutil para notas intermedias, más marcada para la tónica de cada octava
+            const isOctaveStart = note.isTonic;
             
             this.ctx.strokeStyle = isOctaveStart ? 'rgba(255, 255, 255, 0.1)' : 'rgba(255, 255, 255, 0.05)';
             this.ctx.lineWidth = isOctaveStart ? 1.5 : 1;
@@ -541,13 +552,217 @@ export class GraphRenderer {
         // No dibujar etiquetas de notas ni frecuencias
     }
 
+    /**
+     * Dibuja la traza sin procesar como puntos (así se ven los saltos de octava sueltos)
+     * @param {number} padding - Padding del gráfico
+     * @param {number} graphWidth - Ancho del área del gráfico
+     * @param {number} graphHeight - Alto del área del gráfico
+     * @param {number} minFreq - Frecuencia mínima del rango
+     * @param {number} maxFreq - Frecuencia máxima del rango
+     */
+    drawRawTrack(padding, graphWidth, graphHeight, minFreq, maxFreq) {
+        const history = this.rawFrequencyHistory;
+        if (history.length !== this.frequencyHistory.length) {
+            return;
+        }
+
+        this.ctx.fillStyle = this.rawTrackColor;
+        for (let i = 0; i < history.length; i++) {
+            const x = padding + (i / (history.length - 1)) * graphWidth;
+            history[i].forEach(frequency => {
+                if (!frequency) {
+                    return;
+                }
+                const clampedFreq = Math.max(minFreq, Math.min(maxFreq, frequency));
+                const normalizedFreq = (Math.log(clampedFreq) - this.logMinFreq) / this.logRange;
+                const y = this.canvas.height - padding - (normalizedFreq * graphHeight);
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, 2, 0, Math.PI * 2);
+                this.ctx.fill();
+            });
+        }
+    }
+
+    /**
+     * Establece las notas cantadas que se dibujan sobre el historial
+     * @param {Array<Object>|null} segments - Notas de segmentNotes (índices del historial actual), o null
+     */
+    setNoteSegments(segments) {
+        this.noteSegments = segments && segments.length > 0 ? segments : null;
+    }
+
+    /**
+     * Dibuja cada nota cantada como una barra en su pitch mediano, del inicio al final de la nota
+     * @param {number} padding - Padding del gráfico
+     * @param {number} graphWidth - Ancho del área del gráfico
+     * @param {number} graphHeight - Alto del área del gráfico
+     * @param {number} minFreq - Frecuencia mínima del rango
+     * @param {number} maxFreq - Frecuencia máxima del rango
+     */
+    drawNoteSegments(padding, graphWidth, graphHeight, minFreq, maxFreq) {
+        const lastIndex = this.frequencyHistory.length - 1;
+        if (!this.noteSegments || lastIndex < 1) {
+            return;
+        }
+
+        this.noteSegments.forEach(segment => {
+            if (segment.endIndex > lastIndex) {
+                return;
+            }
+            const clampedFreq = Math.max(minFreq, Math.min(maxFreq, segment.frequency));
+            const normalizedFreq = (Math.log(clampedFreq) - this.logMinFreq) / this.logRange;
+            const y = this.canvas.height - padding - (normalizedFreq * graphHeight);
+            const xStart = padding + (segment.startIndex / lastIndex) * graphWidth;
+            const xEnd = padding + (segment.endIndex / lastIndex) * graphWidth;
+            const color = this.colors[segment.voice % this.colors.length];
+
+            // Barra semitransparente: más opaca cuanto más estable fue la nota
+            this.ctx.globalAlpha = 0.25 + 0.35 * segment.stability;
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(xStart, y - 4, Math.max(2, xEnd - xStart), 8);
+            this.ctx.globalAlpha = 1;
+
+            // No dibujar etiquetas de notas (el nombre se muestra en la transcripción)
+        });
+    }
+
+    /**
+     * Establece la posición del cursor de reproducción
+     * @param {number|null} time - Tiempo en ms (misma base que timeHistory), o null para ocultarlo
+     */
+    setPlayheadTime(time) {
+        this.playheadTime = time;
+    }
+
+    /**
+     * Posición horizontal de un instante del historial
+     * La gráfica reparte los puntos por índice, así que se interpola la posición en timeHistory
+     * @param {number} time - Tiempo en ms (misma base que timeHistory)
+     * @param {number} padding - Padding del gráfico
+     * @param {number} graphWidth - Ancho del área del gráfico
+     * @returns {number|null} x en píxeles, o null si el instante no está en el historial
+     */
+    timeToX(time, padding, graphWidth) {
+        const times = this.timeHistory;
+        if (times.length < 2 || time < times[0] || time > times[times.length - 1]) {
+            return null;
+        }
+
+        // Búsqueda binaria del último punto anterior al instante
+        let low = 0;
+        let high = times.length - 1;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (times[mid] <= time) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        const span = times[high] - times[low];
+        const fraction = span > 0 ? (time - times[low]) / span : 0;
+        return padding + ((low + fraction) / (times.length - 1)) * graphWidth;
+    }
+
+    /**
+     * Establece la rejilla de pulsos que se dibuja bajo la traza
+     * @param {{time: number, interval: number, beatsPerBar: number, beatsPerLoop: number}|null} grid -
+     *        Instante de una primera parte de compás y duración del pulso, en ms con la base de
+     *        timeHistory; beatsPerLoop (opcional): pulsos de cada vuelta del bucle, que vuelve a
+     *        empezar en primera parte aunque no complete el compás; o null
+     */
+    setBeatGrid(grid) {
+        this.beatGrid = grid;
+    }
+
+    /**
+     * Dibuja una línea vertical por pulso, más marcada en la primera parte de cada compás
+     * (contando los compases desde el principio de cada vuelta del bucle, como el metrónomo)
+     * @param {number} padding - Padding del gráfico
+     * @param {number} graphWidth - Ancho del área del gráfico
+     * @param {number} graphHeight - Alto del área del gráfico
+     */
+    drawBeatMarkers(padding, graphWidth, graphHeight) {
+        const times = this.timeHistory;
+        if (!this.beatGrid || this.beatGrid.interval <= 0 || times.length < 2) {
+            return;
+        }
+
+        const { time, interval, beatsPerBar, beatsPerLoop } = this.beatGrid;
+        // Sin bucle, una sola vuelta que abarca todo el historial
+        const loopLength = beatsPerLoop ? beatsPerLoop * interval : null;
+        const firstLoop = loopLength ? Math.floor((times[0] - time) / loopLength) : 0;
+        const lastLoop = loopLength ? Math.floor((times[times.length - 1] - time) / loopLength) : 0;
+
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([]);
+        for (let loop = firstLoop; loop <= lastLoop; loop++) {
+            const loopStart = time + loop * (loopLength || 0);
+            let firstBeat = Math.ceil((times[0] - loopStart) / interval);
+            let lastBeat = Math.floor((times[times.length - 1] - loopStart) / interval);
+            if (loopLength) {
+                firstBeat = Math.max(firstBeat, 0);
+                lastBeat = Math.min(lastBeat, Math.ceil(beatsPerLoop) - 1);
+            }
+            for (let beat = firstBeat; beat <= lastBeat; beat++) {
+                const x = this.timeToX(loopStart + beat * interval, padding, graphWidth);
+                if (x === null) {
+                    continue;
+                }
+                const isDownbeat = ((beat % beatsPerBar) + beatsPerBar) % beatsPerBar === 0;
+                this.ctx.strokeStyle = isDownbeat ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.12)';
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, padding);
+                this.ctx.lineTo(x, padding + graphHeight);
+                this.ctx.stroke();
+            }
+        }
+    }
+
+    /**
+     * Dibuja el cursor de reproducción como una línea vertical
+     * @param {number} padding - Padding del gráfico
+     * @param {number} graphWidth - Ancho del área del gráfico
+     * @param {number} graphHeight - Alto del área del gráfico
+     */
+    drawPlayhead(padding, graphWidth, graphHeight) {
+        if (this.playheadTime === null) {
+            return;
+        }
+        const x = this.timeToX(this.playheadTime, padding, graphWidth);
+        if (x === null) {
+            return;
+        }
+
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, padding);
+        this.ctx.lineTo(x, padding + graphHeight);
+        this.ctx.stroke();
+
+        // Marca triangular arriba
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.beginPath();
+        this.ctx.moveTo(x - 6, padding - 8);
+        this.ctx.lineTo(x + 6, padding - 8);
+        this.ctx.lineTo(x, padding);
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+
     /**
      * Reemplaza el historial completo con nuevos datos (útil para mostrar toda la historia en Game Over)
      * @param {Array<Array<number>>} frequencyHistory - Historial completo de frecuencias
      * @param {Array<number>} timeHistory - Historial completo de timestamps
+     * @param {Array<Array<number>>|null} rawFrequencyHistory - Historial sin procesar (opcional)
      */
-    replaceHistory(frequencyHistory, timeHistory) {
+    replaceHistory(frequencyHistory, timeHistory, rawFrequencyHistory = null) {
         this.frequencyHistory = frequencyHistory.map(freq => Array.isArray(freq) ? [...freq] : [freq]);
+        this.rawFrequencyHistory = rawFrequencyHistory
+            ? rawFrequencyHistory.map(freq => Array.isArray(freq) ? [...freq] : [freq])
+            : [];
         this.timeHistory = [...timeHistory];
         // Redibujar con toda la historia
         this.draw();
@@ -558,7 +773,10 @@ export class GraphRenderer {
      */
     clear() {
         this.frequencyHistory = [];
+        this.rawFrequencyHistory = [];
         this.timeHistory = [];
+        this.playheadTime = null;
+        this.noteSegments = null;
         // No limpiar objetivos aquí - se mantienen para el modo secuencia
         this.draw();
     }